@@ -1,5 +1,4 @@
 import { useEffect, useRef, useState } from "react";
-import axios from "axios";
 import ReactMarkdown from "react-markdown";
 import remarkGfm from "remark-gfm";
 import "./library-ai.css";
@@ -10,30 +9,65 @@ const TypingIndicator = () => (
   </div>
 );
 
-function parseBookReply(text) {
-  if (!text || /not available|no books/i.test(text)) return null;
-  const blocks = text.split(/\n(?=\d+\.\s+Title:)/).map(b => b.trim()).filter(Boolean);
-  const items = [];
-
-  for (const block of blocks) {
-    const title = block.match(/Title:\s*(.*)/i)?.[1]?.trim();
-    const author = block.match(/Author:\s*(.*)/i)?.[1]?.trim();
-    const copies = block.match(/Copies:\s*(.*)/i)?.[1]?.trim();
-    const location = block.match(/Location:\s*(.*)/i)?.[1]?.trim();
-    const maxPages = block.match(/Max Pages:\s*(.*)/i)?.[1]?.trim();
+// Session token saved by the login flow; sent so the backend knows the member.
+function authHeaders() {
+  const token = localStorage.getItem("libraryToken");
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
 
-    if (title) {
-      items.push({ title, author, copies, location, maxPages });
+// POST /ask-ai/stream and hand each SSE frame (`results`, `token`, `done`, `error`) to onEvent.
+async function streamAskAi(url, body, onEvent) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "text/event-stream", ...authHeaders() },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok || !res.body) throw new Error(`Request failed (${res.status})`);
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const frames = buffer.split("\n\n");
+    buffer = frames.pop();
+    for (const frame of frames) {
+      const event = frame.match(/^event: (.*)$/m)?.[1];
+      const data = frame.match(/^data: (.*)$/m)?.[1];
+      if (event && data) onEvent(event, JSON.parse(data));
     }
   }
+}
+
+// Intents whose reply is just the list of books: the cards replace the text.
+const LISTING_INTENTS = new Set(["search", "follow_up_books", "more_like_this"]);
 
-  return items.length > 0 ? items : null;
+function BookCards({ books }) {
+  return (
+    <div className="book-list">
+      {books.map((b, idx) => (
+        <div key={b.id || idx} className="book-card">
+          <div className="book-title">{b.title}</div>
+          {b.author && <div className="book-field"><span>Author:</span> {b.author}</div>}
+          {Number.isInteger(b.copies) && (
+            <div className="book-field"><span>Copies:</span> {b.copies} ({b.available} available)</div>
+          )}
+          {b.location && <div className="book-field"><span>Location:</span> {b.location}</div>}
+          {Number.isInteger(b.max_pages) && <div className="book-field"><span>Max Pages:</span> {b.max_pages}</div>}
+        </div>
+      ))}
+    </div>
+  );
 }
 
 export default function LibraryAssistant() {
   const [query, setQuery] = useState("");
   const [messages, setMessages] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [sessionId, setSessionId] = useState(null);
+  const [streaming, setStreaming] = useState(false);
   const bottomRef = useRef(null);
   const apiBase = "https://library-ai-backend.onrender.com";
 
@@ -48,16 +82,37 @@ export default function LibraryAssistant() {
     setQuery("");
     setLoading(true);
 
+    // The AI message is appended on the first event and then updated in place
+    let text = "";
+    let current = { role: "ai", text: "", books: [], intent: null };
+    let started = false;
+    const showAi = (patch) => {
+      const next = (current = { ...current, ...patch });
+      const replace = started;
+      started = true;
+      setMessages((m) => (replace ? [...m.slice(0, -1), next] : [...m, next]));
+    };
+
     try {
-      const res = await axios.post(
-        `${apiBase}/ask-ai`,
-        { query }
+      await streamAskAi(
+        `${apiBase}/ask-ai/stream`,
+        { query, context: messages, sessionId },
+        (event, data) => {
+          if (event === "results") {
+            setStreaming(true);
+            showAi({ books: data.books || [], intent: data.intent });
+          } else if (event === "token") {
+            text += data.text;
+            setStreaming(true);
+            showAi({ text });
+          } else if (event === "done") {
+            if (data.sessionId) setSessionId(data.sessionId);
+            showAi({ text: data.reply || "No response", books: data.books || [], intent: data.intent });
+          } else if (event === "error") {
+            throw new Error(data.error);
+          }
+        }
       );
-
-      setMessages((m) => [
-        ...m,
-        { role: "ai", text: res.data.reply || "No response" },
-      ]);
     } catch {
       setMessages((m) => [
         ...m,
@@ -65,6 +120,7 @@ export default function LibraryAssistant() {
       ]);
     } finally {
       setLoading(false);
+      setStreaming(false);
     }
   }
 
@@ -96,26 +152,17 @@ export default function LibraryAssistant() {
           <div key={i} className={`message-row ${m.role}`}>
             <div className={`msg ${m.role}`}>
               {m.role === "ai" ? (() => {
-                const books = parseBookReply(m.text);
-                if (books) {
-                  return (
-                    <div className="book-list">
-                      {books.map((b, idx) => (
-                        <div key={idx} className="book-card">
-                          <div className="book-title">{b.title}</div>
-                          {b.author && <div className="book-field"><span>Author:</span> {b.author}</div>}
-                          {b.copies && <div className="book-field"><span>Copies:</span> {b.copies}</div>}
-                          {b.location && <div className="book-field"><span>Location:</span> {b.location}</div>}
-                          {b.maxPages && <div className="book-field"><span>Max Pages:</span> {b.maxPages}</div>}
-                        </div>
-                      ))}
-                    </div>
-                  );
-                }
+                const books = m.books || [];
+                const showText = m.text && !(books.length > 0 && LISTING_INTENTS.has(m.intent));
                 return (
-                  <ReactMarkdown remarkPlugins={[remarkGfm]}>
-                    {m.text}
-                  </ReactMarkdown>
+                  <>
+                    {showText && (
+                      <ReactMarkdown remarkPlugins={[remarkGfm]}>
+                        {m.text}
+                      </ReactMarkdown>
+                    )}
+                    {books.length > 0 && <BookCards books={books} />}
+                  </>
                 );
               })() : (
                 m.text
@@ -124,7 +171,7 @@ export default function LibraryAssistant() {
           </div>
         ))}
 
-        {loading && (
+        {loading && !streaming && (
           <div className="message-row ai">
             <div className="msg ai">
               <TypingIndicator />
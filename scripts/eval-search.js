@@ -0,0 +1,189 @@
+import fs from "fs";
+import path from "path";
+import { isRemoved } from "../src/circulation.js";
+import { createLlm } from "../src/llm/index.js";
+import { createEmbeddingTemplate } from "../src/embeddingTemplate.js";
+import { createLocalStorage } from "../src/storage/local.js";
+import { createVectorIndex } from "../src/vectorIndex.js";
+import { createQueryExpander } from "../src/search/expansion.js";
+import { compileSynonyms, parseSynonymImport } from "../src/search/dictionary.js";
+import { createRanker } from "../src/search/ranking.js";
+import { createSearchService } from "../src/search/index.js";
+import { compareReports, EVAL_MODES, parseJudgments, runEvaluation } from "../src/search/eval.js";
+
+// ---------------- Search Evaluation CLI ----------------
+// Runs a judgment file through the same search as /ask-ai against a catalogue
+// file held in memory (no Cloudant) and reports recall@k, MRR and nDCG@k:
+//   npm run eval:search -- --catalog books.json --out runs/before.json
+//   npm run eval:search -- --compare runs/before.json runs/after.json
+// The defaults are the committed fixtures eval/judgments.json and eval/catalog.json.
+// The catalogue is a JSON array (books.json, a LOCAL_DATA_DIR file) or an
+// `include=embedding` JSON Lines export. Query and book embeddings come from
+// EMBED_PROVIDER, which defaults to the offline stub here; stored vectors that
+// are current for the model and template are reused. `--synonyms` takes a
+// dictionary in any /synonyms/import format instead of the built-in defaults.
+const BOOKS_DB = "books";
+const EMBED_BATCH = Number(process.env.EMBED_BATCH || 50);
+
+const USAGE = `Usage:
+  node scripts/eval-search.js [--judgments file] [--catalog file] [--synonyms file] [--k 5] [--mode lexical|hybrid|both] [--out report.json]
+  node scripts/eval-search.js --compare base.json candidate.json`;
+
+function parseArgs(argv) {
+  const args = { judgments: "eval/judgments.json", catalog: "eval/catalog.json", synonyms: null, k: 5, mode: "both", out: null, compare: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case "--judgments": args.judgments = value(); break;
+      case "--catalog": args.catalog = value(); break;
+      case "--synonyms": args.synonyms = value(); break;
+      case "--k": args.k = Number(value()); break;
+      case "--mode": args.mode = value(); break;
+      case "--out": args.out = value(); break;
+      case "--compare": args.compare = [value(), value()]; break;
+      case "--help": args.help = true; break;
+      default: throw new Error(`Unknown option ${arg}\n${USAGE}`);
+    }
+  }
+  if (!Number.isInteger(args.k) || args.k < 1) throw new Error("--k must be a positive integer");
+  if (args.mode !== "both" && !EVAL_MODES.includes(args.mode)) {
+    throw new Error(`--mode must be one of ${[...EVAL_MODES, "both"].join(", ")}`);
+  }
+  return args;
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Cannot read ${file}: ${err.message}`);
+  }
+}
+
+function readCatalog(file) {
+  if (file.endsWith(".jsonl")) {
+    return fs.readFileSync(file, "utf8").split("\n").filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+  const data = readJson(file);
+  const books = Array.isArray(data) ? data : data?.books;
+  if (!Array.isArray(books)) throw new Error(`${file} must hold an array of books or { "books": [...] }`);
+  return books;
+}
+
+// Stored vectors are kept when current; the rest are embedded in batches
+async function embedCatalog(docs, { embedder, embeddingTemplate }) {
+  const missing = docs.filter(d => !isRemoved(d) && !embeddingTemplate.isCurrent(d));
+  for (let i = 0; i < missing.length; i += EMBED_BATCH) {
+    const batch = missing.slice(i, i + EMBED_BATCH);
+    const vectors = await embedder.embed(batch.map(d => embeddingTemplate.render(d)));
+    batch.forEach((doc, idx) => Object.assign(doc, { embedding: vectors[idx], ...embeddingTemplate.stamp() }));
+  }
+  return missing.length;
+}
+
+function readSynonyms(file) {
+  const { entries, errors } = parseSynonymImport(readJson(file));
+  if (errors.length > 0) throw new Error(`${file}: row ${errors[0].row}: ${errors[0].error}`);
+  return compileSynonyms(entries);
+}
+
+async function createOfflineSearch(catalogFile, modes, synonymsFile = null) {
+  const docs = readCatalog(catalogFile).map(({ _rev, ...doc }) => doc);
+  const storage = createLocalStorage();
+  const written = await storage.bulkDocs(BOOKS_DB, docs);
+  const failed = written.filter(r => r.error);
+  if (failed.length > 0) throw new Error(`${failed.length} catalogue entries could not be loaded (first: ${failed[0].id}: ${failed[0].reason})`);
+  const books = await storage.find(BOOKS_DB, {});
+
+  const expander = createQueryExpander(synonymsFile ? { synonyms: readSynonyms(synonymsFile) } : {});
+  expander.loadTitles(books.filter(d => !isRemoved(d)));
+
+  const { embedder } = createLlm();
+  const embeddingTemplate = createEmbeddingTemplate({ model: embedder.embedModel });
+  const vectorIndex = createVectorIndex({ accepts: embeddingTemplate.isCurrent });
+  if (modes.includes("hybrid")) {
+    const embedded = await embedCatalog(books, { embedder, embeddingTemplate });
+    vectorIndex.rebuild(books.filter(d => !isRemoved(d)), { embedModel: embedder.embedModel });
+    console.log(`🧭 ${vectorIndex.stats().size} of ${books.length} books indexed with ${embedder.name} (${embedder.embedModel}), ${embedded} embedded for this run`);
+  }
+
+  const ranker = createRanker();
+  const { search } = createSearchService({ storage, booksDb: BOOKS_DB, expander, ranker, vectorIndex, embedder });
+  return {
+    search,
+    details: {
+      books: books.length,
+      ranking: ranker.config,
+      embeddings: { provider: embedder.name, model: embedder.embedModel, template: embeddingTemplate.version }
+    }
+  };
+}
+
+const fixed = n => n.toFixed(3);
+const signed = n => `${n >= 0 ? "+" : ""}${n.toFixed(3)}`;
+
+function printRun(run) {
+  const { recall, mrr, ndcg } = run.metrics;
+  console.log(`📊 ${run.mode.padEnd(7)} k=${run.k}  recall@k ${fixed(recall)}  MRR ${fixed(mrr)}  nDCG@k ${fixed(ndcg)}  (${run.queries.length} queries)`);
+  for (const q of run.queries.filter(q => q.missed.length > 0)) {
+    console.log(`   ✗ ${q.id}: missed ${q.missed.join(", ")}`);
+  }
+}
+
+function printComparison(modes, [baseFile, candidateFile]) {
+  console.log(`🔍 ${candidateFile} against ${baseFile}`);
+  for (const m of modes) {
+    console.log(`📊 ${m.mode} k=${m.k} (${m.queries} shared queries)`);
+    for (const [name, v] of Object.entries(m.metrics)) {
+      console.log(`   ${name.padEnd(6)} ${fixed(v.base)} → ${fixed(v.candidate)}  (${signed(v.delta)})`);
+    }
+    for (const q of m.improved) console.log(`   ▲ ${q.id}: nDCG ${signed(q.ndcg)}, RR ${signed(q.rr)}`);
+    for (const q of m.regressed) console.log(`   ▼ ${q.id}: nDCG ${signed(q.ndcg)}, RR ${signed(q.rr)}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) return console.log(USAGE);
+
+  if (args.compare) {
+    const [base, candidate] = args.compare.map(readJson);
+    return printComparison(compareReports(base, candidate), args.compare);
+  }
+
+  const judgments = parseJudgments(readJson(args.judgments));
+  const modes = args.mode === "both" ? EVAL_MODES : [args.mode];
+  const { search, details } = await createOfflineSearch(args.catalog, modes, args.synonyms);
+
+  const runs = [];
+  for (const mode of modes) {
+    const run = await runEvaluation({ search, judgments, k: args.k, mode });
+    printRun(run);
+    runs.push(run);
+  }
+  if (runs.length === 2) {
+    const [lexical, hybrid] = runs;
+    const delta = name => signed(hybrid.metrics[name] - lexical.metrics[name]);
+    console.log(`📈 hybrid vs lexical: recall@k ${delta("recall")}, MRR ${delta("mrr")}, nDCG@k ${delta("ndcg")}`);
+  }
+
+  if (args.out) {
+    const report = { createdAt: new Date().toISOString(), catalog: args.catalog, synonyms: args.synonyms, judgments: args.judgments, k: args.k, ...details, runs };
+    fs.mkdirSync(path.dirname(args.out), { recursive: true });
+    fs.writeFileSync(args.out, `${JSON.stringify(report, null, 2)}\n`);
+    console.log(`💾 Report written to ${args.out}`);
+  }
+}
+
+// Offline unless told otherwise: no watsonx calls from an evaluation run
+process.env.EMBED_PROVIDER ||= process.env.LLM_PROVIDER || "stub";
+process.env.LLM_PROVIDER ||= "stub";
+
+main().catch(err => {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+});
@@ -1,77 +1,109 @@
 
+// Loaded before any other import: modules under src/ read their settings
+// from process.env when they are first imported
+import "dotenv/config";
 import express from "express";
-import dotenv from "dotenv";
 import cors from "cors";
-import { CloudantV1 } from "@ibm-cloud/cloudant";
-import { IamAuthenticator } from "ibm-cloud-sdk-core";
-import axios from "axios";
 import fs from "fs";
+import {
+  createCirculationRouter,
+  isRemoved,
+  shelfSummary
+} from "./src/circulation.js";
+import { createHoldService, createHoldsRouter } from "./src/holds.js";
+import { createConversationStore, looksLikeFollowUp, resolveFollowUp } from "./src/conversation.js";
+import { openEventStream, wantsEventStream } from "./src/sse.js";
+import { createStorage, loadAllDocs } from "./src/storage/index.js";
+import { createVectorIndex } from "./src/vectorIndex.js";
+import { createRanker } from "./src/search/ranking.js";
+import { createQueryExpander } from "./src/search/expansion.js";
+import { createSearchRouter, createSearchService } from "./src/search/index.js";
+import { createSynonymService, createSynonymsRouter } from "./src/search/dictionary.js";
+import { createQueryLogRouter, createQueryLogService } from "./src/queryLog.js";
+import { createEmbeddingTemplate } from "./src/embeddingTemplate.js";
+import { createGroundedStream, createGroundingValidator, inventoryFields, renderInventoryTemplate } from "./src/grounding.js";
+import { bookResult, createCatalogRouter } from "./src/catalog.js";
+import { createBooksRouter } from "./src/books.js";
+import { createImportRouter } from "./src/import/index.js";
+import { createExportRouter } from "./src/export.js";
+import { createEmbeddingJobService, createJobsRouter } from "./src/jobs.js";
+import { createLlm } from "./src/llm/index.js";
+import { createIntentRouter, createLlmIntentClassifier } from "./src/intents/index.js";
+import { createLibraryIntents } from "./src/intents/library.js";
+import {
+  authenticate,
+  corsOptions,
+  createAuthRouter,
+  createUserStore,
+  memberFor,
+  requireRole
+} from "./src/auth.js";
 
-dotenv.config();
 const app = express();
 app.use(express.json());
-app.use(cors());
-
-// ---------------- IBM Cloudant Setup ----------------
-if (!process.env.CLOUDANT_URL || !process.env.CLOUDANT_API_KEY) {
-  console.error("❌ Missing Cloudant credentials in .env file");
+app.use(cors(corsOptions()));
+app.use(authenticate);
+
+// ---------------- Storage Setup (Cloudant or local JSON) ----------------
+let storage;
+try {
+  // books.json seeds the local backend's books database on first run
+  storage = await createStorage({ seed: { [process.env.CLOUDANT_DB || "books"]: "books.json" } });
+} catch (err) {
+  console.error("❌ Storage setup failed:", err.message);
   process.exit(1);
 }
+console.log(`🗄️ Using ${storage.name} storage backend`);
 
-const authenticator = new IamAuthenticator({
-  apikey: process.env.CLOUDANT_API_KEY,
-});
-
-const cloudant = CloudantV1.newInstance({
-  authenticator,
-  serviceUrl: process.env.CLOUDANT_URL,
-});
+// The local backend batches writes for FLUSH_DELAY_MS; write them out before stopping
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, () => {
+    try {
+      storage.flush?.();
+    } catch (err) {
+      console.error("❌ Failed to flush storage on shutdown:", err.message);
+    }
+    process.exit(0);
+  });
+}
 
-const DB = process.env.CLOUDANT_DB;
-// Embedding model (from your /list-models output)
-const EMBED_MODEL = process.env.EMBED_MODEL || "ibm/slate-30m-english-rtrvr-v2";
+const DB = process.env.CLOUDANT_DB || "books";
+const LOANS_DB = process.env.CLOUDANT_LOANS_DB || `${DB}_loans`;
+const HOLDS_DB = process.env.CLOUDANT_HOLDS_DB || `${DB}_holds`;
+const USERS_DB = process.env.CLOUDANT_USERS_DB || `${DB}_users`;
+const JOBS_DB = process.env.CLOUDANT_JOBS_DB || `${DB}_jobs`;
+const SYNONYMS_DB = process.env.CLOUDANT_SYNONYMS_DB || `${DB}_synonyms`;
+const QUERIES_DB = process.env.CLOUDANT_QUERIES_DB || `${DB}_queries`;
+
+// Create any missing database before the routes use it (Cloudant fails on a missing one)
+try {
+  for (const db of [DB, LOANS_DB, HOLDS_DB, USERS_DB, JOBS_DB, SYNONYMS_DB, QUERIES_DB]) {
+    const { created } = await storage.ensureDb(db);
+    if (created) console.log(`🆕 Created database "${db}"`);
+  }
+} catch (err) {
+  console.error("❌ Database setup failed:", err.message);
+  process.exit(1);
+}
 const EMBED_BATCH = Number(process.env.EMBED_BATCH || 50);
 const SEMANTIC_SEARCH = (process.env.SEMANTIC_SEARCH || "true").toLowerCase() === "true";
-const IBM_API_VERSION = process.env.IBM_API_VERSION || "2024-05-31";
 
-// ---------------- watsonx.ai Auth ----------------
-async function getAccessToken() {
-  try {
-    const response = await axios.post(
-      "https://iam.cloud.ibm.com/identity/token",
-      new URLSearchParams({
-        grant_type: "urn:ibm:params:oauth:grant-type:apikey",
-        apikey: process.env.IBM_API_KEY,
-      }),
-      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
-    );
-    return response.data.access_token;
-  } catch (error) {
-    console.error("❌ Failed to get IAM token:", error.response?.data || error.message);
-    throw new Error("Failed to authenticate with IBM Cloud IAM");
-  }
+// ---------------- LLM + Embedding Providers ----------------
+// watsonx by default; LLM_PROVIDER / EMBED_PROVIDER switch to an OpenAI-compatible
+// server or the offline stub (see src/llm)
+let llm, embedder;
+try {
+  ({ llm, embedder } = createLlm());
+} catch (err) {
+  console.error("❌ LLM provider setup failed:", err.message);
+  process.exit(1);
 }
+const EMBED_MODEL = embedder.embedModel;
+console.log(`🧠 Generation: ${llm.name} (${llm.generationModel}), embeddings: ${embedder.name} (${EMBED_MODEL})`);
 
-// ---------------- watsonx.ai Embeddings ----------------
 async function getEmbeddings(inputs) {
   try {
-    const token = await getAccessToken();
-    const response = await axios.post(
-      `${process.env.IBM_URL}/ml/v1/text/embeddings?version=${IBM_API_VERSION}`,
-      {
-        model_id: EMBED_MODEL,
-        project_id: process.env.PROJECT_ID,
-        inputs
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          "Content-Type": "application/json"
-        }
-      }
-    );
-
-    return response.data?.results?.map(r => r.embedding) || [];
+    return await embedder.embed(inputs);
   } catch (err) {
     console.error("❌ Embeddings error:", {
       message: err.message,
@@ -82,70 +114,88 @@ async function getEmbeddings(inputs) {
   }
 }
 
-function cosineSimilarity(a, b) {
-  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return 0;
-  let dot = 0;
-  let normA = 0;
-  let normB = 0;
-  for (let i = 0; i < a.length; i++) {
-    const x = a[i];
-    const y = b[i];
-    dot += x * y;
-    normA += x * x;
-    normB += y * y;
+// Text embedded for a book, from EMBED_TEMPLATE (see src/embeddingTemplate.js)
+const embeddingTemplate = createEmbeddingTemplate({ model: EMBED_MODEL });
+console.log(`🧾 Embedding template ${embeddingTemplate.version}: ${embeddingTemplate.template}`);
+
+function embeddingInput(d) {
+  return embeddingTemplate.render(d);
+}
+
+// ---------------- Vector Index ----------------
+// Semantic search runs against embeddings held in memory; rebuilt from the
+// catalogue at startup and whenever embeddings or books are bulk-updated.
+// Vectors from another model or template are left out until re-embedded.
+const vectorIndex = createVectorIndex({ accepts: embeddingTemplate.isCurrent });
+
+async function rebuildVectorIndex() {
+  if (!SEMANTIC_SEARCH) return;
+  try {
+    const docs = (await loadAllDocs(storage, DB)).filter(d => !isRemoved(d));
+    const { size, stale } = vectorIndex.rebuild(docs, { embedModel: EMBED_MODEL });
+    const { mode } = vectorIndex.stats();
+    console.log(`🧭 Vector index ready: ${size} of ${docs.length} books (${mode})`);
+    if (stale > 0) {
+      console.warn(`⚠️ ${stale} book(s) have embeddings from another model or template; POST /jobs/embeddings re-embeds them`);
+    }
+  } catch (err) {
+    console.error("❌ Failed to build vector index:", err.message);
   }
-  if (normA === 0 || normB === 0) return 0;
-  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
 }
+rebuildVectorIndex();
+
+// ---------------- Auth Routes ----------------
+const users = createUserStore({ storage, usersDb: USERS_DB });
+app.use(createAuthRouter({ users }));
+users.ensureAdminUser().catch(err => console.error("❌ Failed to create admin user:", err.message));
+
 // ---------------- Base Route ----------------
 app.get("/", (req, res) => {
   res.json({ message: "✅ Library AI Agent backend is running" });
 });
 
-// ---------------- Cloudant Test Route ----------------
-app.get("/test-db", async (req, res) => {
+// ---------------- Storage Test Route ----------------
+app.get("/test-db", requireRole("librarian"), async (req, res) => {
   try {
-    const response = await cloudant.postAllDocs({ db: DB, limit: 5 });
+    const rows = await storage.allDocs(DB, { limit: 5 });
     res.json({
       ok: true,
-      count: response.result.rows.length,
+      count: rows.length,
       database: DB,
+      backend: storage.name,
     });
   } catch (err) {
-    console.error("❌ Cloudant connection failed:", err.message);
+    console.error("❌ Storage connection failed:", err.message);
     res.status(500).json({ ok: false, error: err.message });
   }
 });
 
-// ---------------- Watsonx Model List ----------------
-app.get("/list-models", async (req, res) => {
+// ---------------- AI Backend Status (circuit breakers) ----------------
+app.get("/ai-status", requireRole("librarian"), (req, res) => {
+  res.json({
+    ok: true,
+    generation: { provider: llm.name, model: llm.generationModel, ...llm.circuits.generate.status() },
+    embeddings: {
+      provider: embedder.name,
+      model: EMBED_MODEL,
+      template: embeddingTemplate.version,
+      ...embedder.circuits.embed.status()
+    },
+    vectorIndex: vectorIndex.stats(),
+    grounding: grounding.stats()
+  });
+});
+
+// ---------------- Model List (from the configured generation provider) ----------------
+app.get("/list-models", requireRole("admin"), async (req, res) => {
   try {
-    const token = await getAccessToken();
     const { limit, start, filters } = req.query;
-
-    const response = await axios.get(
-      `${process.env.IBM_URL}/ml/v1/foundation_model_specs`,
-      {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          Accept: "application/json"
-        },
-        params: {
-          version: IBM_API_VERSION,
-          limit,
-          start,
-          filters
-        }
-      }
-    );
+    const models = await llm.listModels({ limit, start, filters });
 
     res.json({
       ok: true,
-      version: IBM_API_VERSION,
-      total_count: response.data?.total_count,
-      limit: response.data?.limit,
-      resources: response.data?.resources || [],
-      next: response.data?.next || null
+      provider: llm.name,
+      ...models
     });
   } catch (err) {
     console.error("❌ list-models error:", err.message);
@@ -163,29 +213,15 @@ app.get("/list-models", async (req, res) => {
 
 
 
-// ---------------- Title Vocabulary + Auto Synonyms (from books.json) ----------------
-const TITLE_VOCAB = new Set();
-const AUTO_SYNONYMS = {};
-let BOOKS_CACHE = null;
-
-function tokenizeTitle(title) {
-  return String(title || "")
-    .toLowerCase()
-    .split(/[^a-z0-9+#]+/)
-    .filter(t => t && t.length > 2);
-}
+// ---------------- Query Expansion ----------------
+// Title vocabulary + auto synonyms come from books.json, then the catalogue (see src/search)
+const expander = createQueryExpander();
+const getExpandedTokens = expander.expandTokens;
 
 function loadTitleVocabFromFile() {
   try {
     if (!fs.existsSync("books.json")) return;
-    const books = JSON.parse(fs.readFileSync("books.json", "utf8"));
-    BOOKS_CACHE = books;
-    for (const b of books) {
-      const title = b?.title || "";
-      for (const t of tokenizeTitle(title)) {
-        TITLE_VOCAB.add(t);
-      }
-    }
+    expander.loadTitles(JSON.parse(fs.readFileSync("books.json", "utf8")));
   } catch (err) {
     console.warn("⚠️ Failed to load books.json for title vocab:", err.message);
   }
@@ -193,946 +229,473 @@ function loadTitleVocabFromFile() {
 
 loadTitleVocabFromFile();
 
-function buildAutoSynonymsFromTitles() {
-  if (!Array.isArray(BOOKS_CACHE)) return;
-
-  const stop = new Set([
-    "and","for","the","with","using","guide","book","text","textbook","vol","volume",
-    "edition","principles","introduction","approach","basic","advanced","course",
-    "students","student","units","center","modern","engineering","engineers"
-  ]);
-
-  const co = new Map(); // token -> Map(otherToken -> count)
-
-  for (const b of BOOKS_CACHE) {
-    const tokens = tokenizeTitle(b?.title || "").filter(t => !stop.has(t));
-    const uniq = Array.from(new Set(tokens));
-    for (let i = 0; i < uniq.length; i++) {
-      const a = uniq[i];
-      if (!co.has(a)) co.set(a, new Map());
-      const mapA = co.get(a);
-      for (let j = 0; j < uniq.length; j++) {
-        if (i === j) continue;
-        const bTok = uniq[j];
-        mapA.set(bTok, (mapA.get(bTok) || 0) + 1);
-      }
-    }
-  }
-
-  const MAX_SYNS = 6;
-  const MIN_COUNT = 2;
-
-  for (const [token, counts] of co.entries()) {
-    const sorted = Array.from(counts.entries())
-      .filter(([, c]) => c >= MIN_COUNT)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, MAX_SYNS)
-      .map(([t]) => t);
-    if (sorted.length > 0) {
-      AUTO_SYNONYMS[token] = sorted;
-    }
+// Titles edited through the API or an import: rebuild both from the live catalogue
+async function refreshTitleVocab() {
+  try {
+    expander.loadTitles((await loadAllDocs(storage, DB)).filter(d => !isRemoved(d)));
+  } catch (err) {
+    console.warn("⚠️ Failed to refresh title vocab:", err.message);
   }
 }
-
-buildAutoSynonymsFromTitles();
-
-// ---------------- Synonym Map (shared) ----------------
-const SYNONYM_MAP = {
-  // Math
-  maths: ["math", "mathematics"],
-  algebra: ["math", "mathematics", "linear", "equations"],
-  geometry: ["math", "mathematics", "shapes", "proofs"],
-  calculus: ["math", "mathematics", "differential", "integral"],
-  trigonometry: ["math", "mathematics", "angles", "triangles"],
-  statistics: ["math", "mathematics", "probability", "data", "analytics"],
-  probability: ["math", "mathematics", "statistics", "stochastic"],
-  linear: ["algebra", "math", "mathematics"],
-  discrete: ["math", "mathematics", "structures", "logic"],
-  vector: ["algebra", "math", "mathematics"],
-  differential: ["calculus", "math", "mathematics"],
-  integral: ["calculus", "math", "mathematics"],
-  numerical: ["methods", "math", "mathematics"],
-  numericalmethods: ["methods", "math", "mathematics"],
-  matrices: ["linear", "algebra", "math"],
-  optimization: ["math", "mathematics", "operations", "research"],
-  "operations-research": ["optimization", "math", "mathematics"],
-  ops: ["operations", "research", "optimization"],
-
-  // Programming / CS
-  "c++": ["cpp", "programming", "coding", "software", "computer", "cs"],
-  cpp: ["c++", "programming", "coding", "software", "computer", "cs"],
-  "c#": ["csharp", "programming", "coding", "software", "computer", "cs"],
-  csharp: ["c#", "programming", "coding", "software", "computer", "cs"],
-  c: ["programming", "coding", "software", "computer", "cs"],
-  java: ["programming", "coding", "software", "computer", "cs"],
-  python: ["programming", "coding", "software", "computer", "cs"],
-  javascript: ["programming", "coding", "software", "computer", "cs", "web"],
-  typescript: ["programming", "coding", "software", "computer", "cs", "web"],
-  php: ["programming", "coding", "software", "web"],
-  ruby: ["programming", "coding", "software", "web"],
-  go: ["golang", "programming", "coding", "software"],
-  golang: ["go", "programming", "coding", "software"],
-  swift: ["programming", "coding", "software"],
-  kotlin: ["programming", "coding", "software"],
-  scala: ["programming", "coding", "software"],
-  rust: ["programming", "coding", "software"],
-  perl: ["programming", "coding", "software"],
-  bash: ["shell", "scripting", "linux"],
-  shell: ["scripting", "linux", "unix"],
-  scripting: ["programming", "coding", "automation"],
-  programming: ["coding", "software", "computer", "cs"],
-  coding: ["programming", "software", "computer", "cs"],
-  software: ["programming", "coding", "computer", "cs"],
-  computer: ["programming", "coding", "software", "cs"],
-  cs: ["computer", "science", "programming", "coding", "software"],
-
-  // Data Structures & Algorithms
-  dsa: ["data", "structures", "algorithms", "coding", "programming", "cs"],
-  algorithm: ["algorithms", "coding", "programming", "cs"],
-  algorithms: ["algorithm", "coding", "programming", "cs"],
-  datastructure: ["data", "structures", "coding", "programming", "cs"],
-  "data-structure": ["data", "structures", "coding", "programming", "cs"],
-  "data-structures": ["data", "structures", "coding", "programming", "cs"],
-  structures: ["data", "structures", "dsa", "cs"],
-  complexity: ["algorithms", "analysis", "cs"],
-  graph: ["graphs", "algorithms", "ds"],
-  graphs: ["graph", "algorithms", "ds"],
-
-  // Databases / Data
-  dbms: ["database", "databases", "db", "sql", "rdbms"],
-  rdbms: ["dbms", "database", "databases", "sql"],
-  database: ["db", "data", "sql", "storage"],
-  databases: ["database", "db", "data", "sql", "storage"],
-  db: ["database", "data", "sql", "storage"],
-  sql: ["database", "db", "data", "query"],
-  nosql: ["database", "db", "data", "storage"],
-  data: ["analytics", "database", "statistics"],
-  analytics: ["data", "statistics", "business"],
-  datawarehouse: ["warehouse", "database", "etl", "analytics"],
-  warehouse: ["data", "etl", "analytics"],
-  etl: ["data", "pipeline", "warehouse"],
-  mongodb: ["nosql", "database"],
-  mysql: ["sql", "database"],
-  postgresql: ["sql", "database"],
-  oracle: ["sql", "database"],
-
-  // Web / Networking / Security
-  web: ["internet", "network", "http", "www"],
-  networking: ["network", "communications", "protocols"],
-  network: ["networking", "communications", "protocols"],
-  networks: ["network", "networking", "communications"],
-  protocol: ["protocols", "networking"],
-  protocols: ["protocol", "networking"],
-  tcp: ["ip", "networking", "protocols"],
-  udp: ["ip", "networking", "protocols"],
-  http: ["web", "internet"],
-  https: ["web", "security"],
-  security: ["cyber", "cryptography", "network", "systems"],
-  cyber: ["security", "cryptography", "network", "systems"],
-  cryptography: ["security", "cyber", "encryption"],
-  encryption: ["cryptography", "security"],
-  firewall: ["security", "network"],
-  malware: ["security", "cyber"],
-  forensics: ["security", "cyber"],
-  hacking: ["security", "cyber"],
-
-  // Operating Systems / Systems
-  os: ["operating", "systems", "kernel", "computer"],
-  operating: ["os", "systems", "kernel"],
-  systems: ["system", "computer", "os"],
-  system: ["systems", "computer", "os"],
-  linux: ["operating", "systems", "unix"],
-  unix: ["operating", "systems", "linux"],
-  kernel: ["os", "systems"],
-  windows: ["os", "systems"],
-
-  // Electronics / Electrical / Communication
-  electronics: ["electronic", "circuits", "electrical"],
-  electronic: ["electronics", "circuits", "electrical"],
-  circuits: ["electronics", "electrical"],
-  electrical: ["electronics", "circuits", "power"],
-  power: ["electrical", "energy", "machines"],
-  communication: ["communications", "signal", "network"],
-  communications: ["communication", "signal", "network"],
-  signal: ["signals", "communication", "communications"],
-  signals: ["signal", "communication", "communications"],
-  analog: ["electronics", "circuits"],
-  digital: ["electronics", "circuits"],
-  microprocessor: ["processor", "electronics", "computer"],
-  microcontroller: ["embedded", "electronics"],
-  embedded: ["microcontroller", "electronics", "systems"],
-
-  // Mechanical / Civil / Materials
-  mechanics: ["mechanical", "physics", "machines"],
-  mechanical: ["mechanics", "machines", "engineering"],
-  thermodynamics: ["thermal", "heat", "energy", "mechanics"],
-  fluid: ["fluids", "mechanics", "hydraulics"],
-  fluids: ["fluid", "mechanics", "hydraulics"],
-  materials: ["material", "metallurgy", "engineering"],
-  material: ["materials", "metallurgy", "engineering"],
-  metallurgy: ["materials", "material", "engineering"],
-  strength: ["materials", "mechanics"],
-  kinematics: ["mechanics", "physics"],
-  dynamics: ["mechanics", "physics"],
-  hydraulics: ["fluid", "mechanics"],
-  manufacturing: ["production", "engineering"],
-  production: ["manufacturing", "engineering"],
-
-  // Business / Management
-  management: ["business", "strategy", "operations"],
-  business: ["management", "finance", "economics"],
-  finance: ["business", "accounting", "economics"],
-  accounting: ["finance", "business", "economics"],
-  economics: ["business", "finance", "management"],
-  marketing: ["business", "management"],
-  hr: ["management", "business"],
-  operations: ["management", "business"],
-
-  // AI / ML / Data Science
-  ai: ["artificial", "intelligence", "machine", "learning", "ml"],
-  artificial: ["ai", "intelligence"],
-  intelligence: ["ai", "artificial"],
-  ml: ["machine", "learning", "ai"],
-  machine: ["learning", "ai"],
-  learning: ["machine", "ai", "ml"],
-  "data-science": ["data", "analytics", "statistics", "ml"],
-  deeplearning: ["deep", "learning", "ai", "ml"],
-  deep: ["learning", "ai", "ml"],
-  neural: ["networks", "ai", "ml"],
-  nlp: ["language", "ai", "ml"],
-  vision: ["computer vision", "ai"],
-  cv: ["computer vision", "ai"],
-
-  // Physics / Chemistry / Biology
-  physics: ["mechanics", "quantum", "thermodynamics"],
-  quantum: ["physics"],
-  optics: ["physics", "light"],
-  chemistry: ["chemical", "chem"],
-  chemical: ["chemistry"],
-  biology: ["bio", "biological"],
-  bio: ["biology"],
-
-  // Civil / Architecture
-  civil: ["construction", "structural", "engineering"],
-  structural: ["civil", "construction"],
-  architecture: ["design", "building"],
-
-  // Cloud / DevOps
-  cloud: ["computing", "aws", "azure", "gcp"],
-  aws: ["cloud", "computing"],
-  azure: ["cloud", "computing"],
-  gcp: ["cloud", "computing"],
-  devops: ["automation", "ci", "cd"],
-  docker: ["containers", "devops"],
-  kubernetes: ["containers", "devops"],
-
-  // Software Engineering
-  se: ["software", "engineering"],
-  testing: ["software", "qa"],
-  qa: ["testing", "software"]
-};
-
-function getExpandedTokens(text) {
-  const stopWords = new Set([
-    "do","you","have","the","a","an","is","are",
-    "books","book","any","of","for","with","and",
-    "please","want","need","show","find","about",
-    "hi","hello","hey"
-  ]);
-
-  const rawTokens = String(text || "")
-    .toLowerCase()
-    .split(/\W+/)
-    .filter(w => w && w.length > 2 && !stopWords.has(w));
-
-  if (rawTokens.length === 0) return [];
-
-  const tokenSet = new Set(rawTokens);
-  rawTokens.forEach(t => {
-    const extras = SYNONYM_MAP[t];
-    if (extras && Array.isArray(extras)) {
-      extras.forEach(x => tokenSet.add(x));
-    }
-    const auto = AUTO_SYNONYMS[t];
-    if (auto && Array.isArray(auto)) {
-      auto.forEach(x => tokenSet.add(x));
-    }
-  });
-
-  // Morphological variants based on title vocabulary
-  function addIfInVocab(word) {
-    if (word && TITLE_VOCAB.has(word)) {
-      tokenSet.add(word);
+refreshTitleVocab();
+
+// ---------------- Synonym Dictionary ----------------
+// Staff-edited synonyms (src/search/dictionary.js) replace the expander's
+// built-in defaults once loaded, and again after every change
+const synonyms = createSynonymService({
+  storage,
+  synonymsDb: SYNONYMS_DB,
+  onChange: map => expander.setSynonyms(map)
+});
+app.use(createSynonymsRouter({ synonyms }));
+synonyms.load()
+  .then(size => console.log(`📚 Synonym dictionary ready: ${size} entries`))
+  .catch(err => console.error("❌ Failed to load the synonym dictionary, using the defaults:", err.message));
+synonyms.startReloadPoll();
+
+// ---------------- Circulation + Hold Routes ----------------
+const holds = createHoldService({ storage, booksDb: DB, holdsDb: HOLDS_DB });
+app.use(createCirculationRouter({ storage, booksDb: DB, loansDb: LOANS_DB, holds }));
+app.use(createHoldsRouter({ holds }));
+holds.startExpirySweep();
+
+// ---------------- Book CRUD Routes ----------------
+// A new book, or one whose embedded text changed, is embedded right away (or
+// left for the next embedding job if that fails) and the search vocabulary
+// follows title changes
+app.use(createBooksRouter({
+  storage,
+  booksDb: DB,
+  loansDb: LOANS_DB,
+  holds,
+  async prepare(doc, previous) {
+    if (previous && embeddingTemplate.isCurrent(doc) && embeddingInput(previous) === embeddingInput(doc)) return doc;
+    const { embedding, embedding_model, embedding_template, embedding_updated_at, ...rest } = doc;
+    if (!SEMANTIC_SEARCH || embedder.circuits.embed.isOpen()) return rest;
+    try {
+      const [vector] = await getEmbeddings([embeddingInput(doc)]);
+      if (!Array.isArray(vector)) return rest;
+      return { ...rest, embedding: vector, ...embeddingTemplate.stamp() };
+    } catch (err) {
+      console.warn(`⚠️ Book ${doc._id || doc.title} saved without an embedding:`, err.message);
+      return rest;
     }
+  },
+  async changed(doc, previous) {
+    if (doc && !isRemoved(doc)) vectorIndex.upsert(doc);
+    else vectorIndex.remove(previous._id);
+    if (doc?.title !== previous?.title) await refreshTitleVocab();
   }
-
-  rawTokens.forEach(t => {
-    if (t.endsWith("ies") && t.length > 4) addIfInVocab(t.slice(0, -3) + "y");
-    if (t.endsWith("es") && t.length > 4) addIfInVocab(t.slice(0, -2));
-    if (t.endsWith("s") && t.length > 3) addIfInVocab(t.slice(0, -1));
-    if (!t.endsWith("s")) {
-      addIfInVocab(t + "s");
-      addIfInVocab(t + "es");
-    }
-    if (t.endsWith("ics") && t.length > 4) addIfInVocab(t.slice(0, -1));
-    if (t.endsWith("ic") && t.length > 3) addIfInVocab(t + "s");
-    if (t.endsWith("ing") && t.length > 5) addIfInVocab(t.slice(0, -3));
-  });
-
-  return Array.from(tokenSet);
-}
-
-// ---------------- Embedding Build Route ----------------
-app.post("/build-embeddings", async (req, res) => {
-  try {
-    const force = Boolean(req.body?.force);
-
-    const allDocs = await cloudant.postAllDocs({
-      db: DB,
-      includeDocs: true,
-      limit: 5000
-    });
-
-    const docs = allDocs.result.rows
-      .map(r => r.doc)
-      .filter(Boolean);
-
-    const toEmbed = docs.filter(d => force || !Array.isArray(d.embedding));
-
-    if (toEmbed.length === 0) {
-      return res.json({ ok: true, updated: 0, total: docs.length, message: "No documents need embedding." });
-    }
-
-    let updated = 0;
-    for (let i = 0; i < toEmbed.length; i += EMBED_BATCH) {
-      const batch = toEmbed.slice(i, i + EMBED_BATCH);
-      const inputs = batch.map(d => {
-        const title = String(d.title || "").trim();
-        const author = String(d.author || "").trim();
-        return `${title}. ${author}`.trim();
-      });
-
-      const embeddings = await getEmbeddings(inputs);
-      const updatedDocs = batch.map((d, idx) => ({
-        ...d,
-        embedding: embeddings[idx],
-        embedding_model: EMBED_MODEL,
-        embedding_updated_at: new Date().toISOString()
-      }));
-
-      const bulkResp = await cloudant.postBulkDocs({
-        db: DB,
-        bulkDocs: { docs: updatedDocs }
-      });
-
-      updated += bulkResp.result.filter(r => r.ok).length;
-    }
-
-    return res.json({ ok: true, updated, total: docs.length, model: EMBED_MODEL });
-  } catch (err) {
-    console.error("❌ build-embeddings error:", err.message);
-    res.status(500).json({
-      ok: false,
-      error: err.message,
-      details: err.response?.data || null
-    });
+}));
+
+// ---------------- Embedding Jobs ----------------
+// Builds run as persistent background jobs (src/jobs.js); each committed batch
+// goes straight into the vector index, which is rebuilt when the job ends
+const jobs = createEmbeddingJobService({
+  storage,
+  jobsDb: JOBS_DB,
+  booksDb: DB,
+  embed: getEmbeddings,
+  embedModel: EMBED_MODEL,
+  templateVersion: embeddingTemplate.version,
+  inputFor: embeddingInput,
+  stamp: embeddingTemplate.stamp,
+  // Without force a job only covers books with no vector or a stale one
+  needsEmbedding: (d, { force }) => !isRemoved(d) && (force || !embeddingTemplate.isCurrent(d)),
+  batchSize: EMBED_BATCH,
+  onBatch(docs) {
+    if (SEMANTIC_SEARCH) docs.forEach(d => vectorIndex.upsert(d));
+  },
+  async onFinished(job) {
+    if (job.docs_updated > 0) await rebuildVectorIndex();
   }
 });
+app.use(createJobsRouter({ jobs }));
+jobs.resumeJobs().catch(err => console.error("❌ Failed to resume embedding jobs:", err.message));
 
-app.post("/import-books", async (req, res) => {
+// How many stored vectors are current; the stale ones are what a job without `force` rebuilds
+app.get("/embeddings/status", requireRole("admin"), async (req, res) => {
   try {
-    const books = JSON.parse(
-      fs.readFileSync("books.json", "utf8")
-    );
-
-    // Attach _rev for existing docs so bulk update doesn't conflict
-    const existing = await cloudant.postAllDocs({
-      db: DB,
-      includeDocs: false,
-      limit: 10000
-    });
-    const revMap = new Map(
-      existing.result.rows.map(r => [r.id, r.value?.rev]).filter(([id, rev]) => id && rev)
-    );
-
-    const docsToUpsert = books.map(b => {
-      const doc = { ...b };
-      const rev = revMap.get(doc._id);
-      if (rev) doc._rev = rev;
-      return doc;
-    });
-
-    const response = await cloudant.postBulkDocs({
-      db: DB,
-      bulkDocs: {
-        docs: docsToUpsert
-      }
-    });
-
-    const successCount = response.result.filter(r => r.ok).length;
-    const errorCount = response.result.filter(r => r.error).length;
-
+    const books = { total: 0, current: 0, missing: 0, model: 0, template: 0 };
+    for (const doc of await loadAllDocs(storage, DB)) {
+      if (isRemoved(doc)) continue;
+      books.total += 1;
+      books[embeddingTemplate.staleReason(doc) ?? "current"] += 1;
+    }
     res.json({
       ok: true,
-      inserted: successCount,
-      failed: errorCount,
-      total: books.length
+      model: EMBED_MODEL,
+      template: { version: embeddingTemplate.version, text: embeddingTemplate.template },
+      books
     });
   } catch (err) {
-    console.error("❌ Import failed:", err.message);
+    console.error("❌ Embedding status failed:", err.message);
     res.status(500).json({ ok: false, error: err.message });
   }
 });
 
+// ---------------- Catalogue Import Route ----------------
+// JSON, CSV or MARC uploads (or books.json); see src/import
+app.use(createImportRouter({
+  storage,
+  booksDb: DB,
+  holds,
+  embeddingInput,
+  async done() {
+    await rebuildVectorIndex();
+    await refreshTitleVocab();
+  }
+}));
 
 
 
 
-async function searchBooks(userQuery) {
-  try {
-    const tokens = getExpandedTokens(userQuery);
-    const luceneTokens = tokens;
-
-    if (tokens.length === 0) {
-      return [];
-    }
 
-    const codingKeywords = new Set([
-      "coding","programming","program","software","computer","cs","dsa","algorithm","algorithms",
-      "structures","datastructures","data-structures","data structure","data structures",
-      "compiler","java","python","javascript","typescript","c++","cpp","c#","csharp"
-    ]);
-    const looksLikeCodingQuery = tokens.some(t => codingKeywords.has(t));
-
-    // Stricter DSA intent: require algorithm/data-structure indicators, not generic "data"
-    const dsaIndicators = [
-      "dsa","algorithm","algorithms","data structure","data structures","data-structure","data-structures","datastructures"
-    ];
-    const looksLikeDSAQuery = tokens.some(t => dsaIndicators.includes(t)) || /data\s+structure|algorithms?/i.test(userQuery);
-
-    function isCodingBook(b) {
-      const t = String(b?.title || "").toLowerCase();
-      const a = String(b?.author || "").toLowerCase();
-      return Array.from(codingKeywords).some(k => t.includes(k) || a.includes(k));
-    }
+// ---------------- Hybrid Search ----------------
+// Fusion method, channel weights and boosts come from RANK_* (see src/search/ranking.js)
+const ranker = createRanker();
+console.log(`🏁 Ranking: ${ranker.config.fusion}, lexical ${ranker.config.weights.lexical} / semantic ${ranker.config.weights.semantic}`);
 
-    function isDSABook(b) {
-      const t = String(b?.title || "").toLowerCase();
-      return dsaIndicators.some(k => t.includes(k));
-    }
-
-    // 2️⃣ Hybrid search: semantic + keyword
-    let semanticDocs = [];
-    if (SEMANTIC_SEARCH) {
-      try {
-        const queryEmb = (await getEmbeddings([userQuery]))[0];
-        if (queryEmb && Array.isArray(queryEmb)) {
-          const allDocs = await cloudant.postAllDocs({
-            db: DB,
-            includeDocs: true,
-            limit: 5000
-          });
-
-          semanticDocs = allDocs.result.rows
-            .map(r => r.doc)
-            .filter(d => Array.isArray(d?.embedding))
-            .map(d => ({
-              doc: d,
-              score: cosineSimilarity(queryEmb, d.embedding)
-            }))
-            .sort((a, b) => b.score - a.score)
-            .slice(0, 20);
-        }
-      } catch (e) {
-        console.warn("⚠️ Semantic search failed, falling back to keyword search:", e.message);
-      }
-    }
+const { search: searchBooks } = createSearchService({
+  storage,
+  booksDb: DB,
+  expander,
+  ranker,
+  vectorIndex,
+  embedder,
+  semantic: SEMANTIC_SEARCH
+});
+app.use(createSearchRouter({ search: searchBooks }));
+
+// ---------------- Query Log + Analytics ----------------
+// /ask-ai questions and catalog searches with their outcome, for the staff
+// reports in src/queryLog.js; retention and anonymisation come from QUERY_LOG_*
+const queryLog = createQueryLogService({ storage, queriesDb: QUERIES_DB, explain: expander.explainTokens });
+app.use(createQueryLogRouter({ queryLog }));
+queryLog.startRetentionSweep();
+
+// ---------------- Catalog Search API ----------------
+app.use(createCatalogRouter({
+  storage,
+  booksDb: DB,
+  search: searchBooks,
+  expandTokens: getExpandedTokens,
+  suggest: expander.suggest,
+  onSearch: ({ query, user, books, total, latencyMs, error }) => queryLog.record({ route: "books", query, user, books, total, latencyMs, error })
+}));
+app.use(createExportRouter({ storage, booksDb: DB, search: searchBooks, expandTokens: getExpandedTokens }));
+
+// ---------------- Inventory Reply Generation (watsonx formatting) ----------------
+const grounding = createGroundingValidator();
+
+async function generateInventoryReply({ query, books, pageLimit = null, onToken = null, signal }) {
+  const resultsFound = Array.isArray(books) ? books.length : 0;
+
+  // ————————————————
+  // 3️⃣ BUILD INVENTORY CONTEXT TEXT
+  let inventoryContext;
+  if (resultsFound === 0) {
+    if (pageLimit) {
+      inventoryContext = `No books match that page limit. All available books appear to be over ${pageLimit} pages.`;
+    } else {
+      inventoryContext = "No books in the library inventory match this query.";
+    }
+  } else {
+    inventoryContext = books
+      .map((b, index) => {
+        // safe field extraction (the grounding check compares against the same values)
+        const { title, author, copies, location, maxPages } = inventoryFields(b);
+        const pagesLine = maxPages ? `\n  Max Pages: ${maxPages}` : "";
+        return `• ${index + 1}. Title: ${title}\n  Author: ${author}\n  Copies: ${copies}\n  Location: ${location}${pagesLine}`;
+      })
+      .join("\n\n");
+  }
 
-    // 3️⃣ Build Lucene query
-    const terms = [];
-    luceneTokens.forEach(t => {
-      const clean = t.replace(/[^a-z0-9]/gi, "").trim();
-      if (clean) {
-        terms.push(`title:${clean}`, `author:${clean}`);
-        // Light wildcard for partial matches (e.g., "math" -> "mathematics")
-        if (clean.length >= 4) {
-          terms.push(`title:${clean}*`);
-        }
-      }
-    });
+  // ————————————————
+  // 4️⃣ BUILD AI PROMPT (robust + instructive)
+  const prompt = `
+You are Libra, an expert library assistant AI.
 
-    // Join with OR for ANY match
-    const luceneQuery = terms.join(" OR ");
+Below are books from the library inventory matching the user’s query:
 
-    // 4️⃣ Execute Cloudant full-text search
-    const response = await cloudant.postSearch({
-      db: DB,
-      ddoc: "book_search",
-      index: "books",
-      query: luceneQuery,
-      limit: 5
-    });
+${inventoryContext}
 
-    const docs = [];
-    for (const row of response.result.rows) {
-      if (row.id) {
-        const docRes = await cloudant.getDocument({ db: DB, docId: row.id });
-        docs.push(docRes.result);
-      }
-    }
+User query:
+"${query}"
 
-    // 5️⃣ Merge semantic + keyword (hybrid) with ranking
-    const ignoreTokens = new Set(["under","below","less","than","upto","up","to","pages","page"]);
-    const queryContentTokens = tokens.filter(t => /[a-z]/i.test(t) && !ignoreTokens.has(t));
+Answer the query using ONLY the inventory above.
 
-    function computeKeywordScore(doc) {
-      const text = `${doc?.title || ""} ${doc?.author || ""}`.toLowerCase();
-      let count = 0;
-      for (const t of queryContentTokens) {
-        if (text.includes(t)) count += 1;
-      }
-      let score = 1 + count / 10;
-      if (looksLikeCodingQuery && Array.from(codingKeywords).some(k => text.includes(k))) {
-        score += 0.5;
-      }
-      return score;
-    }
+RULES:
+1. Provide exactly up to 5 book entries maximum.
+2. Do NOT list more than 5.
+3. Each entry must be formatted as:
+   1. Title: …
+      Author: …
+      Copies: …
+      Location: …
+      Max Pages: …
+4. After listing the books (or saying none are available), output the single token:
+   [END_OF_ANSWER]
+5. Do NOT generate anything after [END_OF_ANSWER].
 
-    const keywordDocs = docs.map(d => ({
-      doc: d,
-      score: computeKeywordScore(d)
-    }));
-
-    const combinedRaw = [...keywordDocs, ...semanticDocs];
-    const bestById = new Map();
-    for (const item of combinedRaw) {
-      const id = item?.doc?._id || item?.doc?.id;
-      if (!id) continue;
-      const prev = bestById.get(id);
-      if (!prev || item.score > prev.score) {
-        bestById.set(id, item);
-      }
-    }
+Start your answer now:
+`;
 
-    let combined = Array.from(bestById.values())
-      .sort((a, b) => b.score - a.score)
-      .map(x => x.doc);
+  // ————————————————
+  // 5️⃣ CALL THE GENERATION PROVIDER (model, parameters and stop sequences come from config)
+  // 6️⃣ EXTRACT RAW MODEL OUTPUT (streamed token by token when a listener is given)
+  // While the generation circuit is open, or if the model fails before writing
+  // anything, the same books are rendered from a fixed template instead.
+  if (llm.circuits.generate.isOpen()) {
+    return renderInventoryFallback({ books, pageLimit, onToken });
+  }
 
-    if (looksLikeDSAQuery) {
-      combined = combined.filter(isDSABook);
-    } else if (looksLikeCodingQuery) {
-      combined = combined.filter(isCodingBook);
+  // Streamed tokens go through the grounding check entry by entry (see src/grounding.js)
+  let rawReply;
+  let streamed = false;
+  let stream = null;
+  try {
+    if (onToken) {
+      stream = createGroundedStream(books, text => {
+        streamed = true;
+        onToken(text);
+      });
+      const sanitizer = createStreamSanitizer(text => stream.push(text));
+      rawReply = await llm.generate(prompt, {
+        signal,
+        onChunk: chunk => {
+          sanitizer.push(chunk);
+          return !sanitizer.finished && !signal?.aborted;
+        }
+      });
+    } else {
+      rawReply = await llm.generate(prompt, { signal });
     }
-
-    return combined.slice(0, 5);
-  } catch (e) {
-    console.error("❌ Cloudant Search Error:", e.response?.data || e.message);
-    return [];
+  } catch (err) {
+    if (streamed || signal?.aborted) throw err;
+    console.warn("⚠️ Generation unavailable, using template reply:", err.message);
+    return renderInventoryFallback({ books, pageLimit, onToken });
   }
+  // The client went away while the model was writing: nothing left to answer
+  if (signal?.aborted) throw new Error("Client disconnected");
+
+  // ————————————————
+  // 7️⃣ CLEAN & VALIDATE AI OUTPUT (entries are checked against the inventory above)
+  const { reply } = grounding.validate(sanitizeReply(rawReply), books, { query, pageLimit });
+  stream?.finish(reply);
+  return reply;
 }
 
+// Template reply used while generation is unavailable
+function renderInventoryFallback({ books, pageLimit = null, onToken = null }) {
+  const reply = renderInventoryTemplate(books, { pageLimit });
+  if (onToken) onToken(reply);
+  return reply;
+}
 
+// Remove accidental prompt fragments and stop markers from generated text
+function stripReplyArtifacts(text) {
+  return text
+    .replace(/Below is a list of library inventory items that may match the student's request:/gi, "")
+    .replace(/USER QUERY:/gi, "")
+    .replace(/INSTRUCTIONS:/gi, "")
+    .replace(/\[END_OF_ANSWER\]/gi, "")
+    .replace(/\[LIBRA_END\]/gi, "")
+    .replace(/\[STOP\]/gi, "");
+}
 
+function sanitizeReply(rawReply) {
+  const formattedReply = stripReplyArtifacts(String(rawReply || "")).trim();
 
+  // Guaranteed fallback
+  if (!formattedReply || formattedReply.length < 3) {
+    return "Not available in the library inventory.";
+  }
+  return formattedReply;
+}
 
+// Incremental version of sanitizeReply for streaming: stops at [END_OF_ANSWER]
+// and holds back a trailing "[..." that may be the start of a marker.
+function createStreamSanitizer(onToken) {
+  let raw = "";
+  let emitted = "";
+  let finished = false;
 
+  return {
+    get finished() {
+      return finished;
+    },
+    push(chunk) {
+      if (finished) return;
+      raw += chunk;
+      const stopAt = raw.search(/\[END_OF_ANSWER\]/i);
+      if (stopAt !== -1) {
+        raw = raw.slice(0, stopAt);
+        finished = true;
+      }
 
+      let safe = raw;
+      const open = raw.lastIndexOf("[");
+      if (!finished && open !== -1 && !raw.includes("]", open) && raw.length - open < 20) {
+        safe = raw.slice(0, open);
+      }
 
+      const cleaned = stripReplyArtifacts(safe).trimStart();
+      // A fragment removed after the fact breaks the prefix; the final reply covers it
+      if (cleaned.startsWith(emitted) && cleaned.length > emitted.length) {
+        onToken(cleaned.slice(emitted.length));
+        emitted = cleaned;
+      }
+    }
+  };
+}
 
-
-
-
-
-
-
-
-
-
+// ---------------- Intent Router ----------------
+// /ask-ai questions go to the registered intents (src/intents); with
+// INTENT_LLM_FALLBACK=true the model classifies what no rule matched
+const INTENT_LLM_FALLBACK = (process.env.INTENT_LLM_FALLBACK || "false").toLowerCase() === "true";
+const intents = createIntentRouter({
+  fallback: "small_talk",
+  classifier: INTENT_LLM_FALLBACK ? createLlmIntentClassifier({ llm }) : null
+});
+createLibraryIntents({
+  storage,
+  booksDb: DB,
+  search: searchBooks,
+  expandTokens: getExpandedTokens,
+  holds,
+  generateReply: generateInventoryReply
+}).forEach(intent => intents.register(intent));
 
 // ---------------- Student-Focused Ask AI Route ----------------
-app.post("/ask-ai", async (req, res) => {
+const conversations = createConversationStore();
+
+// POST /ask-ai/stream (or /ask-ai with `Accept: text/event-stream`) answers over SSE:
+// `results` as soon as the search returns, `token` chunks while the model writes
+// (each book entry once it has passed the grounding check), then `done` with the
+// same payload the JSON route returns. Closing the stream cancels the generation.
+//
+// Every reply carries `intent` (what the question was understood as), its
+// `confidence`, `didYouMean` (the query with misspellings corrected, or null)
+// and `books` (the matched books, see bookResult); `reply` is the narrative text.
+app.post(["/ask-ai", "/ask-ai/stream"], async (req, res) => {
+  const started = Date.now();
+  let sse = null;
   try {
+    if (!req.body) {
+      return res.status(400).json({ ok: false, error: "Request body must be a JSON object" });
+    }
     const { query } = req.body;
     if (!query || typeof query !== "string" || query.trim().length === 0) {
       return res.status(400).json({ ok: false, error: "Missing or invalid query text" });
     }
+    if (req.path === "/ask-ai/stream" || wantsEventStream(req)) {
+      sse = openEventStream(res);
+    }
+    const onToken = sse ? text => sse.send("token", { text }) : null;
+    const sendResults = (intent, books) => sse?.send("results", {
+      intent,
+      resultsFound: books.length,
+      books: books.map(bookResult)
+    });
 
     const trimmedQuery = query.trim();
     const lowerQ = trimmedQuery.toLowerCase();
-    const effectiveQuery = trimmedQuery;
-
-    // Lightweight intent hints for "works now" queries
-    const extraTerms = [];
-    if (/\bexam\b|\bpreparation\b|\bprep\b/i.test(effectiveQuery)) {
-      extraTerms.push("guide", "practice", "review");
-    }
-    if (/\bpractice\b|\bquestions?\b|\bproblem(s)?\b/i.test(effectiveQuery)) {
-      extraTerms.push("practice", "problems", "questions");
-    }
-    if (/\bprojects?\b|\bfinal year\b/i.test(effectiveQuery)) {
-      extraTerms.push("project", "design", "applications");
-    }
-    if (/\bwith\s+diagrams?\b|\bdiagram(s)?\b/i.test(effectiveQuery)) {
-      extraTerms.push("diagram", "illustrated");
-    }
-    if (/\bsimple\b|\beasy\b|\bbasics?\b/i.test(effectiveQuery)) {
-      extraTerms.push("introduction", "basic", "fundamentals");
-    }
-    if (/\bpractical\b|\bexamples?\b/i.test(effectiveQuery)) {
-      extraTerms.push("examples", "applications", "hands-on");
-    }
-    if (/\bgraphics\b/i.test(effectiveQuery)) {
-      extraTerms.push("graphics", "visual");
-    }
 
-    // Intent: copies of a specific book/topic (e.g., "how many copies of database books")
-    const copiesOfMatch = lowerQ.match(/\bhow\s+many\s+copies\s+(?:of|for)\s+(.+)/);
-    if (copiesOfMatch && copiesOfMatch[1]) {
-      let subject = copiesOfMatch[1].trim();
-      subject = subject
-        .replace(/\b(do you have|available|in stock|right now|are there)\b/gi, "")
-        .replace(/[?!.]+/g, "")
-        .trim();
-      const books = await searchBooks(subject);
-      const totalCopies = books.reduce((sum, b) => {
-        const c = Number.isFinite(b?.copies) ? b.copies : 0;
-        return sum + c;
-      }, 0);
-
-      return res.json({
-        ok: true,
-        query,
-        resultsFound: books.length,
-        reply: books.length
-          ? `Found ${books.length} matching book(s) for "${subject}" with a total of ${totalCopies} copies.`
-          : `No matching books found for "${subject}".`
-      });
-    }
+    // Conversation context: every reply carries the sessionId, and result sets
+    // are remembered so the next turn can refer back to them
+    const session = conversations.get(req.body.sessionId);
 
-    // Intent: availability of a specific book/topic (e.g., "is compiler design available")
-    const availabilityMatch = lowerQ.match(/\b(?:is|are)\s+(.+?)\s+available\b|\bavailability\s+of\s+(.+)/);
-    if (availabilityMatch) {
-      const subject = (availabilityMatch[1] || availabilityMatch[2] || "").trim();
-      if (subject) {
-        const books = await searchBooks(subject);
-        const availableBooks = books.filter(b => b?.available === true);
-        const totalCopies = books.reduce((sum, b) => sum + (Number.isFinite(b?.copies) ? b.copies : 0), 0);
-        const availableCopies = availableBooks.reduce((sum, b) => sum + (Number.isFinite(b?.copies) ? b.copies : 0), 0);
-
-        return res.json({
-          ok: true,
-          query,
-          resultsFound: books.length,
-          reply: books.length
-            ? `Found ${books.length} matching book(s). Available copies: ${availableCopies} (total copies: ${totalCopies}).`
-            : `No matching books found for "${subject}".`
-        });
-      }
+    // Follow-ups ("who wrote the second one?", "any of those under 300 pages?")
+    // resolve against the previous result set before an intent is picked
+    let followUp = null;
+    if (looksLikeFollowUp(lowerQ)) {
+      const previous = await conversations.previousResults(session, req.body.context, searchBooks);
+      followUp = resolveFollowUp(trimmedQuery, previous);
     }
 
-    // Direct inventory stats queries
-    const totalCountMatch = lowerQ.match(/\bhow\s+many\s+(?:total\s+)?(books|titles|items)\b|\btotal\s+(books|titles|items)\b/);
-    const availableCountMatch = lowerQ.match(/\bhow\s+many\s+available\s+(books|titles|items)\b/);
-    const copiesMatch = lowerQ.match(/\bhow\s+many\s+copies\b|\btotal\s+copies\b/);
-    let topicCountMatch = lowerQ.match(/\bhow\s+many\s+([a-z0-9+#+-]+)\s+books?\b/);
-    if (topicCountMatch && ["total", "all"].includes(topicCountMatch[1])) {
-      topicCountMatch = null;
-    }
-    if (totalCountMatch) {
-      topicCountMatch = null;
-    }
-
-    if (totalCountMatch || availableCountMatch || copiesMatch || topicCountMatch) {
-      try {
-        let total = 0;
-        let docs = null;
-
-        // Prefer counting actual docs to avoid stale/incorrect doc_count
-        if (totalCountMatch || availableCountMatch || copiesMatch || topicCountMatch) {
-          const allDocs = await cloudant.postAllDocs({
-            db: DB,
-            includeDocs: true,
-            limit: 10000
-          });
-          docs = allDocs.result.rows.map(r => r.doc).filter(Boolean);
-          total = docs.length;
-        } else {
-          const info = await cloudant.getDatabaseInformation({ db: DB });
-          total = info.result?.doc_count ?? 0;
-        }
-
-        if (availableCountMatch || copiesMatch || topicCountMatch) {
-          const availableCount = docs.filter(d => d.available === true).length;
-          const totalCopies = docs.reduce((sum, d) => {
-            const c = Number.isFinite(d?.copies) ? d.copies : 0;
-            return sum + c;
-          }, 0);
-
-          if (topicCountMatch) {
-            const topic = topicCountMatch[1];
-            const topicAliases = new Set(getExpandedTokens(topic));
-            if (topicAliases.size === 0) topicAliases.add(topic.toLowerCase());
-
-            const count = docs.filter(d => {
-              const title = String(d?.title || "").toLowerCase();
-              const author = String(d?.author || "").toLowerCase();
-              return Array.from(topicAliases).some(t => title.includes(t) || author.includes(t));
-            }).length;
-
-            return res.json({
-              ok: true,
-              query,
-              resultsFound: 0,
-              reply: `There are ${count} ${topic} books in the inventory.`
-            });
-          }
-
-          if (availableCountMatch) {
-            return res.json({
-              ok: true,
-              query,
-              resultsFound: 0,
-              reply: `There are ${availableCount} available books in the inventory.`
-            });
-          }
-
-          if (copiesMatch) {
-            return res.json({
-              ok: true,
-              query,
-              resultsFound: 0,
-              reply: `There are ${totalCopies} total copies in the inventory.`
-            });
-          }
-        }
-
-        return res.json({
-          ok: true,
-          query,
-          resultsFound: 0,
-          reply: `There are ${total} books in the library inventory.`
-        });
-      } catch (err) {
-        console.error("❌ Stats query failed:", err.message);
-        return res.status(500).json({ ok: false, error: "Failed to fetch inventory stats" });
-      }
-    }
-
-    // Optional page-limit intent (e.g., "under 400 pages", "less than 350 pages")
-    const pageLimitMatch = effectiveQuery.toLowerCase().match(/\b(?:under|below|less\s+than|upto|up\s+to)\s+(\d{2,4})\s*pages?\b/);
-    const pageLimit = pageLimitMatch ? Number(pageLimitMatch[1]) : null;
-
-    // ————————————————
-    // 1️⃣ GET IBM TOKEN
-    const token = await getAccessToken();
-    if (!token) throw new Error("Failed to get IBM Access Token");
-
-
-     const lowerQuery = effectiveQuery.toLowerCase().trim();
-    const BOOK_QUERY_KEYWORDS = [
-      "book",
-      "books",
-      "read",
-      "find",
-      "author",
-      "title",
-      "have",
-      "available",
-      "inventory",
-      "copy",
-      "copies",
-      "where",
-      "which",
-      "what",
-      "do you have",
-      "search"
-    ];
-
-    const looksLikeBookQuery = BOOK_QUERY_KEYWORDS.some(keyword =>
-      lowerQuery.includes(keyword)
-    );
-
-    if (!looksLikeBookQuery) {
-      return res.json({
-        ok: true,
-        query,
-        resultsFound: 0,
-        reply: "Hi! If you’re looking for books or need help finding something in the library, just ask me about specific topics, titles, or authors 😊"
-      });
-    }
-    // ————————— End casual query handling —————————
-
-    // (Level prompting removed)
-
-    // Continue with inventory search…
-
-    
-    // ————————————————
-    // 2️⃣ SEARCH INVENTORY (full-text Lucene search)
-    // NLP-style query expansion (safe): expand but always search inventory
-    const searchQuery = extraTerms.length > 0
-      ? `${effectiveQuery} ${extraTerms.join(" ")}`.trim()
-      : effectiveQuery;
-
-    let books = await searchBooks(searchQuery);
-
-    // (Level filtering removed)
-
-    // Apply page filter if requested and field exists
-    if (pageLimit && Array.isArray(books)) {
-      books = books.filter(b => Number.isFinite(b?.max_pages) && b.max_pages <= pageLimit);
-    }
-
-    // De-duplicate by title + author
-    if (Array.isArray(books)) {
-      const seen = new Set();
-      books = books.filter(b => {
-        const title = String(b?.title || "").trim().toLowerCase();
-        const author = String(b?.author || "").trim().toLowerCase();
-        const key = `${title}||${author}`;
-        if (!title) return false;
-        if (seen.has(key)) return false;
-        seen.add(key);
-        return true;
-      });
-    }
-
-    // Build number of matches
-    const resultsFound = Array.isArray(books) ? books.length : 0;
-
-    // ————————————————
-    // 3️⃣ BUILD INVENTORY CONTEXT TEXT
-    let inventoryContext;
-    if (resultsFound === 0) {
-      if (pageLimit) {
-        inventoryContext = `No books match that page limit. All available books appear to be over ${pageLimit} pages.`;
-      } else {
-        inventoryContext = "No books in the library inventory match this query.";
-      }
-    } else {
-      inventoryContext = books
-        .map((b, index) => {
-          // safe field extraction
-          const title = String(b.title || "Unknown Title").trim();
-          const author = String(b.author || "Unknown Author").trim();
-          const copies = Number.isInteger(b.copies) ? b.copies : 0;
-          const location = String(b.location || "Unknown Location").trim();
-          const maxPages = Number.isInteger(b.max_pages) ? b.max_pages : null;
-          const pagesLine = maxPages ? `\n  Max Pages: ${maxPages}` : "";
-          return `• ${index + 1}. Title: ${title}\n  Author: ${author}\n  Copies: ${copies}\n  Location: ${location}${pagesLine}`;
-        })
-        .join("\n\n");
-    }
-
-    // ————————————————
-    // 4️⃣ BUILD AI PROMPT (robust + instructive)
-const prompt = `
-You are Libra, an expert library assistant AI.
-
-Below are books from the library inventory matching the user’s query:
-
-${inventoryContext}
-
-User query:
-"${query}"
-
-Answer the query using ONLY the inventory above.
-
-RULES:
-1. Provide exactly up to 5 book entries maximum.
-2. Do NOT list more than 5.
-3. Each entry must be formatted as:
-   1. Title: …
-      Author: …
-      Copies: …
-      Location: …
-      Max Pages: …
-4. After listing the books (or saying none are available), output the single token:
-   [END_OF_ANSWER]
-5. Do NOT generate anything after [END_OF_ANSWER].
-
-Start your answer now:
-`;
-
-
-
-    // ————————————————
-    // 5️⃣ CALL watsonx.ai GRANITE (safely)
-const aiResponse = await axios.post(
-  `${process.env.IBM_URL}/ml/v1/text/generation?version=2024-05-31`,
-  {
-    model_id: "ibm/granite-3-3-8b-instruct",
-    input: prompt,
-    parameters: {
-      max_new_tokens: 400,  // larger budget
-      temperature: 0.0,
-      stop_sequences: ["[END_OF_ANSWER]"]  // safe stop delimiter
-    },
-    project_id: process.env.PROJECT_ID,
-  },
-  {
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
-    },
-  }
-);
-
-
-    // ————————————————
-    // 6️⃣ EXTRACT RAW MODEL OUTPUT
-    const rawReply = aiResponse.data.results?.[0]?.generated_text || "";
-
-    // ————————————————
-    // 7️⃣ CLEAN & VALIDATE AI OUTPUT
-    // Remove accidental prompt fragments
-    let formattedReply = rawReply
-      .replace(/Below is a list of library inventory items that may match the student's request:/gi, "")
-      .replace(/USER QUERY:/gi, "")
-      .replace(/INSTRUCTIONS:/gi, "")
-      .trim();
-    
-      formattedReply = formattedReply
-  .replace(/\[END_OF_ANSWER\]/gi, "")
-  .replace(/\[LIBRA_END\]/gi, "")
-  .replace(/\[STOP\]/gi, "")
-  .trim();
-
-    // Guaranteed fallback
-    if (!formattedReply || formattedReply.length < 3) {
-      formattedReply = "Not available in the library inventory.";
-    }
+    const result = await intents.route({
+      query,
+      lowerQ,
+      user: req.user,
+      member: () => memberFor(req, req.body.member),
+      followUp,
+      onToken,
+      onResults: sendResults,
+      signal: sse?.signal
+    });
 
-    // ————————————————
-    // 8️⃣ SEND RESPONSE
-    res.json({
+    // `remember: false` shows books without replacing the remembered list
+    const books = result.books ?? null;
+    if (result.remember ?? books !== null) conversations.remember(session, trimmedQuery, books);
+    const body = {
       ok: true,
       query,
-      resultsFound,
-      reply: formattedReply
+      resultsFound: result.resultsFound,
+      reply: result.reply,
+      intent: result.intent,
+      confidence: result.classification.confidence,
+      // Misspelt words were searched as corrected; the student sees the correction
+      didYouMean: expander.suggest(trimmedQuery),
+      books: (books || []).map(bookResult),
+      sessionId: session.id
+    };
+    // Answers without a book list (counts, small talk) are not searches
+    queryLog.record({
+      route: "ask-ai",
+      query: trimmedQuery,
+      user: req.user,
+      intent: result.intent,
+      confidence: result.classification.confidence,
+      books,
+      total: result.resultsFound,
+      searched: books !== null,
+      latencyMs: Date.now() - started
     });
+    if (sse) {
+      sse.send("done", body);
+      return sse.end();
+    }
+    res.json(body);
   } catch (error) {
+    // A streaming client that went away cancels its generation; nobody to answer
+    if (sse?.closed) {
+      console.log(`🔌 /ask-ai stream closed by the client after ${Date.now() - started}ms`);
+      queryLog.record({
+        route: "ask-ai",
+        query: String(req.body?.query ?? "").trim(),
+        user: req.user,
+        latencyMs: Date.now() - started,
+        error: "client disconnected"
+      });
+      return;
+    }
     console.error("❌ ask-ai error:", {
       message: error.message,
       details: error.response?.data || null
     });
-    res.status(500).json({
-      ok: false,
-      error: "AI generation failed or search failed",
-      details: error.response?.data || error.message
+    queryLog.record({
+      route: "ask-ai",
+      query: String(req.body?.query ?? "").trim(),
+      user: req.user,
+      latencyMs: Date.now() - started,
+      error: error.message
     });
+    const body = error.expose
+      ? { ok: false, error: error.message }
+      : {
+        ok: false,
+        error: "AI generation failed or search failed",
+        details: error.response?.data || error.message
+      };
+    if (sse) {
+      sse.send("error", body);
+      return sse.end();
+    }
+    res.status(error.expose ? error.status : 500).json(body);
   }
 });
 
-
-
-
-
-
-
-
-
-
 // ---------------- Start Server ----------------
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => console.log(`✅ Server running on port ${PORT}`));
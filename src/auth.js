@@ -0,0 +1,212 @@
+import express from "express";
+import crypto from "crypto";
+import { promisify } from "util";
+import { httpError, isConflict, isNotFound, sendError } from "./http.js";
+
+// ---------------- Auth (users, tokens, roles) ----------------
+// Users live in their own database as `user:<username>` docs with a
+// scrypt password hash. Sessions are stateless HMAC-signed bearer tokens.
+const scrypt = promisify(crypto.scrypt);
+const TOKEN_TTL_HOURS = Number(process.env.AUTH_TOKEN_TTL_HOURS || 12);
+const ROLE_RANK = { student: 1, librarian: 2, admin: 3 };
+export const ROLES = Object.keys(ROLE_RANK);
+
+let AUTH_SECRET = process.env.AUTH_SECRET;
+if (!AUTH_SECRET) {
+  AUTH_SECRET = crypto.randomBytes(32).toString("hex");
+  console.warn("⚠️ AUTH_SECRET is not set; issued tokens will stop working when the server restarts");
+}
+
+// ---------------- Password Hashing ----------------
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, saltB64, hashB64] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !saltB64 || !hashB64) return false;
+  const expected = Buffer.from(hashB64, "base64");
+  const actual = await scrypt(password, Buffer.from(saltB64, "base64"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// ---------------- Tokens ----------------
+function sign(payload) {
+  return crypto.createHmac("sha256", AUTH_SECRET).update(payload).digest("base64url");
+}
+
+export function issueToken(user) {
+  const exp = Date.now() + TOKEN_TTL_HOURS * 60 * 60 * 1000;
+  const payload = Buffer.from(JSON.stringify({ sub: user.username, role: user.role, exp })).toString("base64url");
+  return { token: `${payload}.${sign(payload)}`, expires_at: new Date(exp).toISOString() };
+}
+
+export function verifyToken(token) {
+  const [payload, sig] = String(token || "").split(".");
+  if (!payload || !sig) return null;
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (!claims.sub || !ROLE_RANK[claims.role] || !(claims.exp > Date.now())) return null;
+    return { username: claims.sub, role: claims.role };
+  } catch {
+    return null;
+  }
+}
+
+// ---------------- Middleware ----------------
+// Attaches req.user when a valid bearer token is sent; anonymous requests pass
+// through. An invalid or expired token also counts as anonymous, so public
+// routes keep working for a client holding a stale token; requireRole answers
+// 401 with the token error.
+export function authenticate(req, res, next) {
+  const header = req.get("authorization") || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) return next();
+  const user = verifyToken(match[1].trim());
+  if (user) req.user = user;
+  else req.authError = "Invalid or expired token";
+  next();
+}
+
+// Roles are ranked, so requireRole("librarian") also admits admins.
+export function requireRole(role = "student") {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ ok: false, error: req.authError || "Authentication required" });
+    }
+    if ((ROLE_RANK[req.user.role] || 0) < ROLE_RANK[role]) {
+      return res.status(403).json({ ok: false, error: `Requires ${role} role` });
+    }
+    next();
+  };
+}
+
+export function isStaff(user) {
+  return (ROLE_RANK[user?.role] || 0) >= ROLE_RANK.librarian;
+}
+
+// Members act for themselves; staff may act on behalf of any member.
+export function memberFor(req, requested) {
+  if (isStaff(req.user)) return requested || req.user.username;
+  if (requested && requested !== req.user?.username) {
+    throw httpError(403, "Members can only act on their own account");
+  }
+  return req.user?.username;
+}
+
+// ---------------- CORS ----------------
+// CORS_ORIGINS is a comma-separated allow-list; unset keeps the old allow-all behaviour.
+export function corsOptions() {
+  const origins = String(process.env.CORS_ORIGINS || "")
+    .split(",")
+    .map(o => o.trim())
+    .filter(Boolean);
+  if (origins.length === 0) {
+    console.warn("⚠️ CORS_ORIGINS is not set; accepting requests from any origin");
+    return {};
+  }
+  return { origin: origins };
+}
+
+// ---------------- User Store + Routes ----------------
+function publicUser(doc) {
+  return { username: doc.username, name: doc.name || null, role: doc.role, created_at: doc.created_at };
+}
+
+function normaliseUsername(username) {
+  const u = String(username || "").trim().toLowerCase();
+  if (!/^[a-z0-9._-]{3,32}$/.test(u)) {
+    throw httpError(400, "username must be 3-32 characters of letters, digits, dot, dash or underscore");
+  }
+  return u;
+}
+
+export function createUserStore({ storage, usersDb }) {
+  async function getUser(username) {
+    try {
+      return await storage.getDoc(usersDb, `user:${username}`);
+    } catch (err) {
+      if (isNotFound(err)) return null;
+      throw err;
+    }
+  }
+
+  async function createUser({ username, password, name, role }) {
+    if (typeof password !== "string" || password.length < 8) {
+      throw httpError(400, "password must be at least 8 characters");
+    }
+    if (!ROLE_RANK[role]) throw httpError(400, `role must be one of: ${ROLES.join(", ")}`);
+
+    const doc = {
+      type: "user",
+      username,
+      name: name ? String(name).trim() : null,
+      role,
+      password_hash: await hashPassword(password),
+      created_at: new Date().toISOString()
+    };
+    try {
+      await storage.putDoc(usersDb, { _id: `user:${username}`, ...doc });
+    } catch (err) {
+      if (isConflict(err)) throw httpError(409, `User ${username} already exists`);
+      throw err;
+    }
+    return doc;
+  }
+
+  // Seeds the first admin from ADMIN_USERNAME / ADMIN_PASSWORD.
+  async function ensureAdminUser() {
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) return;
+    const username = normaliseUsername(ADMIN_USERNAME);
+    if (await getUser(username)) return;
+    await createUser({ username, password: ADMIN_PASSWORD, name: "Administrator", role: "admin" });
+    console.log(`✅ Created admin user "${username}"`);
+  }
+
+  return { getUser, createUser, ensureAdminUser };
+}
+
+export function createAuthRouter({ users }) {
+  const router = express.Router();
+
+  // Anyone may register as a student; other roles need an admin token.
+  router.post("/auth/register", async (req, res) => {
+    try {
+      const role = req.body?.role || "student";
+      if (role !== "student" && req.user?.role !== "admin") {
+        throw httpError(403, "Only admins can create staff accounts");
+      }
+      const username = normaliseUsername(req.body?.username);
+      const user = await users.createUser({ username, password: req.body?.password, name: req.body?.name, role });
+      res.status(201).json({ ok: true, user: publicUser(user) });
+    } catch (err) {
+      sendError(res, err, "register");
+    }
+  });
+
+  router.post("/auth/login", async (req, res) => {
+    try {
+      const username = String(req.body?.username || "").trim().toLowerCase();
+      const password = String(req.body?.password || "");
+      const user = username ? await users.getUser(username) : null;
+      if (!user || !(await verifyPassword(password, user.password_hash))) {
+        throw httpError(401, "Invalid username or password");
+      }
+      res.json({ ok: true, ...issueToken(user), user: publicUser(user) });
+    } catch (err) {
+      sendError(res, err, "login");
+    }
+  });
+
+  router.get("/auth/me", requireRole("student"), (req, res) => {
+    res.json({ ok: true, user: req.user });
+  });
+
+  return router;
+}
@@ -0,0 +1,266 @@
+import express from "express";
+import { carryOverCirculation, copiesHeld, copiesOnLoan, isRemoved, totalCopies, withShelfCount } from "./circulation.js";
+import { httpError, isConflict, isNotFound, requestedRev, sendError } from "./http.js";
+import { isStaff, requireRole } from "./auth.js";
+
+// ---------------- Book Records (CRUD) ----------------
+// Staff edit single books through these routes instead of books.json +
+// /import-books. Input is checked against BOOK_SCHEMA; other fields are kept
+// as sent. Writes are optimistic and need the `_rev` the client last read
+// (body `_rev`, `?rev=` or If-Match).
+export const BOOK_SCHEMA = {
+  title: { type: "string", required: true, maxLength: 300 },
+  author: { type: "string", required: true, maxLength: 300 },
+  copies: { type: "integer", min: 0, max: 10000, default: 1 },
+  max_pages: { type: "integer", min: 1, max: 50000 },
+  location: { type: "string", maxLength: 100 },
+  subject: { type: "string", maxLength: 100 },
+  subjects: { type: "string[]", maxItems: 20, maxLength: 100 },
+  description: { type: "string", maxLength: 5000 },
+  isbn: { type: "string", maxLength: 20 },
+  publisher: { type: "string", maxLength: 300 },
+  year: { type: "integer", min: 1, max: 9999 }
+};
+
+// Kept by the server (circulation counts, embeddings, import tombstones); ignored in request bodies
+const MANAGED_FIELDS = [
+  "available", "available_copies", "held_copies",
+  "embedding", "embedding_model", "embedding_template", "embedding_updated_at",
+  "removed", "removed_at"
+];
+
+// Returns { value } or { error } for one field
+function checkField(name, rule, value) {
+  if (rule.type === "string") {
+    if (typeof value !== "string") return { error: `${name} must be a string` };
+    const trimmed = value.trim();
+    if (trimmed.length > rule.maxLength) return { error: `${name} must be at most ${rule.maxLength} characters` };
+    if (rule.required && !trimmed) return { error: `${name} is required` };
+    return { value: trimmed || null };
+  }
+  if (rule.type === "integer") {
+    if (!Number.isInteger(value)) return { error: `${name} must be an integer` };
+    if (value < rule.min || value > rule.max) return { error: `${name} must be between ${rule.min} and ${rule.max}` };
+    return { value };
+  }
+  if (rule.type === "string[]") {
+    if (!Array.isArray(value) || value.some(v => typeof v !== "string")) return { error: `${name} must be a list of strings` };
+    if (value.length > rule.maxItems) return { error: `${name} can have at most ${rule.maxItems} entries` };
+    if (value.some(v => v.trim().length > rule.maxLength)) return { error: `${name} entries must be at most ${rule.maxLength} characters` };
+    return { value: value.map(v => v.trim()).filter(Boolean) };
+  }
+  return { value };
+}
+
+// Returns the cleaned fields. `partial` (PATCH) only checks the fields present;
+// null or "" removes an optional field. Fields outside the schema (a
+// catalogue's own metadata) are passed through, strings trimmed.
+export function validateBook(input, { partial = false } = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw httpError(400, "Book must be a JSON object");
+  }
+  const errors = [];
+  const book = {};
+
+  const extra = Object.keys(input).filter(k => !(k in BOOK_SCHEMA) && k !== "_id" && k !== "_rev" && !MANAGED_FIELDS.includes(k));
+  const reserved = extra.filter(k => k.startsWith("_"));
+  if (reserved.length > 0) errors.push(`field names starting with _ are reserved: ${reserved.join(", ")}`);
+
+  for (const [name, rule] of Object.entries(BOOK_SCHEMA)) {
+    const present = Object.hasOwn(input, name);
+    if (partial && !present) continue;
+
+    const value = input[name];
+    if (value === undefined || value === null || value === "") {
+      if (rule.required) errors.push(`${name} is required`);
+      else if (rule.default !== undefined && !partial) book[name] = rule.default;
+      else if (present) book[name] = null; // removed below
+      continue;
+    }
+    const { value: checked, error } = checkField(name, rule, value);
+    if (error) errors.push(error);
+    else book[name] = checked;
+  }
+  for (const name of extra) {
+    const value = input[name];
+    book[name] = typeof value === "string" ? value.trim() || null : value ?? null;
+  }
+
+  if (errors.length > 0) throw httpError(400, `Invalid book: ${errors.join("; ")}`);
+  return book;
+}
+
+function withoutNulls(doc) {
+  return Object.fromEntries(Object.entries(doc).filter(([, v]) => v !== null && v !== undefined));
+}
+
+// Book as returned by the API: everything but the embedding vector
+export function publicBook(doc) {
+  const { embedding, ...rest } = doc;
+  return rest;
+}
+
+// Circulation fields follow the stored book: copies on loan or held stay off the shelf
+function keepCirculation(previous, next) {
+  const busy = copiesOnLoan(previous) + copiesHeld(previous);
+  if (totalCopies(next) < busy) {
+    throw httpError(409, `Cannot set copies below ${busy}: that many are on loan or held`);
+  }
+  const managed = withoutNulls({
+    available: previous.available,
+    available_copies: previous.available_copies,
+    held_copies: previous.held_copies
+  });
+  return carryOverCirculation(previous, { ...next, ...managed });
+}
+
+function embeddingFields(previous) {
+  return withoutNulls({
+    embedding: previous.embedding,
+    embedding_model: previous.embedding_model,
+    embedding_template: previous.embedding_template,
+    embedding_updated_at: previous.embedding_updated_at
+  });
+}
+
+// `prepare(doc, previous)` may add or drop the embedding before a write;
+// `changed(doc, previous)` runs after it (doc is null after a delete).
+// `holds` (optional) blocks deleting books members are queued for; `loansDb`
+// gives the shelf count of books that never went through circulation.
+export function createBooksRouter({ storage, booksDb, loansDb = null, holds = null, prepare = async doc => doc, changed = () => {} }) {
+  const router = express.Router();
+
+  async function load(id) {
+    try {
+      return await storage.getDoc(booksDb, id);
+    } catch (err) {
+      if (isNotFound(err)) return null;
+      throw err;
+    }
+  }
+
+  async function loadOr404(id) {
+    const book = await load(id);
+    if (!book) throw httpError(404, `Book ${id} not found`);
+    return book;
+  }
+
+  async function circulationOf(previous) {
+    return loansDb ? withShelfCount(storage, loansDb, previous) : previous;
+  }
+
+  function checkRev(req, previous) {
+    const rev = requestedRev(req);
+    if (!rev) throw httpError(428, "_rev is required to change a book (body _rev, ?rev= or If-Match)");
+    if (rev !== previous._rev) throw httpError(409, "Book was changed by someone else; reload it and retry");
+  }
+
+  async function save(doc, previous) {
+    const prepared = await prepare(doc, previous);
+    let id, rev;
+    try {
+      ({ id, rev } = await storage.putDoc(booksDb, prepared));
+    } catch (err) {
+      if (isConflict(err)) throw httpError(409, "Book was changed by someone else; reload it and retry");
+      throw err;
+    }
+    const saved = { ...prepared, _id: id, _rev: rev };
+    await changed(saved, previous);
+    return saved;
+  }
+
+  function newBook(id, fields) {
+    const copies = totalCopies(fields);
+    return withoutNulls({ ...(id ? { _id: id } : {}), ...fields, available_copies: copies, held_copies: 0, available: copies > 0 });
+  }
+
+  router.post("/books", requireRole("librarian"), async (req, res) => {
+    try {
+      const fields = validateBook(req.body);
+      const id = req.body._id === undefined ? null : String(req.body._id).trim();
+      if (id !== null && (!id || id.startsWith("_"))) throw httpError(400, "Invalid _id");
+      if (id && await load(id)) throw httpError(409, `A book with id ${id} already exists`);
+
+      const saved = await save(newBook(id, fields), null);
+      res.status(201).json({ ok: true, book: publicBook(saved) });
+    } catch (err) {
+      sendError(res, err, "create book");
+    }
+  });
+
+  router.get("/books/:id", async (req, res) => {
+    try {
+      const book = await loadOr404(req.params.id);
+      // Tombstoned books are out of the catalogue; staff still see them (with `removed`)
+      if (isRemoved(book) && !isStaff(req.user)) throw httpError(404, `Book ${req.params.id} not found`);
+      res.json({ ok: true, book: publicBook(book) });
+    } catch (err) {
+      sendError(res, err, "get book");
+    }
+  });
+
+  // Full replace; creates the book when the id is new
+  router.put("/books/:id", requireRole("librarian"), async (req, res) => {
+    try {
+      const fields = validateBook(req.body);
+      const previous = await load(req.params.id);
+      if (!previous) {
+        const saved = await save(newBook(req.params.id, fields), null);
+        return res.status(201).json({ ok: true, book: publicBook(saved) });
+      }
+
+      checkRev(req, previous);
+      const next = keepCirculation(await circulationOf(previous), withoutNulls({
+        _id: previous._id,
+        _rev: previous._rev,
+        ...fields,
+        ...embeddingFields(previous)
+      }));
+      const saved = await save(next, previous);
+      res.json({ ok: true, book: publicBook(saved) });
+    } catch (err) {
+      sendError(res, err, "replace book");
+    }
+  });
+
+  router.patch("/books/:id", requireRole("librarian"), async (req, res) => {
+    try {
+      const fields = validateBook(req.body, { partial: true });
+      const previous = await loadOr404(req.params.id);
+      checkRev(req, previous);
+
+      const next = keepCirculation(await circulationOf(previous), withoutNulls({ ...previous, ...fields }));
+      const saved = await save(next, previous);
+      res.json({ ok: true, book: publicBook(saved) });
+    } catch (err) {
+      sendError(res, err, "update book");
+    }
+  });
+
+  router.delete("/books/:id", requireRole("librarian"), async (req, res) => {
+    try {
+      const previous = await loadOr404(req.params.id);
+      checkRev(req, previous);
+
+      const counted = await circulationOf(previous);
+      const busy = copiesOnLoan(counted) + copiesHeld(counted);
+      if (busy > 0) throw httpError(409, `"${previous.title}" has ${busy} cop${busy === 1 ? "y" : "ies"} on loan or held`);
+      if (holds && await holds.activeHoldCount(previous._id) > 0) {
+        throw httpError(409, `Members are waiting for "${previous.title}"; cancel their holds first`);
+      }
+
+      try {
+        await storage.deleteDoc(booksDb, previous._id, previous._rev);
+      } catch (err) {
+        if (isConflict(err)) throw httpError(409, "Book was changed by someone else; reload it and retry");
+        throw err;
+      }
+      await changed(null, previous);
+      res.json({ ok: true, id: previous._id, deleted: true });
+    } catch (err) {
+      sendError(res, err, "delete book");
+    }
+  });
+
+  return router;
+}
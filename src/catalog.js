@@ -0,0 +1,243 @@
+import express from "express";
+import { copiesOnShelf, isRemoved, shelfSummary } from "./circulation.js";
+import { httpError, sendError } from "./http.js";
+import { loadAllDocs } from "./storage/index.js";
+
+// ---------------- Catalog Search API ----------------
+// GET /books: free text plus facet filters without going through the LLM.
+// Text queries reuse the /ask-ai hybrid search (query expansion, keyword +
+// semantic ranking) for a larger candidate set; filters, facet counts,
+// sorting and cursor pagination are applied on top of it.
+const CATALOG_CANDIDATES = Number(process.env.CATALOG_CANDIDATES || 200);
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const PAGE_BUCKETS = [
+  { key: "0-199", min: 0, max: 199 },
+  { key: "200-399", min: 200, max: 399 },
+  { key: "400-699", min: 400, max: 699 },
+  { key: "700+", min: 700, max: Infinity }
+];
+
+// Machine-readable book entry shared by /books and /ask-ai; `available` is the
+// number of copies on the shelf right now
+export function bookResult(b) {
+  const { id, title, copies, on_shelf, on_hold, on_loan } = shelfSummary(b);
+  return {
+    id,
+    title,
+    author: b.author ?? null,
+    copies,
+    available: on_shelf,
+    on_hold,
+    on_loan,
+    location: b.location ?? null,
+    max_pages: b.max_pages ?? null,
+    score: Number.isFinite(b.score) ? Math.round(b.score * 1000) / 1000 : null
+  };
+}
+
+function lower(value) {
+  return String(value ?? "").trim().toLowerCase();
+}
+
+// A book's subjects: the `subjects` list, or the single `subject` string.
+// Export, import diffs and the subject facet all read them this way.
+export function subjectsOf(book) {
+  const raw = book.subjects ?? book.subject ?? [];
+  return (Array.isArray(raw) ? raw : [raw]).map(s => String(s).trim()).filter(Boolean);
+}
+
+function intParam(value, name) {
+  if (value === undefined || value === "") return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw httpError(400, `${name} must be a non-negative integer`);
+  return n;
+}
+
+function boolParam(value, name) {
+  if (value === undefined || value === "") return null;
+  if (["true", "1", "yes"].includes(lower(value))) return true;
+  if (["false", "0", "no"].includes(lower(value))) return false;
+  throw httpError(400, `${name} must be true or false`);
+}
+
+function parseFilters(query, expandTokens) {
+  const filters = {
+    author: query.author ? lower(query.author) : null,
+    location: query.location ? lower(query.location) : null,
+    available: boolParam(query.available, "available"),
+    minPages: intParam(query.min_pages, "min_pages"),
+    maxPages: intParam(query.max_pages, "max_pages"),
+    subject: query.subject ? lower(query.subject) : null
+  };
+  if (filters.minPages !== null && filters.maxPages !== null && filters.minPages > filters.maxPages) {
+    throw httpError(400, "min_pages cannot be greater than max_pages");
+  }
+  // Books without subject metadata match a subject through their title, with
+  // the same expansion the assistant uses ("maths" finds "Mathematics")
+  filters.subjectTokens = filters.subject ? expandTokens(filters.subject) : [];
+  return filters;
+}
+
+// Each facet is checked separately so facet counts can leave their own filter out
+const FACET_TESTS = {
+  author: (b, f) => lower(b.author).includes(f.author),
+  location: (b, f) => lower(b.location) === f.location,
+  available: (b, f) => (copiesOnShelf(b) > 0) === f.available,
+  pages: (b, f) => Number.isFinite(b.max_pages)
+    && (f.minPages === null || b.max_pages >= f.minPages)
+    && (f.maxPages === null || b.max_pages <= f.maxPages),
+  subject: (b, f) => {
+    const subjects = subjectsOf(b).map(lower);
+    if (subjects.length > 0) return subjects.includes(f.subject);
+    const title = lower(b.title);
+    return [f.subject, ...f.subjectTokens].some(t => title.includes(t));
+  }
+};
+
+function activeFacets(f) {
+  return {
+    author: f.author !== null,
+    location: f.location !== null,
+    available: f.available !== null,
+    pages: f.minPages !== null || f.maxPages !== null,
+    subject: f.subject !== null
+  };
+}
+
+function matches(book, filters, active, skip = null) {
+  return Object.keys(FACET_TESTS).every(name => name === skip || !active[name] || FACET_TESTS[name](book, filters));
+}
+
+// The /books filters as a single predicate (used by /export)
+export function catalogFilter(query, expandTokens) {
+  const filters = parseFilters(query, expandTokens);
+  const active = activeFacets(filters);
+  return book => matches(book, filters, active);
+}
+
+function countBy(books, keysOf) {
+  const counts = new Map();
+  for (const b of books) {
+    for (const key of keysOf(b)) counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return Array.from(counts, ([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+}
+
+// Facet counts for each field use every other active filter, so a UI can show
+// how many results picking another value would give
+function facetCounts(candidates, filters, active) {
+  const others = skip => candidates.filter(b => matches(b, filters, active, skip));
+  return {
+    author: countBy(others("author"), b => (b.author ? [String(b.author).trim()] : [])),
+    location: countBy(others("location"), b => (b.location ? [String(b.location).trim()] : [])),
+    available: countBy(others("available"), b => [copiesOnShelf(b) > 0]),
+    subject: countBy(others("subject"), subjectsOf),
+    pages: countBy(others("pages"), b => {
+      if (!Number.isFinite(b.max_pages)) return [];
+      return PAGE_BUCKETS.filter(r => b.max_pages >= r.min && b.max_pages <= r.max).map(r => r.key);
+    })
+  };
+}
+
+const SORTS = {
+  relevance: (a, b) => (b.score ?? 0) - (a.score ?? 0),
+  title: (a, b) => String(a.title || "").localeCompare(String(b.title || ""), undefined, { sensitivity: "base" }),
+  pages: (a, b) => (a.max_pages ?? Infinity) - (b.max_pages ?? Infinity)
+};
+
+function comparator(sort, order) {
+  const primary = SORTS[sort];
+  const direction = order === "desc" ? -1 : 1;
+  // _id breaks ties so the order, and therefore the cursor, is stable
+  return (a, b) => direction * primary(a, b) || String(a._id).localeCompare(String(b._id));
+}
+
+// Opaque keyset cursor: the sort values and id of the last book on the page
+function encodeCursor(book) {
+  const key = { id: book._id, score: book.score ?? null, title: book.title ?? "", max_pages: book.max_pages ?? null };
+  return Buffer.from(JSON.stringify(key)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!key || typeof key.id !== "string") throw new Error("bad cursor");
+    return { _id: key.id, score: key.score ?? undefined, title: key.title, max_pages: key.max_pages ?? undefined };
+  } catch {
+    throw httpError(400, "Invalid cursor");
+  }
+}
+
+// `search(text, { limit })` is the ranked hybrid search; `expandTokens` the query
+// expansion and `suggest(text)` its "did you mean" correction (or null).
+// `onSearch({ query, user, books, total, latencyMs, error })` runs after the
+// first page of every text search, for the query log; `error` is set when the
+// search itself failed.
+export function createCatalogRouter({ storage, booksDb, search, expandTokens, suggest = () => null, onSearch = () => {} }) {
+  const router = express.Router();
+
+  router.get("/books", async (req, res) => {
+    const started = Date.now();
+    try {
+      const q = String(req.query.q || "").trim();
+      const filters = parseFilters(req.query, expandTokens);
+      const active = activeFacets(filters);
+
+      const sort = String(req.query.sort || (q ? "relevance" : "title"));
+      if (!SORTS[sort]) throw httpError(400, "sort must be relevance, title or pages");
+      // asc = best match first, A-Z, fewest pages first
+      const order = lower(req.query.order || "asc");
+      if (!["asc", "desc"].includes(order)) throw httpError(400, "order must be asc or desc");
+      const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : intParam(req.query.limit, "limit");
+      if (!limit || limit > MAX_PAGE_SIZE) throw httpError(400, `limit must be between 1 and ${MAX_PAGE_SIZE}`);
+
+      let candidates;
+      if (q) {
+        try {
+          candidates = await search(q, { limit: CATALOG_CANDIDATES });
+        } catch (err) {
+          if (!req.query.cursor) {
+            onSearch({ query: q, user: req.user, latencyMs: Date.now() - started, error: err.message });
+          }
+          throw err;
+        }
+      } else {
+        candidates = (await loadAllDocs(storage, booksDb)).filter(b => !isRemoved(b));
+      }
+
+      const compare = comparator(sort, order);
+      const results = candidates
+        .filter(b => matches(b, filters, active))
+        .sort(compare);
+
+      let start = 0;
+      if (req.query.cursor) {
+        const after = decodeCursor(req.query.cursor);
+        start = results.findIndex(b => compare(b, after) > 0);
+        if (start === -1) start = results.length;
+      }
+      const page = results.slice(start, start + limit);
+      const hasMore = start + limit < results.length;
+      if (q && !req.query.cursor) {
+        onSearch({ query: q, user: req.user, books: results, total: results.length, latencyMs: Date.now() - started });
+      }
+
+      res.json({
+        ok: true,
+        query: q || null,
+        didYouMean: q ? suggest(q) : null,
+        total: results.length,
+        count: page.length,
+        books: page.map(bookResult),
+        facets: facetCounts(candidates, filters, active),
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+      });
+    } catch (err) {
+      sendError(res, err, "catalog search");
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,234 @@
+import express from "express";
+import { httpError, isConflict, isNotFound, sendError } from "./http.js";
+import { memberFor, requireRole } from "./auth.js";
+
+// ---------------- Circulation (checkout / return) ----------------
+// Book docs keep their catalogue `copies` total; circulation maintains
+// `available_copies` (on the shelf), `held_copies` (set aside for a ready hold)
+// and keeps the legacy `available` flag in sync.
+const LOAN_DAYS = Number(process.env.LOAN_DAYS || 14);
+const MAX_LOAN_DAYS = Number(process.env.MAX_LOAN_DAYS || 60);
+const MAX_REV_RETRIES = 5;
+
+export function totalCopies(book) {
+  return Number.isFinite(book?.copies) ? Math.max(0, book.copies) : 0;
+}
+
+export function copiesOnShelf(book) {
+  if (Number.isFinite(book?.available_copies)) {
+    return Math.max(0, Math.min(book.available_copies, totalCopies(book)));
+  }
+  // Docs that never went through circulation: trust the imported flag
+  return book?.available === false ? 0 : totalCopies(book);
+}
+
+export function copiesHeld(book) {
+  return Number.isFinite(book?.held_copies) ? Math.max(0, book.held_copies) : 0;
+}
+
+export function copiesOnLoan(book) {
+  return Math.max(0, totalCopies(book) - copiesOnShelf(book) - copiesHeld(book));
+}
+
+// Tombstoned by an import sync: the doc is kept (and revived by a later import
+// that lists it again) but the book is out of search and cannot be borrowed
+export function isRemoved(book) {
+  return book?.removed === true;
+}
+
+// Keep copies that are on loan or held when an import replaces a book doc.
+export function carryOverCirculation(existing, incoming) {
+  if (!existing || !Number.isFinite(existing.available_copies)) return incoming;
+  const held = copiesHeld(existing);
+  const onShelf = Math.max(0, totalCopies(incoming) - copiesOnLoan(existing) - held);
+  return { ...incoming, available_copies: onShelf, held_copies: held, available: onShelf > 0 };
+}
+
+// Docs that never went through circulation only carry the imported `available`
+// flag; their shelf count is taken from the active loans instead, so adding
+// copies to a book imported as unavailable puts them on the shelf.
+export async function withShelfCount(storage, loansDb, book) {
+  if (!book || Number.isFinite(book.available_copies)) return book;
+  const loans = await storage.find(loansDb, { book_id: book._id, status: "active" }, { limit: 10000 });
+  const held = copiesHeld(book);
+  const onShelf = Math.max(0, totalCopies(book) - loans.length - held);
+  return { ...book, available_copies: onShelf, held_copies: held, available: onShelf > 0 };
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+// Read-modify-write of the on-shelf / held counts, retried on `_rev` conflicts.
+export async function adjustCopies(storage, db, bookId, { shelf = 0, held = 0 }) {
+  for (let attempt = 0; attempt < MAX_REV_RETRIES; attempt++) {
+    let book;
+    try {
+      book = await storage.getDoc(db, bookId);
+    } catch (err) {
+      if (isNotFound(err)) throw httpError(404, `Book ${bookId} not found`);
+      throw err;
+    }
+    if (shelf < 0 && isRemoved(book)) {
+      throw httpError(404, `"${book.title || bookId}" has been removed from the catalogue`);
+    }
+
+    const nextHeld = Math.max(0, copiesHeld(book) + held);
+    const next = Math.min(copiesOnShelf(book) + shelf, totalCopies(book) - nextHeld);
+    if (next < 0) {
+      throw httpError(409, `No copies of "${book.title || bookId}" are on the shelf`);
+    }
+
+    const updated = { ...book, available_copies: next, held_copies: nextHeld, available: next > 0 };
+    try {
+      const { rev } = await storage.putDoc(db, updated);
+      return { ...updated, _rev: rev };
+    } catch (err) {
+      if (!isConflict(err)) throw err;
+    }
+  }
+  throw httpError(409, "Book is being updated by another request, please retry");
+}
+
+export function shelfSummary(book) {
+  return {
+    id: book._id,
+    title: book.title,
+    copies: totalCopies(book),
+    on_shelf: copiesOnShelf(book),
+    on_hold: copiesHeld(book),
+    on_loan: copiesOnLoan(book)
+  };
+}
+
+// `holds` is optional: when present, a member collecting a ready hold takes the
+// copy set aside for them, and returned copies go to the next hold in the queue.
+export function createCirculationRouter({ storage, booksDb, loansDb, holds = null }) {
+  const router = express.Router();
+
+  // ---------------- Checkout ----------------
+  // Members check out for themselves; staff can check out for any member.
+  router.post("/loans", requireRole("student"), async (req, res) => {
+    try {
+      const { bookId } = req.body || {};
+      if (!bookId || typeof bookId !== "string") {
+        throw httpError(400, "Missing or invalid bookId");
+      }
+      const member = memberFor(req, req.body.member);
+      if (!member || typeof member !== "string") {
+        throw httpError(400, "Missing or invalid member");
+      }
+      const days = req.body.days === undefined ? LOAN_DAYS : Number(req.body.days);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_LOAN_DAYS) {
+        throw httpError(400, `days must be an integer between 1 and ${MAX_LOAN_DAYS}`);
+      }
+
+      // A claimed hold is already marked collected; it goes back to ready if the
+      // checkout fails below
+      const readyHold = holds ? await holds.claimReadyHold(bookId, member) : null;
+      const releaseHold = () => readyHold && holds.releaseClaim(readyHold).catch(e =>
+        console.error("❌ Failed to release hold after checkout error:", e.message)
+      );
+      let book;
+      try {
+        book = await adjustCopies(storage, booksDb, bookId, readyHold ? { held: -1 } : { shelf: -1 });
+      } catch (err) {
+        await releaseHold();
+        throw err;
+      }
+
+      const now = new Date();
+      const loan = {
+        type: "loan",
+        book_id: bookId,
+        member,
+        status: "active",
+        checked_out_at: now.toISOString(),
+        due_at: addDays(now, days).toISOString(),
+        returned_at: null
+      };
+
+      try {
+        const { id, rev } = await storage.putDoc(loansDb, loan);
+        loan._id = id;
+        loan._rev = rev;
+      } catch (err) {
+        // Put the copy back so the counts do not drift
+        const putBack = readyHold ? { held: 1 } : { shelf: 1 };
+        await adjustCopies(storage, booksDb, bookId, putBack).catch(e =>
+          console.error("❌ Failed to restore shelf count after loan write error:", e.message)
+        );
+        await releaseHold();
+        throw err;
+      }
+
+      if (readyHold) {
+        await holds.markCollected(readyHold, loan._id).catch(e =>
+          console.error("❌ Failed to record the loan on the collected hold:", e.message)
+        );
+      }
+
+      res.status(201).json({ ok: true, loan, book: shelfSummary(book) });
+    } catch (err) {
+      sendError(res, err, "checkout");
+    }
+  });
+
+  // ---------------- Return ----------------
+  router.post("/loans/:id/return", requireRole("librarian"), async (req, res) => {
+    try {
+      let loan;
+      try {
+        loan = await storage.getDoc(loansDb, req.params.id);
+      } catch (err) {
+        if (isNotFound(err)) throw httpError(404, "Loan not found");
+        throw err;
+      }
+      if (loan.status === "returned") {
+        throw httpError(409, "Loan has already been returned");
+      }
+
+      // Closing the loan first (guarded by _rev) means two concurrent returns
+      // cannot both put the copy back on the shelf.
+      const returnedAt = new Date();
+      const closed = { ...loan, status: "returned", returned_at: returnedAt.toISOString() };
+      try {
+        closed._rev = (await storage.putDoc(loansDb, closed)).rev;
+      } catch (err) {
+        if (isConflict(err)) throw httpError(409, "Loan is already being returned");
+        throw err;
+      }
+
+      // The returned copy goes to the next hold in the queue, if there is one
+      const promoted = holds ? await holds.promoteNextHold(loan.book_id) : null;
+      let book;
+      try {
+        book = await adjustCopies(storage, booksDb, loan.book_id, promoted ? { held: 1 } : { shelf: 1 });
+      } catch (err) {
+        // Reopen the loan so the copy is not lost and the return can be retried,
+        // and put the promoted hold back in the queue: no copy was set aside for it
+        if (promoted) {
+          await holds.revertPromotion(promoted).catch(e =>
+            console.error("❌ Failed to revert hold promotion after shelf count error:", e.message)
+          );
+        }
+        await storage.putDoc(loansDb, { ...loan, _rev: closed._rev }).catch(e =>
+          console.error("❌ Failed to reopen loan after shelf count error:", e.message)
+        );
+        throw err;
+      }
+
+      res.json({
+        ok: true,
+        loan: closed,
+        overdue: returnedAt > new Date(loan.due_at),
+        hold: promoted,
+        book: shelfSummary(book)
+      });
+    } catch (err) {
+      sendError(res, err, "return");
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,200 @@
+import crypto from "crypto";
+import { copiesOnShelf } from "./circulation.js";
+
+// ---------------- Conversation Context ----------------
+// Remembers the last result set per session so follow-ups such as
+// "who wrote the second one?" or "any of those under 300 pages?" resolve
+// against what the student was just shown instead of a fresh search.
+const SESSION_TTL_MINUTES = Number(process.env.CONVERSATION_TTL_MINUTES || 30);
+const MAX_SESSIONS = Number(process.env.CONVERSATION_MAX_SESSIONS || 1000);
+const MAX_CONTEXT_TURNS = 20;
+
+const ORDINALS = {
+  first: 1, "1st": 1, second: 2, "2nd": 2, third: 3, "3rd": 3, fourth: 4, "4th": 4,
+  fifth: 5, "5th": 5, sixth: 6, "6th": 6, seventh: 7, "7th": 7, eighth: 8, "8th": 8,
+  ninth: 9, "9th": 9, tenth: 10, "10th": 10, last: -1
+};
+const ORDINAL_WORDS = Object.keys(ORDINALS).join("|");
+// "the second one" anywhere, "the second book" at the end ("where is the second
+// book?"), "number 2", or a bare ordinal ("second one?"); "first book on
+// compilers" is a new search, not a reference
+const ORDINAL_RE = new RegExp([
+  `\\bthe\\s+(${ORDINAL_WORDS})\\s+(?:one|result|option)\\b`,
+  `\\bthe\\s+(${ORDINAL_WORDS})\\s+(?:book|title)\\s*[?.!]*\\s*$`,
+  "\\b(?:number|no\\.?|#)\\s*(\\d{1,2})\\b",
+  `^\\s*(?:the\\s+)?(${ORDINAL_WORDS})(?:\\s+(?:one|book|title|result|option))?\\s*[?.!]*\\s*$`
+].join("|"));
+// Bare "they"/"them" start plenty of fresh questions; "of them" refers back
+const ANAPHORA_RE = /\b(those|these|of them|that one|this one|the ones|which ones|the same)\b/;
+const MORE_LIKE_RE = /\b(?:more|others?|anything|something|books?)\s+(?:like|similar\s+to)\s+(?:that|this|these|those|it|them|the\s+\w+\s+one)\b|\bsimilar\s+(?:ones|books|titles)\b|\bmore\s+of\s+(?:those|these|them)\b/;
+
+// Book docs minus the heavy/internal fields we don't need to keep per session.
+function slimBook(book) {
+  const { embedding, ...rest } = book || {};
+  return rest;
+}
+
+export function looksLikeFollowUp(lowerQ) {
+  return ORDINAL_RE.test(lowerQ) || ANAPHORA_RE.test(lowerQ) || MORE_LIKE_RE.test(lowerQ);
+}
+
+function ordinalIndex(lowerQ, count) {
+  const m = lowerQ.match(ORDINAL_RE);
+  if (!m) return null;
+  const n = m[3] ? Number(m[3]) : ORDINALS[m[1] || m[2] || m[4]];
+  const idx = n === -1 ? count - 1 : n - 1;
+  return idx >= 0 && idx < count ? idx : null;
+}
+
+function describeField(book, lowerQ) {
+  const title = `"${book.title}"`;
+  if (/\bwho\s+(?:wrote|is\s+the\s+author)|\bauthor\b|\bwritten\s+by\b/.test(lowerQ)) {
+    return `${title} was written by ${book.author || "an unknown author"}.`;
+  }
+  if (/\bwhere\b|\blocation\b|\bshelf\b|\bfind\s+it\b/.test(lowerQ)) {
+    return `${title} is located at ${book.location || "an unknown location"}.`;
+  }
+  if (/\bpages?\b|\bhow\s+(?:long|thick|big)\b/.test(lowerQ)) {
+    return Number.isFinite(book.max_pages)
+      ? `${title} has ${book.max_pages} pages.`
+      : `The page count for ${title} is not recorded.`;
+  }
+  if (/\bavailable\b|\bin\s+stock\b|\bborrow\b|\bcheck\s+(?:it\s+)?out\b/.test(lowerQ)) {
+    const onShelf = copiesOnShelf(book);
+    return onShelf > 0
+      ? `${title} is available: ${onShelf} cop${onShelf === 1 ? "y is" : "ies are"} on the shelf.`
+      : `${title} is not on the shelf right now; all copies are out.`;
+  }
+  if (/\bcop(?:y|ies)\b|\bhow\s+many\b/.test(lowerQ)) {
+    return `The library has ${Number.isFinite(book.copies) ? book.copies : 0} copies of ${title}.`;
+  }
+  return null;
+}
+
+// Refinements applied to the previous result set ("under 300 pages", "available", "by Knuth").
+function refine(lowerQ, books) {
+  const applied = [];
+  let out = books;
+
+  const under = lowerQ.match(/\b(?:under|below|less\s+than|fewer\s+than|upto|up\s+to|at\s+most)\s+(\d{2,4})\s*pages?\b/);
+  if (under) {
+    const limit = Number(under[1]);
+    out = out.filter(b => Number.isFinite(b.max_pages) && b.max_pages <= limit);
+    applied.push(`under ${limit} pages`);
+  }
+  const over = lowerQ.match(/\b(?:over|above|more\s+than|at\s+least)\s+(\d{2,4})\s*pages?\b/);
+  if (over) {
+    const limit = Number(over[1]);
+    out = out.filter(b => Number.isFinite(b.max_pages) && b.max_pages >= limit);
+    applied.push(`over ${limit} pages`);
+  }
+  if (/\bavailable\b|\bon\s+the\s+shelf\b|\bin\s+stock\b/.test(lowerQ)) {
+    out = out.filter(b => copiesOnShelf(b) > 0);
+    applied.push("available");
+  }
+  const by = lowerQ.match(/\bby\s+([a-z][a-z .'-]{1,40}?)\s*\??$/);
+  if (by) {
+    const name = by[1].trim();
+    out = out.filter(b => String(b.author || "").toLowerCase().includes(name));
+    applied.push(`by ${name}`);
+  }
+
+  return { books: out, applied };
+}
+
+/**
+ * Resolve a follow-up against the previous result set. Returns
+ *   { type: "answer", reply, books }   - answered directly (ordinal field questions, empty refinements)
+ *   { type: "books", books, ordinal? } - format these books as the reply
+ *   { type: "search", query, exclude } - run a "more like that" search
+ * or null when the query does not refer back to previous results.
+ */
+export function resolveFollowUp(query, previous) {
+  const lowerQ = String(query || "").toLowerCase().trim();
+  if (!Array.isArray(previous) || previous.length === 0 || !looksLikeFollowUp(lowerQ)) return null;
+
+  const idx = ordinalIndex(lowerQ, previous.length);
+  const referenced = idx === null ? null : previous[idx];
+
+  if (MORE_LIKE_RE.test(lowerQ)) {
+    const seeds = referenced ? [referenced] : previous.slice(0, 3);
+    return {
+      type: "search",
+      query: seeds.map(b => `${b.title || ""} ${b.author || ""}`.trim()).join(" "),
+      exclude: new Set(previous.map(b => b._id))
+    };
+  }
+
+  if (referenced) {
+    const reply = describeField(referenced, lowerQ);
+    return reply
+      ? { type: "answer", reply, books: [referenced] }
+      : { type: "books", books: [referenced], ordinal: true };
+  }
+
+  const { books, applied } = refine(lowerQ, previous);
+  if (applied.length > 0 && books.length === 0) {
+    return {
+      type: "answer",
+      reply: `None of those ${previous.length} book(s) are ${applied.join(" and ")}.`,
+      books: []
+    };
+  }
+  return { type: "books", books };
+}
+
+// ---------------- Session Store ----------------
+export function createConversationStore() {
+  const sessions = new Map();
+
+  function prune() {
+    const cutoff = Date.now() - SESSION_TTL_MINUTES * 60 * 1000;
+    for (const [id, s] of sessions) {
+      if (s.updatedAt < cutoff) sessions.delete(id);
+    }
+    // Map iteration order is insertion order, so the oldest sessions go first
+    while (sessions.size > MAX_SESSIONS) {
+      sessions.delete(sessions.keys().next().value);
+    }
+  }
+
+  function get(sessionId) {
+    prune();
+    const existing = sessionId && sessions.get(sessionId);
+    if (existing) return existing;
+    const session = { id: crypto.randomUUID(), lastQuery: null, lastResults: [], updatedAt: Date.now() };
+    sessions.set(session.id, session);
+    return session;
+  }
+
+  function remember(session, query, books) {
+    session.lastQuery = query;
+    session.lastResults = (books || []).map(slimBook);
+    session.updatedAt = Date.now();
+    // Re-insert so recently used sessions are evicted last
+    sessions.delete(session.id);
+    sessions.set(session.id, session);
+  }
+
+  // Previous results for a follow-up: the server-side session when it has them,
+  // otherwise re-run the latest standalone user turn from the client's context.
+  async function previousResults(session, context, search) {
+    if (session.lastResults.length > 0) return session.lastResults;
+    if (!Array.isArray(context)) return [];
+
+    const userTurns = context
+      .slice(-MAX_CONTEXT_TURNS)
+      .filter(t => t && t.role === "user")
+      .map(t => String(t.text ?? t.content ?? "").trim())
+      .filter(Boolean)
+      .reverse();
+    const anchor = userTurns.find(t => !looksLikeFollowUp(t.toLowerCase()));
+    if (!anchor) return [];
+
+    const books = await search(anchor);
+    remember(session, anchor, books);
+    return session.lastResults;
+  }
+
+  return { get, remember, previousResults };
+}
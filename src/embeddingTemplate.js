@@ -0,0 +1,65 @@
+import crypto from "crypto";
+
+// ---------------- Embedding Document Template ----------------
+// EMBED_TEMPLATE decides which text is embedded for a book. `{field}` is
+// replaced with the book's field (lists joined with ", "), and a `[...]`
+// section is left out when a field inside it is empty. Any stored book field
+// can be used (description, isbn, ... are kept by src/books.js), e.g.
+//   {title}. {author}.[ Subjects: {subjects}.][ Shelf: {location}.][ {description}]
+// Every vector is stamped with the model and template version it was built
+// with; a vector from another model or template is stale and is not searched.
+export const DEFAULT_EMBED_TEMPLATE = "{title}. {author}";
+// Vectors written before templates existed came from the default template
+const DEFAULT_TEMPLATE_VERSION = "default";
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+const SECTION = /\[([^[\]]*)\]/g;
+
+function fieldText(doc, name) {
+  const value = doc?.[name];
+  if (value === undefined || value === null) return "";
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean).join(", ");
+  if (typeof value === "object") return "";
+  return String(value).trim();
+}
+
+// `version` defaults to a hash of the template, so editing EMBED_TEMPLATE
+// marks every vector stale without further configuration
+export function createEmbeddingTemplate({
+  model,
+  template = process.env.EMBED_TEMPLATE || DEFAULT_EMBED_TEMPLATE,
+  version = process.env.EMBED_TEMPLATE_VERSION
+} = {}) {
+  if (!/\{\w+\}/.test(template)) throw new Error("EMBED_TEMPLATE has no {field} placeholder");
+  const templateVersion = version
+    || (template === DEFAULT_EMBED_TEMPLATE
+      ? DEFAULT_TEMPLATE_VERSION
+      : `t-${crypto.createHash("sha256").update(template).digest("hex").slice(0, 12)}`);
+
+  function render(doc) {
+    const withSections = template.replace(SECTION, (_, section) => {
+      const names = Array.from(section.matchAll(PLACEHOLDER), m => m[1]);
+      return names.every(name => fieldText(doc, name)) ? section : "";
+    });
+    return withSections.replace(PLACEHOLDER, (_, name) => fieldText(doc, name)).trim();
+  }
+
+  // null when the stored vector is usable, otherwise why it is not
+  function staleReason(doc) {
+    if (!Array.isArray(doc?.embedding) || doc.embedding.length === 0) return "missing";
+    if (doc.embedding_model !== model) return "model";
+    if ((doc.embedding_template ?? DEFAULT_TEMPLATE_VERSION) !== templateVersion) return "template";
+    return null;
+  }
+
+  return {
+    template,
+    version: templateVersion,
+    model,
+    render,
+    staleReason,
+    isCurrent: doc => staleReason(doc) === null,
+    // Fields written next to a fresh vector
+    stamp: () => ({ embedding_model: model, embedding_template: templateVersion, embedding_updated_at: new Date().toISOString() })
+  };
+}
@@ -0,0 +1,229 @@
+import express from "express";
+import { catalogFilter, subjectsOf } from "./catalog.js";
+import { isRemoved } from "./circulation.js";
+import { httpError, sendError } from "./http.js";
+import { requireRole } from "./auth.js";
+import { iterateDocs } from "./storage/index.js";
+
+// ---------------- Catalog Export ----------------
+// GET /export streams the catalogue as CSV, JSON Lines, MARC21 or MARCXML with
+// the /books filters. Without `q` the books database is read page by page and
+// written as it goes; text queries export the ranked search candidates.
+// Every format imports again through /import-books; the MARC formats carry
+// the fields marcToBook reads (see src/import/marc.js).
+const EXPORT_FORMATS = {
+  csv: { type: "text/csv; charset=utf-8", ext: "csv" },
+  jsonl: { type: "application/x-ndjson; charset=utf-8", ext: "jsonl" },
+  marc: { type: "application/marc", ext: "mrc" },
+  marcxml: { type: "application/marcxml+xml; charset=utf-8", ext: "xml" }
+};
+// Left out unless named in `include`
+const INTERNAL_FIELDS = {
+  rev: ["_rev"],
+  embedding: ["embedding", "embedding_model", "embedding_template", "embedding_updated_at"],
+  removed: ["removed", "removed_at"]
+};
+const CSV_COLUMNS = [
+  "_id", "title", "author", "copies", "available", "available_copies", "held_copies", "location", "max_pages",
+  "subject", "subjects", "description", "isbn", "publisher", "year"
+];
+const EXPORT_CANDIDATES = Number(process.env.CATALOG_CANDIDATES || 200);
+// 852 $a: the holding institution (MARC organization code)
+const MARC_ORG_CODE = process.env.MARC_ORG_CODE || "library";
+
+function includeParam(value) {
+  const names = String(value || "").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+  const unknown = names.filter(n => !(n in INTERNAL_FIELDS));
+  if (unknown.length > 0) {
+    throw httpError(400, `include accepts ${Object.keys(INTERNAL_FIELDS).join(", ")}`);
+  }
+  return new Set(names);
+}
+
+function exportedDoc(doc, include) {
+  const out = { ...doc };
+  for (const [name, fields] of Object.entries(INTERNAL_FIELDS)) {
+    if (!include.has(name)) for (const f of fields) delete out[f];
+  }
+  return out;
+}
+
+// ---------------- CSV ----------------
+function csvCell(value) {
+  if (value === undefined || value === null) return "";
+  const text = Array.isArray(value) && value.every(v => typeof v === "string")
+    ? value.join(";")
+    : typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+function csvColumns(include) {
+  return [...CSV_COLUMNS, ...Object.keys(INTERNAL_FIELDS).filter(n => include.has(n)).flatMap(n => INTERNAL_FIELDS[n])];
+}
+
+function csvRow(values) {
+  return `${values.map(csvCell).join(",")}\r\n`;
+}
+
+// ---------------- MARC ----------------
+// Mirrors marcToBook in src/import/marc.js: 001 id, 020 ISBN, 100 author,
+// 245 title, 264 publisher and year, 300 pages, 520 description, 650 subjects
+// and one 852 holding per copy
+function invertName(name) {
+  const parts = String(name).trim().split(/\s+/);
+  if (parts.length < 2 || name.includes(",")) return name;
+  return `${parts[parts.length - 1]}, ${parts.slice(0, -1).join(" ")}`;
+}
+
+export function bookToMarc(book) {
+  const fields = [{ tag: "001", value: String(book._id) }];
+  if (book.isbn) fields.push({ tag: "020", ind1: " ", ind2: " ", subfields: [{ code: "a", value: String(book.isbn) }] });
+  if (book.author) fields.push({ tag: "100", ind1: "1", ind2: " ", subfields: [{ code: "a", value: invertName(book.author) }] });
+  fields.push({ tag: "245", ind1: book.author ? "1" : "0", ind2: "0", subfields: [{ code: "a", value: String(book.title || "") }] });
+  const imprint = [
+    ...(book.publisher ? [{ code: "b", value: String(book.publisher) }] : []),
+    ...(Number.isFinite(book.year) ? [{ code: "c", value: String(book.year) }] : [])
+  ];
+  if (imprint.length > 0) fields.push({ tag: "264", ind1: " ", ind2: "1", subfields: imprint });
+  if (Number.isFinite(book.max_pages)) fields.push({ tag: "300", ind1: " ", ind2: " ", subfields: [{ code: "a", value: `${book.max_pages} p.` }] });
+  if (book.description) fields.push({ tag: "520", ind1: " ", ind2: " ", subfields: [{ code: "a", value: String(book.description) }] });
+  for (const subject of subjectsOf(book)) {
+    fields.push({ tag: "650", ind1: " ", ind2: "4", subfields: [{ code: "a", value: subject }] });
+  }
+  const copies = Number.isFinite(book.copies) ? book.copies : 0;
+  const holding = [{ code: "a", value: MARC_ORG_CODE }, ...(book.location ? [{ code: "h", value: String(book.location) }] : [])];
+  for (let i = 0; i < copies; i++) fields.push({ tag: "852", ind1: " ", ind2: " ", subfields: holding });
+  // Record length and base address are filled in by encodeMarc21
+  return { leader: "00000nam a2200000   4500", fields };
+}
+
+function fieldData(field) {
+  if (field.value !== undefined) return field.value;
+  return `${field.ind1}${field.ind2}${field.subfields.map(s => `\x1f${s.code}${s.value}`).join("")}`;
+}
+
+// ISO 2709: lengths and offsets count UTF-8 bytes
+export function encodeMarc21({ leader, fields }) {
+  const data = fields.map(f => Buffer.from(`${fieldData(f)}\x1e`, "utf8"));
+  let offset = 0;
+  const directory = fields.map((f, i) => {
+    const entry = `${f.tag}${String(data[i].length).padStart(4, "0")}${String(offset).padStart(5, "0")}`;
+    offset += data[i].length;
+    return entry;
+  }).join("") + "\x1e";
+  const baseAddress = 24 + Buffer.byteLength(directory);
+  const length = baseAddress + offset + 1;
+  if (length > 99999) throw new Error("Record is too long for MARC21");
+  const head = `${String(length).padStart(5, "0")}${leader.slice(5, 12)}${String(baseAddress).padStart(5, "0")}${leader.slice(17)}`;
+  return Buffer.concat([Buffer.from(head + directory, "latin1"), ...data, Buffer.from([0x1d])]);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export function marcXmlRecord({ leader, fields }) {
+  const lines = [`  <record>`, `    <leader>${escapeXml(leader)}</leader>`];
+  for (const f of fields) {
+    if (f.value !== undefined) {
+      lines.push(`    <controlfield tag="${f.tag}">${escapeXml(f.value)}</controlfield>`);
+      continue;
+    }
+    lines.push(`    <datafield tag="${f.tag}" ind1="${f.ind1}" ind2="${f.ind2}">`);
+    for (const s of f.subfields) lines.push(`      <subfield code="${s.code}">${escapeXml(s.value)}</subfield>`);
+    lines.push("    </datafield>");
+  }
+  lines.push("  </record>");
+  return `${lines.join("\n")}\n`;
+}
+
+// ---------------- Writers ----------------
+function writerFor(format, include) {
+  switch (format) {
+    case "csv": {
+      const columns = csvColumns(include);
+      return { head: csvRow(columns), book: b => csvRow(columns.map(c => b[c])), tail: "" };
+    }
+    case "jsonl":
+      return { head: "", book: b => `${JSON.stringify(b)}\n`, tail: "" };
+    case "marc":
+      return { head: "", book: b => encodeMarc21(bookToMarc(b)), tail: "" };
+    case "marcxml":
+      return {
+        head: "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n<collection xmlns=\"http://www.loc.gov/MARC21/slim\">\n",
+        book: b => marcXmlRecord(bookToMarc(b)),
+        tail: "</collection>\n"
+      };
+    default:
+      throw httpError(400, `format must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}`);
+  }
+}
+
+// Waits for the socket to drain when the client reads slower than we write
+// (or for it to close when the client gives up)
+async function write(res, chunk) {
+  if (!chunk || chunk.length === 0 || res.destroyed) return;
+  if (res.write(chunk)) return;
+  await new Promise(resolve => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+}
+
+// `search(text, { limit })` and `expandTokens` are the same hooks as the catalog router
+export function createExportRouter({ storage, booksDb, search, expandTokens }) {
+  const router = express.Router();
+
+  router.get("/export", requireRole("librarian"), async (req, res) => {
+    try {
+      const format = String(req.query.format || "jsonl").toLowerCase();
+      const include = includeParam(req.query.include);
+      const writer = writerFor(format, include);
+      const keep = catalogFilter(req.query, expandTokens);
+      const q = String(req.query.q || "").trim();
+
+      const books = q
+        ? await search(q, { limit: EXPORT_CANDIDATES })
+        : iterateDocs(storage, booksDb);
+
+      const date = new Date().toISOString().slice(0, 10);
+      res.set({
+        "Content-Type": EXPORT_FORMATS[format].type,
+        "Content-Disposition": `attachment; filename="catalogue-${date}.${EXPORT_FORMATS[format].ext}"`
+      });
+
+      let count = 0;
+      await write(res, writer.head);
+      for await (const doc of books) {
+        if (res.destroyed) return;
+        if (isRemoved(doc) && !include.has("removed")) continue;
+        if (!keep(doc)) continue;
+        const { score, ...book } = doc;
+        await write(res, writer.book(exportedDoc(book, include)));
+        count += 1;
+      }
+      await write(res, writer.tail);
+      res.end();
+      console.log(`📤 Exported ${count} books as ${format}`);
+    } catch (err) {
+      if (!res.headersSent) {
+        res.removeHeader("Content-Disposition");
+        return sendError(res, err, "export");
+      }
+      // Too late for an error response: cut the download short so it is not mistaken for complete
+      console.error("❌ export error:", err.message);
+      res.destroy(err);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,245 @@
+// ---------------- Reply Grounding ----------------
+// The model is told to answer only from the inventory, but nothing forced it
+// to. Every generated reply is parsed back into entries and checked against
+// the books it was given: wrong authors, copy counts, locations or page counts
+// are corrected, books that are not in the inventory are dropped, and a reply
+// that cannot be reconciled is replaced by the deterministic template.
+const MAX_ENTRIES = 5;
+const NOT_AVAILABLE = "Not available in the library inventory.";
+
+// The values the prompt shows for a book; the template and the validator use
+// the same ones so a faithful reply always validates.
+export function inventoryFields(b) {
+  return {
+    title: String(b.title || "Unknown Title").trim(),
+    author: String(b.author || "Unknown Author").trim(),
+    copies: Number.isInteger(b.copies) ? b.copies : 0,
+    location: String(b.location || "Unknown Location").trim(),
+    maxPages: Number.isInteger(b.max_pages) ? b.max_pages : null
+  };
+}
+
+export function emptyInventoryReply(pageLimit = null) {
+  return pageLimit
+    ? `No books match that page limit. All available books appear to be over ${pageLimit} pages.`
+    : NOT_AVAILABLE;
+}
+
+// Deterministic reply in the same entry format the model is asked for
+export function renderInventoryTemplate(books, { pageLimit = null } = {}) {
+  if (!Array.isArray(books) || books.length === 0) return emptyInventoryReply(pageLimit);
+  return books
+    .slice(0, MAX_ENTRIES)
+    .map((b, index) => {
+      const f = inventoryFields(b);
+      const lines = [
+        `${index + 1}. Title: ${f.title}`,
+        `   Author: ${f.author}`,
+        `   Copies: ${f.copies}`,
+        `   Location: ${f.location}`
+      ];
+      if (f.maxPages !== null) lines.push(`   Max Pages: ${f.maxPages}`);
+      return lines.join("\n");
+    })
+    .join("\n\n");
+}
+
+function normalise(value) {
+  return String(value || "").toLowerCase().replace(/[^a-z0-9+#]+/g, " ").trim();
+}
+
+function field(block, label) {
+  return block.match(new RegExp(`${label}:\\s*(.*)`, "i"))?.[1]?.trim() || null;
+}
+
+// "1. Title: …\n   Author: …" entries, in the order the model wrote them
+export function parseReplyEntries(text) {
+  return String(text || "")
+    .split(/\n(?=\s*(?:•\s*)?\d+\.\s+Title:)/i)
+    .map(block => block.trim())
+    .filter(block => /^(?:•\s*)?\d+\.\s+Title:/i.test(block))
+    .map(block => {
+      const copies = field(block, "Copies");
+      const maxPages = field(block, "Max Pages");
+      return {
+        title: field(block, "Title"),
+        author: field(block, "Author"),
+        copies: copies === null ? null : parseInt(copies, 10),
+        location: field(block, "Location"),
+        maxPages: maxPages === null ? null : parseInt(maxPages, 10)
+      };
+    });
+}
+
+// Jaccard overlap of title words; "intro" / "introduction" count as the same word
+function tokenOverlap(a, b) {
+  const ta = Array.from(new Set(a.split(" ").filter(Boolean)));
+  const tb = Array.from(new Set(b.split(" ").filter(Boolean)));
+  if (ta.length === 0 || tb.length === 0) return 0;
+  const same = (x, y) => x === y || (Math.min(x.length, y.length) >= 3 && (x.startsWith(y) || y.startsWith(x)));
+  let shared = 0;
+  for (const t of ta) if (tb.some(u => same(t, u))) shared += 1;
+  return shared / (ta.length + tb.length - shared);
+}
+
+// Exact title first, then a close title (abbreviated or reworded by the model)
+function matchBook(entry, books) {
+  const title = normalise(entry.title);
+  if (!title) return null;
+  const exact = books.find(b => normalise(b.title) === title);
+  if (exact) return { book: exact, exact: true };
+
+  let best = null;
+  let bestScore = 0;
+  for (const b of books) {
+    const candidate = normalise(b.title);
+    const contained = title.length >= 4 && (candidate.includes(title) || title.includes(candidate));
+    const score = contained ? Math.max(0.8, tokenOverlap(title, candidate)) : tokenOverlap(title, candidate);
+    if (score > bestScore) {
+      bestScore = score;
+      best = b;
+    }
+  }
+  return bestScore >= 0.75 ? { book: best, exact: false } : null;
+}
+
+function fieldViolations(entry, f) {
+  const violations = [];
+  if (entry.author && normalise(entry.author) !== normalise(f.author)) violations.push("author");
+  if (Number.isFinite(entry.copies) && entry.copies !== f.copies) violations.push("copies");
+  if (entry.location && normalise(entry.location) !== normalise(f.location)) violations.push("location");
+  if (Number.isFinite(entry.maxPages) && entry.maxPages !== f.maxPages) violations.push("max_pages");
+  return violations;
+}
+
+// Streams a reply while the model writes it, one entry at a time: an entry is
+// only sent once the next one starts and it names an inventory book with the
+// right author, copies, location and pages. The first entry that would need
+// correcting closes the stream, so ungrounded text never reaches the client;
+// `finish(reply)` then sends the rest of the validated reply if it continues
+// what was streamed (otherwise the client shows the validated reply instead).
+const ENTRY_BOUNDARY = /\n(?=\s*(?:•\s*)?\d+\.\s+Title:)/gi;
+
+export function createGroundedStream(books, onToken) {
+  const inventory = Array.isArray(books) ? books : [];
+  const seen = new Set();
+  let text = "";
+  let sent = 0;
+  let open = true;
+
+  function grounded(entry) {
+    const match = matchBook(entry, inventory);
+    if (!match?.exact || seen.size >= MAX_ENTRIES) return false;
+    const id = match.book._id || match.book.title;
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return fieldViolations(entry, inventoryFields(match.book)).length === 0;
+  }
+
+  function release(end) {
+    const chunk = text.slice(sent, end);
+    if (!chunk) return;
+    if (!parseReplyEntries(chunk).every(grounded)) {
+      open = false;
+      return;
+    }
+    sent = end;
+    onToken(chunk);
+  }
+
+  return {
+    push(chunk) {
+      if (!open) return;
+      text += chunk;
+      const boundaries = Array.from(text.matchAll(ENTRY_BOUNDARY), m => m.index);
+      const last = boundaries.findLast(i => i > sent);
+      if (last !== undefined) release(last);
+    },
+    finish(reply) {
+      if (!open || !reply.startsWith(text.slice(0, sent))) return;
+      if (reply.length > sent) onToken(reply.slice(sent));
+    }
+  };
+}
+
+export function createGroundingValidator() {
+  const counts = {
+    replies: 0,
+    corrected: 0,
+    fallbacks: 0,
+    violations: { title: 0, unknown_book: 0, duplicate: 0, author: 0, copies: 0, location: 0, max_pages: 0, extra_entries: 0, unparseable: 0 }
+  };
+
+  function record(query, violations, outcome) {
+    for (const v of violations) counts.violations[v.type] += 1;
+    if (outcome === "corrected") counts.corrected += 1;
+    if (outcome === "fallback") counts.fallbacks += 1;
+    if (violations.length > 0) {
+      const summary = violations.map(v => (v.title ? `${v.type} (${v.title})` : v.type)).join(", ");
+      console.warn(`⚠️ Grounding ${outcome} for "${query}": ${summary}`);
+    }
+  }
+
+  // Returns { reply, violations, outcome } where outcome is ok | corrected | fallback
+  function validate(reply, books, { query = "", pageLimit = null } = {}) {
+    counts.replies += 1;
+    const inventory = Array.isArray(books) ? books : [];
+    const entries = parseReplyEntries(reply);
+    const violations = [];
+
+    // Nothing to list: whatever the model said, the answer is the fixed one
+    if (inventory.length === 0) {
+      for (const entry of entries) violations.push({ type: "unknown_book", title: entry.title });
+      const outcome = violations.length > 0 ? "fallback" : "ok";
+      record(query, violations, outcome);
+      return { reply: emptyInventoryReply(pageLimit), violations, outcome };
+    }
+
+    if (entries.length === 0) {
+      violations.push({ type: "unparseable" });
+      record(query, violations, "fallback");
+      return { reply: renderInventoryTemplate(inventory, { pageLimit }), violations, outcome: "fallback" };
+    }
+
+    const kept = [];
+    const seen = new Set();
+    for (const entry of entries) {
+      const match = matchBook(entry, inventory);
+      if (!match) {
+        violations.push({ type: "unknown_book", title: entry.title });
+        continue;
+      }
+      const id = match.book._id || match.book.title;
+      if (seen.has(id)) {
+        violations.push({ type: "duplicate", title: entry.title });
+        continue;
+      }
+      seen.add(id);
+      if (!match.exact) violations.push({ type: "title", title: entry.title });
+      for (const type of fieldViolations(entry, inventoryFields(match.book))) {
+        violations.push({ type, title: match.book.title });
+      }
+      kept.push(match.book);
+    }
+    if (kept.length > MAX_ENTRIES) violations.push({ type: "extra_entries" });
+
+    if (kept.length === 0) {
+      record(query, violations, "fallback");
+      return { reply: renderInventoryTemplate(inventory, { pageLimit }), violations, outcome: "fallback" };
+    }
+    if (violations.length === 0) {
+      record(query, violations, "ok");
+      return { reply, violations, outcome: "ok" };
+    }
+    // Re-render the surviving entries from inventory data, keeping the model's order
+    record(query, violations, "corrected");
+    return { reply: renderInventoryTemplate(kept, { pageLimit }), violations, outcome: "corrected" };
+  }
+
+  return {
+    validate,
+    stats() {
+      return { ...counts, violations: { ...counts.violations } };
+    }
+  };
+}
@@ -0,0 +1,264 @@
+import express from "express";
+import { adjustCopies, copiesOnShelf, isRemoved } from "./circulation.js";
+import { httpError, isConflict, isNotFound, sendError } from "./http.js";
+import { isStaff, memberFor, requireRole } from "./auth.js";
+
+// ---------------- Holds / Reservation Queue ----------------
+// A hold waits in a per-book FIFO queue. When a copy comes back it is set aside
+// for the oldest waiting hold ("ready"); uncollected ready holds expire after
+// HOLD_PICKUP_DAYS and the copy moves on to the next member or back to the shelf.
+const HOLD_PICKUP_DAYS = Number(process.env.HOLD_PICKUP_DAYS || 3);
+const HOLD_SWEEP_MINUTES = Number(process.env.HOLD_SWEEP_MINUTES || 15);
+const ACTIVE_STATUSES = ["waiting", "ready"];
+
+function byPlacedAt(a, b) {
+  return String(a.placed_at).localeCompare(String(b.placed_at)) || String(a._id).localeCompare(String(b._id));
+}
+
+export function createHoldService({ storage, booksDb, holdsDb }) {
+  async function findHolds(selector) {
+    return storage.find(holdsDb, selector, { limit: 10000 });
+  }
+
+  async function queueFor(bookId) {
+    const waiting = await findHolds({ book_id: bookId, status: "waiting" });
+    return waiting.sort(byPlacedAt);
+  }
+
+  async function saveHold(hold) {
+    const { rev } = await storage.putDoc(holdsDb, hold);
+    return { ...hold, _rev: rev };
+  }
+
+  async function withPositions(holds) {
+    const queues = new Map();
+    const out = [];
+    for (const hold of holds) {
+      if (hold.status !== "waiting") {
+        out.push({ ...hold, position: null });
+        continue;
+      }
+      if (!queues.has(hold.book_id)) queues.set(hold.book_id, await queueFor(hold.book_id));
+      const position = queues.get(hold.book_id).findIndex(h => h._id === hold._id) + 1;
+      out.push({ ...hold, position: position || null });
+    }
+    return out;
+  }
+
+  async function placeHold(bookId, member) {
+    let book;
+    try {
+      book = await storage.getDoc(booksDb, bookId);
+    } catch (err) {
+      if (isNotFound(err)) throw httpError(404, `Book ${bookId} not found`);
+      throw err;
+    }
+    if (isRemoved(book)) throw httpError(404, `"${book.title}" has been removed from the catalogue`);
+
+    const onShelf = copiesOnShelf(book);
+    if (onShelf > 0) {
+      throw httpError(409, `"${book.title}" has ${onShelf} cop${onShelf === 1 ? "y" : "ies"} on the shelf; check one out instead`);
+    }
+
+    const existing = await findHolds({ book_id: bookId, member, status: { $in: ACTIVE_STATUSES } });
+    if (existing.length > 0) {
+      throw httpError(409, `Member ${member} already has a hold on "${book.title}"`);
+    }
+
+    const hold = {
+      type: "hold",
+      book_id: bookId,
+      book_title: book.title,
+      member,
+      status: "waiting",
+      placed_at: new Date().toISOString(),
+      ready_at: null,
+      expires_at: null
+    };
+    const { id, rev } = await storage.putDoc(holdsDb, hold);
+    hold._id = id;
+    hold._rev = rev;
+
+    const [withPosition] = await withPositions([hold]);
+    return withPosition;
+  }
+
+  async function listHolds(member, statuses = ACTIVE_STATUSES) {
+    const holds = await findHolds({ member, status: { $in: statuses } });
+    return withPositions(holds.sort(byPlacedAt));
+  }
+
+  async function activeHoldCount(bookId) {
+    return (await findHolds({ book_id: bookId, status: { $in: ACTIVE_STATUSES } })).length;
+  }
+
+  async function findReadyHold(bookId, member) {
+    const [hold] = await findHolds({ book_id: bookId, member, status: "ready" });
+    return hold || null;
+  }
+
+  // Collects the member's ready hold before a checkout takes its copy. Saving it
+  // with its _rev first means two concurrent checkouts (or the expiry sweep)
+  // cannot both consume the held copy; the loser gets null.
+  async function claimReadyHold(bookId, member) {
+    const hold = await findReadyHold(bookId, member);
+    if (!hold) return null;
+    try {
+      return await saveHold({ ...hold, status: "collected", loan_id: null, collected_at: new Date().toISOString() });
+    } catch (err) {
+      if (isConflict(err)) return null;
+      throw err;
+    }
+  }
+
+  // Undoes claimReadyHold when the checkout failed; the copy is still held
+  async function releaseClaim(hold) {
+    const { loan_id: _loan, collected_at: _collected, ...rest } = hold;
+    return saveHold({ ...rest, status: "ready" });
+  }
+
+  async function markCollected(hold, loanId) {
+    return saveHold({ ...hold, status: "collected", loan_id: loanId });
+  }
+
+  // Marks the oldest waiting hold as ready. The caller owns the copy counts.
+  async function promoteNextHold(bookId) {
+    for (const hold of await queueFor(bookId)) {
+      const now = new Date();
+      const expires = new Date(now.getTime() + HOLD_PICKUP_DAYS * 24 * 60 * 60 * 1000);
+      try {
+        return await saveHold({ ...hold, status: "ready", ready_at: now.toISOString(), expires_at: expires.toISOString() });
+      } catch (err) {
+        // Cancelled or promoted concurrently: try the next one in line
+        if (!isConflict(err)) throw err;
+      }
+    }
+    return null;
+  }
+
+  // Undoes promoteNextHold when the copy could not be set aside after all; the
+  // hold keeps its place at the front of the queue
+  async function revertPromotion(hold) {
+    return saveHold({ ...hold, status: "waiting", ready_at: null, expires_at: null });
+  }
+
+  // A ready hold gave up its copy: hand it to the next hold, or back to the shelf.
+  async function releaseHeldCopy(bookId) {
+    const promoted = await promoteNextHold(bookId);
+    if (!promoted) {
+      await adjustCopies(storage, booksDb, bookId, { shelf: 1, held: -1 });
+    }
+    return promoted;
+  }
+
+  async function cancelHold(holdId, member) {
+    let hold;
+    try {
+      hold = await storage.getDoc(holdsDb, holdId);
+    } catch (err) {
+      if (isNotFound(err)) throw httpError(404, "Hold not found");
+      throw err;
+    }
+    if (member && hold.member !== member) throw httpError(404, "Hold not found");
+    if (!ACTIVE_STATUSES.includes(hold.status)) {
+      throw httpError(409, `Hold is already ${hold.status}`);
+    }
+
+    let cancelled;
+    try {
+      cancelled = await saveHold({ ...hold, status: "cancelled", cancelled_at: new Date().toISOString() });
+    } catch (err) {
+      if (isConflict(err)) throw httpError(409, "Hold changed while cancelling, please retry");
+      throw err;
+    }
+    if (hold.status === "ready") await releaseHeldCopy(hold.book_id);
+    return cancelled;
+  }
+
+  async function expireReadyHolds() {
+    const now = new Date().toISOString();
+    const ready = await findHolds({ status: "ready", expires_at: { $lt: now } });
+    let expired = 0;
+    for (const hold of ready) {
+      try {
+        await saveHold({ ...hold, status: "expired", expired_at: now });
+      } catch (err) {
+        if (isConflict(err)) continue; // collected or cancelled in the meantime
+        throw err;
+      }
+      await releaseHeldCopy(hold.book_id);
+      expired += 1;
+    }
+    return expired;
+  }
+
+  function startExpirySweep() {
+    const timer = setInterval(() => {
+      expireReadyHolds()
+        .then(n => n > 0 && console.log(`⏰ Expired ${n} uncollected hold(s)`))
+        .catch(err => console.error("❌ Hold expiry sweep failed:", err.message));
+    }, HOLD_SWEEP_MINUTES * 60 * 1000);
+    timer.unref();
+    return timer;
+  }
+
+  return {
+    placeHold,
+    listHolds,
+    activeHoldCount,
+    cancelHold,
+    findReadyHold,
+    claimReadyHold,
+    releaseClaim,
+    markCollected,
+    promoteNextHold,
+    revertPromotion,
+    expireReadyHolds,
+    startExpirySweep
+  };
+}
+
+export function createHoldsRouter({ holds }) {
+  const router = express.Router();
+
+  router.post("/books/:id/holds", requireRole("student"), async (req, res) => {
+    try {
+      const member = memberFor(req, req.body?.member);
+      if (!member || typeof member !== "string") {
+        throw httpError(400, "Missing or invalid member");
+      }
+      const hold = await holds.placeHold(req.params.id, member);
+      res.status(201).json({ ok: true, hold });
+    } catch (err) {
+      sendError(res, err, "place hold");
+    }
+  });
+
+  router.get("/holds", requireRole("student"), async (req, res) => {
+    try {
+      const member = memberFor(req, req.query.member);
+      const { status } = req.query;
+      if (!member || typeof member !== "string") {
+        throw httpError(400, "Missing or invalid member");
+      }
+      const statuses = status ? String(status).split(",") : undefined;
+      const list = await holds.listHolds(member, statuses);
+      res.json({ ok: true, count: list.length, holds: list });
+    } catch (err) {
+      sendError(res, err, "list holds");
+    }
+  });
+
+  router.delete("/holds/:id", requireRole("student"), async (req, res) => {
+    try {
+      // Staff may cancel any hold; members only their own
+      const owner = isStaff(req.user) ? null : req.user.username;
+      const hold = await holds.cancelHold(req.params.id, owner);
+      res.json({ ok: true, hold });
+    } catch (err) {
+      sendError(res, err, "cancel hold");
+    }
+  });
+
+  return router;
+}
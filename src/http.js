@@ -0,0 +1,37 @@
+// ---------------- HTTP Helpers (shared by route modules) ----------------
+
+// Error carrying the HTTP status a route should answer with.
+export function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.expose = true;
+  return err;
+}
+
+// Cloudant SDK errors expose the response status as `code` (newer) or `status`.
+export function statusOf(err) {
+  return err?.status || err?.code || null;
+}
+
+export function isConflict(err) {
+  return statusOf(err) === 409;
+}
+
+export function isNotFound(err) {
+  return statusOf(err) === 404;
+}
+
+// Shared error responder so route modules answer in the same { ok, error } shape as server.js.
+export function sendError(res, err, label) {
+  const status = err?.expose ? err.status : 500;
+  if (status >= 500) {
+    console.error(`❌ ${label} error:`, err.response?.data || err.message);
+  }
+  res.status(status).json({ ok: false, error: err.message });
+}
+
+// The `_rev` a write was based on: If-Match header, body `_rev` or `?rev=`.
+export function requestedRev(req) {
+  const header = req.get("If-Match");
+  return (header && header.replace(/^W\//, "").replace(/"/g, "")) || req.body?._rev || req.query.rev || null;
+}
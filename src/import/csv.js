@@ -0,0 +1,111 @@
+// ---------------- CSV Import ----------------
+// RFC 4180 CSV (quoted fields, doubled quotes, newlines inside quotes) with a
+// header row. Columns are mapped onto book fields either by an explicit
+// `mapping` ({ field: "Column Header" }) or by the header aliases below.
+const HEADER_ALIASES = {
+  _id: ["_id", "id", "book id", "book_id", "control number"],
+  title: ["title", "book title", "name"],
+  author: ["author", "authors", "writer", "creator"],
+  copies: ["copies", "copy count", "quantity", "qty"],
+  location: ["location", "shelf", "shelf location", "call number"],
+  max_pages: ["max_pages", "max pages", "pages", "page count"],
+  subject: ["subject"],
+  subjects: ["subjects", "topics", "keywords"],
+  description: ["description", "summary", "abstract"],
+  isbn: ["isbn", "isbn13", "isbn-13", "isbn10", "isbn-10"],
+  publisher: ["publisher"],
+  year: ["year", "publication year", "published"],
+  available: ["available"]
+};
+const INTEGER_FIELDS = new Set(["copies", "max_pages", "year"]);
+
+export function parseCsv(text, delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === "\"" && input[i + 1] === "\"") {
+        field += "\"";
+        i++;
+      } else if (ch === "\"") {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === "\"" && field === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error("Unterminated quoted field in CSV");
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Blank lines carry no record
+  return rows.filter(r => r.some(cell => cell.trim() !== ""));
+}
+
+function columnIndexes(header, mapping) {
+  const normalised = header.map(h => h.trim().toLowerCase());
+  const indexes = {};
+
+  for (const [field, column] of Object.entries(mapping || {})) {
+    const idx = normalised.indexOf(String(column).trim().toLowerCase());
+    if (idx === -1) throw new Error(`Mapped column "${column}" for ${field} is not in the CSV header`);
+    indexes[field] = idx;
+  }
+  for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+    if (field in indexes) continue;
+    const idx = normalised.findIndex(h => aliases.includes(h));
+    if (idx !== -1) indexes[field] = idx;
+  }
+  return indexes;
+}
+
+function convert(field, raw) {
+  const value = raw.trim();
+  if (value === "") return undefined;
+  if (INTEGER_FIELDS.has(field)) {
+    // Keep what was written so validation can report it ("12 pages" is not a number)
+    return /^\d+$/.test(value) ? Number(value) : value;
+  }
+  if (field === "subjects") return value.split(/[;|]/).map(s => s.trim()).filter(Boolean);
+  if (field === "available") {
+    if (/^(true|yes|y|1)$/i.test(value)) return true;
+    if (/^(false|no|n|0)$/i.test(value)) return false;
+  }
+  return value;
+}
+
+// -> [{ row, record }]; `row` numbers the records with the header as row 1
+export function parseCsvBooks(text, { mapping = null, delimiter = "," } = {}) {
+  const [header, ...rows] = parseCsv(text, delimiter);
+  if (!header) return [];
+  const indexes = columnIndexes(header, mapping);
+  if (!("title" in indexes)) throw new Error("CSV has no title column (map one with `mapping`)");
+
+  return rows.map((cells, i) => {
+    const record = {};
+    for (const [field, idx] of Object.entries(indexes)) {
+      const value = convert(field, cells[idx] ?? "");
+      if (value !== undefined) record[field] = value;
+    }
+    return { row: i + 2, record };
+  });
+}
@@ -0,0 +1,295 @@
+import express from "express";
+import fs from "fs";
+import multer from "multer";
+import { httpError, sendError } from "../http.js";
+import { requireRole } from "../auth.js";
+import { loadAllDocs } from "../storage/index.js";
+import { parseCsvBooks } from "./csv.js";
+import { marcToBook, parseMarc21, parseMarcXml } from "./marc.js";
+import { planImport, SYNC_MODES } from "./plan.js";
+
+// ---------------- Catalogue Import Parsing ----------------
+// Turns an uploaded file into numbered rows: { row, record } with book fields
+// or { row, error } when the row itself could not be read. Validation and
+// writing stay with the /import-books route.
+export const IMPORT_FORMATS = ["json", "jsonl", "csv", "marc", "marcxml"];
+
+// One JSON object per line (GET /export's default format), as opposed to a
+// single JSON document that may also start with "{"
+function looksLikeJsonLines(text) {
+  const end = text.indexOf("\n");
+  try {
+    const first = JSON.parse(end === -1 ? text : text.slice(0, end));
+    return first !== null && typeof first === "object" && !Array.isArray(first.books);
+  } catch {
+    return false;
+  }
+}
+
+export function detectFormat({ filename = "", mimetype = "", buffer }) {
+  const ext = String(filename).toLowerCase().split(".").pop();
+  if (ext === "jsonl" || ext === "ndjson" || /ndjson|jsonl/.test(mimetype)) return "jsonl";
+  if (ext === "json" || mimetype === "application/json") return "json";
+  if (ext === "csv" || mimetype === "text/csv") return "csv";
+  if (ext === "mrc" || ext === "marc" || mimetype === "application/marc") return "marc";
+  if (ext === "xml" || /xml/.test(mimetype)) return "marcxml";
+
+  const head = buffer.subarray(0, 512).toString("utf8").trimStart();
+  if (head.startsWith("{") && looksLikeJsonLines(buffer.toString("utf8").trimStart())) return "jsonl";
+  if (head.startsWith("[") || head.startsWith("{")) return "json";
+  if (head.startsWith("<")) return "marcxml";
+  // ISO 2709 records start with a 5-digit record length
+  if (/^\d{5}[a-z ]/.test(head)) return "marc";
+  return "csv";
+}
+
+function parseJsonBooks(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+  const books = Array.isArray(data) ? data : data?.books;
+  if (!Array.isArray(books)) throw new Error("JSON must be an array of books or { \"books\": [...] }");
+  return books.map((record, i) => (
+    record && typeof record === "object" && !Array.isArray(record)
+      ? { row: i + 1, record }
+      : { row: i + 1, error: "Row is not a JSON object" }
+  ));
+}
+
+// `row` is the line number; blank lines are skipped
+function parseJsonLinesBooks(text) {
+  const rows = [];
+  String(text).replace(/^\uFEFF/, "").split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    const row = i + 1;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      rows.push({ row, error: `Invalid JSON: ${err.message}` });
+      return;
+    }
+    rows.push(record && typeof record === "object" && !Array.isArray(record)
+      ? { row, record }
+      : { row, error: "Row is not a JSON object" });
+  });
+  return rows;
+}
+
+// `mapping` ({ field: "CSV column" }) and `delimiter` only apply to CSV
+export function parseImport({ buffer, filename, mimetype, format = null, mapping = null, delimiter = "," }) {
+  const kind = format || detectFormat({ filename, mimetype, buffer });
+  switch (kind) {
+    case "json":
+      return { format: kind, rows: parseJsonBooks(buffer.toString("utf8")) };
+    case "jsonl":
+      return { format: kind, rows: parseJsonLinesBooks(buffer.toString("utf8")) };
+    case "csv":
+      return { format: kind, rows: parseCsvBooks(buffer.toString("utf8"), { mapping, delimiter }) };
+    case "marc":
+    case "marcxml": {
+      const parsed = kind === "marc" ? parseMarc21(buffer) : parseMarcXml(buffer.toString("utf8"));
+      return {
+        format: kind,
+        rows: parsed.map(r => (r.error ? r : { row: r.row, record: marcToBook(r.record) }))
+      };
+    }
+    default:
+      throw new Error(`Unsupported format "${kind}" (expected ${IMPORT_FORMATS.join(", ")})`);
+  }
+}
+
+// ---------------- Import Route ----------------
+// POST /import-books takes a multipart upload (`file`, plus optional `format`,
+// `mapping` and `delimiter` fields) or, without a file, the server's books.json.
+// Every row is validated like a single-book write and reported on its own;
+// `dryRun` reports the plan without writing and `sync` removes books the
+// source no longer lists.
+const IMPORT_MAX_MB = Number(process.env.IMPORT_MAX_MB || 20);
+const IMPORT_BATCH = 500;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_MB * 1024 * 1024, files: 1 }
+}).single("file");
+
+function receiveFile(req, res) {
+  return new Promise((resolve, reject) => {
+    upload(req, res, err => {
+      if (!err) return resolve();
+      if (err instanceof multer.MulterError) {
+        return reject(httpError(err.code === "LIMIT_FILE_SIZE" ? 413 : 400, err.code === "LIMIT_FILE_SIZE"
+          ? `File is larger than ${IMPORT_MAX_MB} MB`
+          : `Upload rejected: ${err.message}`));
+      }
+      reject(err);
+    });
+  });
+}
+
+function importOptions(body = {}) {
+  const format = body.format ? String(body.format).toLowerCase() : null;
+  if (format && !IMPORT_FORMATS.includes(format)) {
+    throw httpError(400, `format must be one of ${IMPORT_FORMATS.join(", ")}`);
+  }
+  let mapping = body.mapping || null;
+  if (typeof mapping === "string") {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch {
+      throw httpError(400, "mapping must be a JSON object such as {\"title\": \"Book Title\"}");
+    }
+  }
+  if (mapping !== null && (typeof mapping !== "object" || Array.isArray(mapping))) {
+    throw httpError(400, "mapping must be a JSON object such as {\"title\": \"Book Title\"}");
+  }
+  const delimiter = body.delimiter === "\\t" ? "\t" : String(body.delimiter || ",");
+  if (delimiter.length !== 1) throw httpError(400, "delimiter must be a single character");
+  return { format, mapping, delimiter, errorsOnly: body.report === "errors" };
+}
+
+function flag(value, name) {
+  if (value === undefined || value === "" || value === false) return false;
+  if (value === true || /^(true|1|yes)$/i.test(String(value))) return true;
+  if (/^(false|0|no)$/i.test(String(value))) return false;
+  throw httpError(400, `${name} must be true or false`);
+}
+
+function syncMode(value) {
+  if (value === undefined || value === "" || /^(false|off|no)$/i.test(String(value))) return null;
+  const mode = String(value).toLowerCase();
+  if (!SYNC_MODES.includes(mode)) throw httpError(400, `sync must be one of ${SYNC_MODES.join(", ")}`);
+  return mode;
+}
+
+// Tombstoned books keep their doc (and embedding) so a later import can bring them back
+async function removeBooks(storage, booksDb, removals) {
+  const now = new Date().toISOString();
+  const tombstones = removals.filter(r => r.entry.action === "tombstone");
+  for (let i = 0; i < tombstones.length; i += IMPORT_BATCH) {
+    const batch = tombstones.slice(i, i + IMPORT_BATCH);
+    const response = await storage.bulkDocs(booksDb, batch.map(({ doc }) => ({ ...doc, removed: true, removed_at: now })));
+    batch.forEach(({ entry }, idx) => {
+      const result = response[idx] || {};
+      if (result.error) Object.assign(entry, { status: "failed", error: result.reason || result.error });
+    });
+  }
+  for (const { entry, doc } of removals.filter(r => r.entry.action === "delete")) {
+    try {
+      await storage.deleteDoc(booksDb, doc._id, doc._rev);
+    } catch (err) {
+      Object.assign(entry, { status: "failed", error: err.message });
+    }
+  }
+}
+
+function countBy(entries) {
+  const counts = {};
+  for (const { status } of entries) counts[status] = (counts[status] || 0) + 1;
+  return counts;
+}
+
+// `holds` (optional) keeps a sync from removing books members are queued for;
+// `embeddingInput(doc)` is the embedded text, used to tell which books need new
+// vectors; `done()` runs after anything was written (vector index, title vocabulary)
+export function createImportRouter({
+  storage,
+  booksDb,
+  holds = null,
+  embeddingInput = undefined,
+  fallbackFile = "books.json",
+  done = async () => {}
+}) {
+  const router = express.Router();
+
+  router.post("/import-books", requireRole("librarian"), async (req, res) => {
+    try {
+      await receiveFile(req, res);
+      // Multipart fields or JSON body; dryRun and sync also work as query parameters
+      const input = { ...req.query, ...(req.body || {}) };
+      const options = importOptions(input);
+      const dryRun = flag(input.dryRun, "dryRun");
+      const sync = syncMode(input.sync);
+      if (!req.file && !fs.existsSync(fallbackFile)) {
+        throw httpError(400, `Upload a file (form field "file") or place ${fallbackFile} on the server`);
+      }
+      const file = req.file || {
+        buffer: fs.readFileSync(fallbackFile),
+        originalname: fallbackFile,
+        mimetype: "application/json"
+      };
+
+      let parsed;
+      try {
+        parsed = parseImport({
+          buffer: file.buffer,
+          filename: file.originalname,
+          mimetype: file.mimetype,
+          ...options
+        });
+      } catch (err) {
+        throw httpError(400, err.message);
+      }
+
+      const existing = await loadAllDocs(storage, booksDb);
+      const { rows, writes, removals } = planImport(parsed.rows, existing, { sync, embeddingInput });
+      if (sync && rows.every(r => r.status === "invalid")) {
+        throw httpError(400, "Refusing to sync: the file has no valid books, so every book would be removed");
+      }
+      if (holds) {
+        for (const { entry } of removals) {
+          if (entry.status === "removed" && await holds.activeHoldCount(entry.id) > 0) {
+            Object.assign(entry, { status: "blocked", error: "Members are waiting for this book" });
+          }
+        }
+      }
+
+      if (!dryRun) {
+        for (let i = 0; i < writes.length; i += IMPORT_BATCH) {
+          const batch = writes.slice(i, i + IMPORT_BATCH);
+          const response = await storage.bulkDocs(booksDb, batch.map(w => w.doc));
+          batch.forEach(({ entry }, idx) => {
+            const result = response[idx] || {};
+            if (result.error) Object.assign(entry, { status: "failed", error: result.reason || result.error });
+            else if (result.id) entry.id = result.id;
+          });
+        }
+        await removeBooks(storage, booksDb, removals.filter(r => r.entry.status === "removed"));
+      }
+
+      const rowCounts = countBy(rows);
+      const removalCounts = countBy(removals.map(r => r.entry));
+      const inserted = (rowCounts.added || 0) + (rowCounts.changed || 0);
+      if (!dryRun && (inserted > 0 || removalCounts.removed > 0)) await done();
+
+      const isError = r => r.status === "invalid" || r.status === "failed" || r.status === "blocked";
+      const removed = removals.map(r => r.entry);
+      res.json({
+        ok: true,
+        dryRun,
+        sync,
+        format: parsed.format,
+        source: req.file ? file.originalname : fallbackFile,
+        total: rows.length,
+        inserted: dryRun ? 0 : inserted,
+        added: rowCounts.added || 0,
+        changed: rowCounts.changed || 0,
+        unchanged: rowCounts.unchanged || 0,
+        invalid: rowCounts.invalid || 0,
+        failed: (rowCounts.failed || 0) + (removalCounts.failed || 0),
+        removed: removalCounts.removed || 0,
+        blocked: removalCounts.blocked || 0,
+        reembed: rows.filter(r => r.reembed && r.status !== "failed").length,
+        rows: options.errorsOnly ? rows.filter(isError) : rows,
+        removals: options.errorsOnly ? removed.filter(isError) : removed
+      });
+    } catch (err) {
+      sendError(res, err, "import");
+    }
+  });
+
+  return router;
+}
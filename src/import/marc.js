@@ -0,0 +1,189 @@
+// ---------------- MARC21 Import ----------------
+// Binary MARC21 (ISO 2709) and MARCXML records, parsed into
+// { leader, fields: [{ tag, value } | { tag, ind1, ind2, subfields: [{ code, value }] }] }
+// and then mapped onto book fields.
+const RECORD_END = 0x1d;
+const FIELD_END = 0x1e;
+const SUBFIELD = 0x1f;
+
+function decode(buffer) {
+  return buffer.toString("utf8");
+}
+
+// Lengths and offsets in ISO 2709 count bytes, so records are cut from the Buffer
+function parseIsoRecord(bytes) {
+  if (bytes.length < 25) throw new Error("Record is shorter than a MARC leader");
+  const leader = bytes.subarray(0, 24).toString("latin1");
+  const baseAddress = parseInt(leader.slice(12, 17), 10);
+  if (!Number.isInteger(baseAddress) || baseAddress > bytes.length) throw new Error("Invalid base address in leader");
+
+  const directoryEnd = bytes.indexOf(FIELD_END, 24);
+  if (directoryEnd === -1 || directoryEnd > baseAddress) throw new Error("Unterminated directory");
+  const directory = bytes.subarray(24, directoryEnd).toString("latin1");
+  if (directory.length % 12 !== 0) throw new Error("Malformed directory");
+
+  const fields = [];
+  for (let i = 0; i < directory.length; i += 12) {
+    const tag = directory.slice(i, i + 3);
+    const length = parseInt(directory.slice(i + 3, i + 7), 10);
+    const start = parseInt(directory.slice(i + 7, i + 12), 10);
+    let data = bytes.subarray(baseAddress + start, baseAddress + start + length);
+    if (data[data.length - 1] === FIELD_END) data = data.subarray(0, -1);
+
+    if (tag < "010") {
+      fields.push({ tag, value: decode(data) });
+      continue;
+    }
+    const parts = [];
+    let from = 0;
+    for (let j = 0; j <= data.length; j++) {
+      if (j === data.length || data[j] === SUBFIELD) {
+        parts.push(data.subarray(from, j));
+        from = j + 1;
+      }
+    }
+    const indicators = decode(parts[0]);
+    fields.push({
+      tag,
+      ind1: indicators[0] || " ",
+      ind2: indicators[1] || " ",
+      subfields: parts.slice(1).filter(p => p.length > 0).map(p => ({ code: decode(p.subarray(0, 1)), value: decode(p.subarray(1)) }))
+    });
+  }
+  return { leader, fields };
+}
+
+// -> [{ row, record } | { row, error }]
+export function parseMarc21(buffer) {
+  const results = [];
+  let start = 0;
+  let row = 0;
+  while (start < buffer.length) {
+    let end = buffer.indexOf(RECORD_END, start);
+    if (end === -1) end = buffer.length;
+    const bytes = buffer.subarray(start, end);
+    start = end + 1;
+    if (bytes.toString("latin1").trim() === "") continue;
+
+    row += 1;
+    try {
+      results.push({ row, record: parseIsoRecord(bytes) });
+    } catch (err) {
+      results.push({ row, error: err.message });
+    }
+  }
+  return results;
+}
+
+function unescapeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&amp;/g, "&");
+}
+
+function attr(tag, name) {
+  return tag.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`))?.[1] ?? tag.match(new RegExp(`\\b${name}\\s*=\\s*'([^']*)'`))?.[1] ?? null;
+}
+
+// MARCXML with or without a namespace prefix (<record> or <marc:record>)
+export function parseMarcXml(text) {
+  const results = [];
+  const records = String(text).match(/<(?:\w+:)?record\b[^>]*>[\s\S]*?<\/(?:\w+:)?record>/g) || [];
+  records.forEach((xml, i) => {
+    const row = i + 1;
+    try {
+      const fields = [];
+      const leader = unescapeXml(xml.match(/<(?:\w+:)?leader\b[^>]*>([\s\S]*?)<\/(?:\w+:)?leader>/)?.[1] || "");
+      for (const m of xml.matchAll(/<(?:\w+:)?controlfield\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?controlfield>/g)) {
+        fields.push({ tag: attr(m[1], "tag"), value: unescapeXml(m[2]) });
+      }
+      for (const m of xml.matchAll(/<(?:\w+:)?datafield\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?datafield>/g)) {
+        const subfields = Array.from(
+          m[2].matchAll(/<(?:\w+:)?subfield\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?subfield>/g),
+          s => ({ code: attr(s[1], "code"), value: unescapeXml(s[2]) })
+        );
+        fields.push({ tag: attr(m[1], "tag"), ind1: attr(m[1], "ind1") || " ", ind2: attr(m[1], "ind2") || " ", subfields });
+      }
+      if (fields.length === 0) throw new Error("Record has no fields");
+      results.push({ row, record: { leader, fields } });
+    } catch (err) {
+      results.push({ row, error: err.message });
+    }
+  });
+  return results;
+}
+
+function subfield(field, code) {
+  return field?.subfields?.find(s => s.code === code)?.value?.trim() || null;
+}
+
+// ISBD punctuation at the end of a subfield ("Clean code :", "Martin, Robert C.,");
+// a full stop after an initial stays
+function tidy(value) {
+  if (!value) return null;
+  return value
+    .replace(/\s*[/:;,=]+\s*$/, "")
+    .replace(/(\w{2,})\.$/, "$1")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// "Martin, Robert C." -> "Robert C. Martin", the form the catalogue uses
+function personalName(value) {
+  const name = tidy(value);
+  const m = name?.match(/^([^,]+),\s*(.+)$/);
+  return m ? `${m[2]} ${m[1]}` : name;
+}
+
+// MARC fields used: 001 id, 020 $a ISBN, 245 $a$b title (or $c statement of
+// responsibility when no 1XX author), 100/110/111 author, 264/260 $b publisher
+// and $c year, 300 $a pages, 520 $a description, 650 $a subjects, 852 $h/$b
+// location and one copy per 852 holding (949/952 as used by Koha)
+export function marcToBook({ fields }) {
+  const first = tag => fields.find(f => f.tag === tag);
+  const all = tag => fields.filter(f => f.tag === tag);
+  const book = {};
+
+  const id = first("001")?.value?.trim();
+  if (id) book._id = id;
+
+  const f245 = first("245");
+  const title = [subfield(f245, "a"), subfield(f245, "b")].map(tidy).filter(Boolean).join(": ");
+  if (title) book.title = title;
+
+  const main = first("100") || first("110") || first("111");
+  const author = main ? (main.tag === "100" ? personalName(subfield(main, "a")) : tidy(subfield(main, "a"))) : tidy(subfield(f245, "c"));
+  if (author) book.author = author;
+
+  // "9780132350884 (pbk.)": the number without its qualifier
+  const isbn = subfield(first("020"), "a")?.trim().split(/\s+/)[0];
+  if (isbn) book.isbn = isbn;
+
+  const imprint = first("264") || first("260");
+  const publisher = tidy(subfield(imprint, "b"));
+  if (publisher) book.publisher = publisher;
+  const year = subfield(imprint, "c")?.match(/\d{4}/)?.[0];
+  if (year) book.year = Number(year);
+
+  const pages = subfield(first("300"), "a")?.match(/(\d+)\s*p/i)?.[1];
+  if (pages) book.max_pages = Number(pages);
+
+  const description = subfield(first("520"), "a")?.replace(/\s+/g, " ");
+  if (description) book.description = description;
+
+  const subjects = all("650").map(f => tidy(subfield(f, "a"))).filter(Boolean);
+  if (subjects.length > 0) book.subjects = Array.from(new Set(subjects));
+
+  const holdings = all("852").length > 0 ? all("852") : [...all("952"), ...all("949")];
+  const location = holdings.map(f => subfield(f, "h") || subfield(f, "b") || subfield(f, "c")).find(Boolean);
+  if (location) book.location = tidy(location);
+  if (holdings.length > 0) book.copies = holdings.length;
+
+  return book;
+}
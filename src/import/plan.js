@@ -0,0 +1,155 @@
+import { carryOverCirculation, copiesHeld, copiesOnLoan, copiesOnShelf, isRemoved } from "../circulation.js";
+import { BOOK_SCHEMA, validateBook } from "../books.js";
+import { subjectsOf } from "../catalog.js";
+
+// ---------------- Import Planning ----------------
+// Compares the parsed rows with the stored catalogue before anything is
+// written: each row is added / changed / unchanged / invalid with field-level
+// diffs, and with `sync` the books the source no longer lists are collected
+// for deletion or tombstoning. A dry run returns the plan as is.
+export const SYNC_MODES = ["delete", "tombstone"];
+
+// Catalogue fields compared between the stored book and the import; `on_shelf`
+// stands in for the circulation counts and the legacy `available` flag, and
+// `subjects` for both subject fields (MARC only has a list). Other fields
+// either side carries (a catalogue's own metadata) are compared too.
+const DIFF_FIELDS = [...Object.keys(BOOK_SCHEMA).filter(f => f !== "subject"), "on_shelf", "removed"];
+const NOT_DIFFED = new Set([
+  "_id", "_rev", "subject", "available", "available_copies", "held_copies",
+  "embedding", "embedding_model", "embedding_template", "embedding_updated_at", "removed_at"
+]);
+
+// Books without an _id (CSV, most MARC exports) match the catalogue entry with
+// the same title and author instead of being added twice
+export function bookKey(b) {
+  const norm = v => String(v ?? "").trim().toLowerCase().replace(/\s+/g, " ");
+  return `${norm(b.title)}|${norm(b.author)}`;
+}
+
+function withoutNulls(doc) {
+  return Object.fromEntries(Object.entries(doc).filter(([, v]) => v !== null && v !== undefined));
+}
+
+function diffValue(book, field) {
+  if (!book) return null;
+  if (field === "on_shelf") return copiesOnShelf(book);
+  if (field === "subjects") {
+    const subjects = subjectsOf(book);
+    return subjects.length > 0 ? subjects : null;
+  }
+  return book[field] ?? null;
+}
+
+// -> { field: { from, to } } for every field that differs
+export function diffBooks(previous, next) {
+  const extra = [previous, next].flatMap(b => Object.keys(b || {}))
+    .filter(f => !NOT_DIFFED.has(f) && !DIFF_FIELDS.includes(f));
+  const changes = {};
+  for (const field of [...DIFF_FIELDS, ...new Set(extra)]) {
+    const from = diffValue(previous, field);
+    const to = diffValue(next, field);
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  }
+  return changes;
+}
+
+function embeddingFields(previous) {
+  return withoutNulls({
+    embedding: previous.embedding,
+    embedding_model: previous.embedding_model,
+    embedding_template: previous.embedding_template,
+    embedding_updated_at: previous.embedding_updated_at
+  });
+}
+
+function rowId(record) {
+  return record?._id === undefined || record._id === "" ? null : String(record._id).trim();
+}
+
+// -> { rows, writes: [{ entry, doc }], removals: [{ entry, doc }] }
+// `rows` entries are { row, id, title, status, changes?, reembed?, error? } and
+// are updated in place once the writes have run. The embedding is kept while
+// `embeddingInput` (the text that was embedded) gives the same result.
+export function planImport(parsedRows, existing, { sync = null, embeddingInput = bookKey } = {}) {
+  const byId = new Map(existing.map(d => [d._id, d]));
+  const byKey = new Map(existing.map(d => [bookKey(d), d]));
+  const previousFor = (id, record) => (id ? byId.get(id) : byKey.get(bookKey(record)));
+
+  const rows = [];
+  const writes = [];
+  const seen = new Map();
+  // Stored books the source still lists, even through a row that failed
+  // validation: a sync must not remove them
+  const listed = new Set();
+
+  for (const { row, record, error } of parsedRows) {
+    const entry = { row, id: record?._id ?? null, title: record?.title ?? null };
+    rows.push(entry);
+    if (error) {
+      Object.assign(entry, { status: "invalid", error });
+      continue;
+    }
+
+    const id = rowId(record);
+    const known = previousFor(id, record);
+    if (known) listed.add(known._id);
+
+    let fields;
+    try {
+      fields = validateBook(record);
+    } catch (err) {
+      Object.assign(entry, { status: "invalid", error: err.message });
+      continue;
+    }
+    if (id !== null && (!id || id.startsWith("_"))) {
+      Object.assign(entry, { status: "invalid", error: "Invalid _id" });
+      continue;
+    }
+
+    const previous = previousFor(id, fields);
+    const key = previous?._id ?? id ?? bookKey(fields);
+    if (seen.has(key)) {
+      Object.assign(entry, { status: "invalid", error: `Duplicate of row ${seen.get(key)}` });
+      continue;
+    }
+    seen.set(key, row);
+    if (previous) listed.add(previous._id);
+
+    // The legacy `available` flag from books.json counts for books without copy
+    // counts (a source without the flag, such as MARC, keeps the stored one);
+    // copies on loan or held stay off the shelf
+    const available = typeof record.available === "boolean" ? record.available : previous?.available;
+    const book = carryOverCirculation(previous, withoutNulls({
+      ...(previous ? { _id: previous._id } : id ? { _id: id } : {}),
+      ...fields,
+      ...(typeof available === "boolean" ? { available } : {})
+    }));
+    const reembed = Boolean(previous) && embeddingInput(previous) !== embeddingInput(book);
+    const doc = previous && !reembed ? { ...book, ...embeddingFields(previous) } : book;
+    if (previous?._rev) doc._rev = previous._rev;
+
+    const changes = diffBooks(previous, doc);
+    const status = !previous ? "added" : Object.keys(changes).length > 0 ? "changed" : "unchanged";
+    Object.assign(entry, { id: doc._id ?? null, title: doc.title, status });
+    if (status !== "unchanged") {
+      entry.changes = changes;
+      if (reembed) entry.reembed = true;
+      writes.push({ entry, doc });
+    }
+  }
+
+  const removals = !sync
+    ? []
+    : existing
+      .filter(d => !listed.has(d._id) && !(sync === "tombstone" && isRemoved(d)))
+      .map(doc => {
+        const busy = copiesOnLoan(doc) + copiesHeld(doc);
+        const entry = { id: doc._id, title: doc.title ?? null, action: sync, status: "removed" };
+        if (busy > 0) {
+          Object.assign(entry, { status: "blocked", error: `${busy} cop${busy === 1 ? "y is" : "ies are"} on loan or held` });
+        }
+        return { entry, doc };
+      });
+
+  return { rows, writes, removals };
+}
@@ -0,0 +1,122 @@
+// ---------------- Intent Router ----------------
+// /ask-ai questions are routed to registered intents instead of a fixed chain
+// of regexes. An intent is
+//   { name, description, slots, match(ctx), handle(ctx, slots) }
+// where `match` returns null or { confidence (0..1), slots } and `handle`
+// returns { intent, reply, resultsFound, books?, remember? } for the route to
+// send. The most confident match wins; equal confidence goes to the intent
+// registered first. `slots` ({ name: description }) tells the LLM classifier
+// what to extract. An intent without `match` is only reachable through the
+// classifier or as the fallback.
+export function createIntentRouter({ fallback, classifier = null, minConfidence = Number(process.env.INTENT_MIN_CONFIDENCE || 0.5) }) {
+  const intents = [];
+
+  function register(intent) {
+    if (!intent?.name || typeof intent.handle !== "function") {
+      throw new Error("An intent needs a name and a handle function");
+    }
+    if (intents.some(i => i.name === intent.name)) throw new Error(`Intent "${intent.name}" is already registered`);
+    intents.push(intent);
+    return router;
+  }
+
+  // -> { intent, confidence, slots, source: "rule" | "llm" | "fallback", candidates }
+  async function classify(ctx) {
+    const candidates = [];
+    for (const [order, intent] of intents.entries()) {
+      const match = intent.match ? await intent.match(ctx) : null;
+      if (match) candidates.push({ intent, order, confidence: match.confidence, slots: match.slots || {} });
+    }
+    candidates.sort((a, b) => (b.confidence - a.confidence) || (a.order - b.order));
+    const summary = candidates.map(c => ({ intent: c.intent.name, confidence: c.confidence }));
+
+    if (candidates.length > 0) {
+      const [best] = candidates;
+      return { intent: best.intent, confidence: best.confidence, slots: best.slots, source: "rule", candidates: summary };
+    }
+
+    if (classifier) {
+      try {
+        const guess = await classifier.classify(ctx.query, intents);
+        const intent = guess && intents.find(i => i.name === guess.intent);
+        if (intent && guess.confidence >= minConfidence) {
+          return { intent, confidence: guess.confidence, slots: guess.slots, source: "llm", candidates: summary };
+        }
+      } catch (err) {
+        console.warn("⚠️ Intent classifier failed, using the fallback intent:", err.message);
+      }
+    }
+
+    const intent = intents.find(i => i.name === fallback);
+    if (!intent) throw new Error(`Fallback intent "${fallback}" is not registered`);
+    return { intent, confidence: 0, slots: {}, source: "fallback", candidates: summary };
+  }
+
+  async function route(ctx) {
+    const classification = await classify(ctx);
+    const result = await classification.intent.handle(ctx, classification.slots);
+    return { ...result, classification };
+  }
+
+  const router = {
+    register,
+    classify,
+    route,
+    intents: () => intents.map(({ name, description, slots }) => ({ name, description, slots }))
+  };
+  return router;
+}
+
+// ---------------- LLM Intent Classifier ----------------
+// Fallback for questions no rule matched: the generation model picks one of
+// the intents that have a description and fills in their slots as JSON. Only
+// used when INTENT_LLM_FALLBACK=true, and skipped while the generation
+// circuit is open.
+function parseClassification(text, intents) {
+  const json = String(text || "").match(/\{[\s\S]*\}/)?.[0];
+  if (!json) return null;
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    return null;
+  }
+  const intent = intents.find(i => i.name === data?.intent);
+  if (!intent) return null;
+
+  const slots = {};
+  for (const name of Object.keys(intent.slots || {})) {
+    const value = data.slots?.[name];
+    if (typeof value === "string" && value.trim()) slots[name] = value.trim();
+    else if (Number.isFinite(value)) slots[name] = value;
+  }
+  const confidence = Number(data.confidence);
+  return { intent: intent.name, confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0, slots };
+}
+
+export function createLlmIntentClassifier({ llm }) {
+  return {
+    async classify(query, intents) {
+      if (llm.circuits.generate.isOpen()) return null;
+      const choices = intents.filter(i => i.description);
+      const lines = choices.map(i => {
+        const slots = Object.entries(i.slots || {}).map(([name, description]) => `${name} (${description})`);
+        return `- ${i.name}: ${i.description}${slots.length ? `. Slots: ${slots.join(", ")}` : ""}`;
+      });
+      const prompt = `
+Classify the library patron's message into exactly one intent.
+
+Intents:
+${lines.join("\n")}
+
+Message:
+"${query}"
+
+Reply with one JSON object and nothing else:
+{"intent": "<intent name>", "confidence": <0 to 1>, "slots": {<slot name>: <value>}}
+[END_OF_ANSWER]
+`;
+      return parseClassification(await llm.generate(prompt), choices);
+    }
+  };
+}
@@ -0,0 +1,268 @@
+import { copiesOnLoan, copiesOnShelf, isRemoved, totalCopies } from "../circulation.js";
+import { httpError } from "../http.js";
+import { loadAllDocs } from "../storage/index.js";
+
+// ---------------- Library Intents ----------------
+// The /ask-ai intents, registered in this order (which settles equal
+// confidence). Matchers only look at the context, so each can be checked on
+// its own:
+//   ctx = { query, lowerQ, user, member(), followUp, onToken, onResults, signal }
+// `followUp` is the resolved reference to the previous results (see
+// src/conversation.js), `member()` the account a hold is placed for, and
+// `onResults(intent, books)` / `onToken(text)` stream a search answer;
+// `signal` aborts its generation when the client goes away.
+const BOOK_QUERY_KEYWORDS = [
+  "book", "books", "read", "find", "author", "title", "have", "available", "inventory",
+  "copy", "copies", "where", "which", "what", "do you have", "search"
+];
+
+// Lightweight hints for "works now" queries: extra search terms per phrase
+const QUERY_HINTS = [
+  [/\bexam\b|\bpreparation\b|\bprep\b/i, ["guide", "practice", "review"]],
+  [/\bpractice\b|\bquestions?\b|\bproblem(s)?\b/i, ["practice", "problems", "questions"]],
+  [/\bprojects?\b|\bfinal year\b/i, ["project", "design", "applications"]],
+  [/\bwith\s+diagrams?\b|\bdiagram(s)?\b/i, ["diagram", "illustrated"]],
+  [/\bsimple\b|\beasy\b|\bbasics?\b/i, ["introduction", "basic", "fundamentals"]],
+  [/\bpractical\b|\bexamples?\b/i, ["examples", "applications", "hands-on"]],
+  [/\bgraphics\b/i, ["graphics", "visual"]]
+];
+
+const SMALL_TALK_REPLY = "Hi! If you’re looking for books or need help finding something in the library, just ask me about specific topics, titles, or authors 😊";
+
+// e.g. "under 400 pages", "less than 350 pages"
+export function pageLimitOf(lowerQ) {
+  const m = lowerQ.match(/\b(?:under|below|less\s+than|upto|up\s+to)\s+(\d{2,4})\s*pages?\b/);
+  return m ? Number(m[1]) : null;
+}
+
+function cleanSubject(text, fillers = null) {
+  return (fillers ? text.replace(fillers, "") : text).replace(/[?!.]+/g, "").replace(/\s+/g, " ").trim();
+}
+
+// Slots from the LLM classifier arrive as strings
+function numberSlot(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function plural(n, one, many) {
+  return `${n} ${n === 1 ? one : many}`;
+}
+
+export function createLibraryIntents({ storage, booksDb, search, expandTokens, holds, generateReply }) {
+  async function searchAndReply(ctx, { subject, pageLimit }) {
+    const hints = QUERY_HINTS.filter(([re]) => re.test(subject)).flatMap(([, terms]) => terms);
+    const searchQuery = hints.length > 0 ? `${subject} ${hints.join(" ")}`.trim() : subject;
+
+    let books = await search(searchQuery, { maxPages: pageLimit });
+    if (pageLimit) {
+      books = books.filter(b => Number.isFinite(b?.max_pages) && b.max_pages <= pageLimit);
+    }
+
+    // De-duplicate by title + author
+    const seen = new Set();
+    books = books.filter(b => {
+      const title = String(b?.title || "").trim().toLowerCase();
+      const author = String(b?.author || "").trim().toLowerCase();
+      const key = `${title}||${author}`;
+      if (!title || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    ctx.onResults?.("search", books);
+    const reply = await generateReply({ query: ctx.query, books, pageLimit, onToken: ctx.onToken, signal: ctx.signal });
+    return { intent: "search", reply, resultsFound: books.length, books };
+  }
+
+  return [
+    {
+      // "reserve clean code", "hold a copy of sicp", "put a hold on compiler design".
+      // A bare "hold" is not enough ("hold on, what python books..."). No
+      // description: a hold is only placed when a rule matched, never on the
+      // classifier's guess
+      name: "hold",
+      match({ lowerQ }) {
+        const m = lowerQ.match(/^(?:please\s+|can\s+you\s+|could\s+you\s+|i\s+(?:want|would\s+like)\s+to\s+)?(?:reserve|hold\s+(?:a\s+copy\s+of|the\s+book)|(?:place|put)\s+(?:a\s+)?hold\s+(?:on|for))\s+(.+)/);
+        return m?.[1] ? { confidence: 0.95, slots: { subject: cleanSubject(m[1], /\b(a copy of|the book|for me|please)\b/gi) } } : null;
+      },
+      async handle(ctx, { subject = "" }) {
+        const [book] = ctx.followUp?.books?.length === 1
+          ? ctx.followUp.books
+          : subject ? await search(subject) : [];
+        if (!book) {
+          return { intent: "hold", resultsFound: 0, reply: `No matching books found for "${subject}".` };
+        }
+
+        const onShelf = copiesOnShelf(book);
+        let reply;
+        if (onShelf > 0) {
+          reply = `"${book.title}" has ${plural(onShelf, "copy", "copies")} on the shelf at ${book.location || "the library"}, so no hold is needed.`;
+        } else if (!ctx.user) {
+          reply = `All copies of "${book.title}" are out. Log in to join the hold queue.`;
+        } else {
+          try {
+            const hold = await holds.placeHold(book._id, ctx.member());
+            reply = `Hold placed on "${book.title}". You are number ${hold.position} in the queue.`;
+          } catch (err) {
+            if (!err.expose) throw err;
+            reply = err.message;
+          }
+        }
+        return { intent: "hold", resultsFound: 1, reply, books: [book], remember: false };
+      }
+    },
+    {
+      // "who wrote the second one?", "any of those under 300 pages?", "more like that"
+      name: "follow_up",
+      match({ followUp }) {
+        return followUp && ["answer", "books", "search"].includes(followUp.type) ? { confidence: 0.9 } : null;
+      },
+      async handle(ctx) {
+        const { followUp } = ctx;
+        if (followUp.type === "answer") {
+          return { intent: "follow_up_answer", resultsFound: followUp.books.length, reply: followUp.reply, books: followUp.books, remember: false };
+        }
+        const intent = followUp.type === "search" ? "more_like_this" : "follow_up_books";
+        let books = followUp.books;
+        if (followUp.type === "search") {
+          // "More like that": prefer titles the student has not been shown yet
+          const found = await search(followUp.query);
+          const fresh = found.filter(b => !followUp.exclude.has(b._id));
+          books = fresh.length > 0 ? fresh : found;
+        }
+        ctx.onResults?.(intent, books);
+        const reply = await generateReply({ query: ctx.query, books, onToken: ctx.onToken, signal: ctx.signal });
+        // A single referenced book keeps the previous list in place for the next ordinal
+        return { intent, resultsFound: books.length, reply, books, remember: !followUp.ordinal };
+      }
+    },
+    {
+      // "how many copies of database books"
+      name: "copies",
+      description: "How many copies of a particular book or topic the library owns",
+      slots: { subject: "book title or topic" },
+      match({ lowerQ }) {
+        const m = lowerQ.match(/\bhow\s+many\s+copies\s+(?:of|for)\s+(.+)/);
+        const subject = m?.[1] ? cleanSubject(m[1], /\b(do you have|available|in stock|right now|are there)\b/gi) : "";
+        return subject ? { confidence: 0.9, slots: { subject } } : null;
+      },
+      async handle(ctx, { subject = "" }) {
+        const books = await search(subject);
+        const copies = books.reduce((sum, b) => sum + totalCopies(b), 0);
+        const onShelf = books.reduce((sum, b) => sum + copiesOnShelf(b), 0);
+        return {
+          intent: "copies",
+          resultsFound: books.length,
+          reply: books.length
+            ? `Found ${books.length} matching book(s) for "${subject}" with a total of ${copies} copies (${onShelf} on the shelf, ${copies - onShelf} on loan).`
+            : `No matching books found for "${subject}".`,
+          books
+        };
+      }
+    },
+    {
+      // "is compiler design available", "availability of clean code"
+      name: "availability",
+      description: "Whether a particular book or topic is on the shelf right now",
+      slots: { subject: "book title or topic" },
+      match({ lowerQ }) {
+        const m = lowerQ.match(/\b(?:is|are)\s+(.+?)\s+available\b|\bavailability\s+of\s+(.+)/);
+        const subject = m ? cleanSubject(m[1] || m[2] || "") : "";
+        return subject ? { confidence: 0.85, slots: { subject } } : null;
+      },
+      async handle(ctx, { subject = "" }) {
+        const books = await search(subject);
+        const copies = books.reduce((sum, b) => sum + totalCopies(b), 0);
+        const onShelf = books.reduce((sum, b) => sum + copiesOnShelf(b), 0);
+        const onLoan = books.reduce((sum, b) => sum + copiesOnLoan(b), 0);
+        return {
+          intent: "availability",
+          resultsFound: books.length,
+          reply: books.length
+            ? `Found ${books.length} matching book(s). Available copies: ${onShelf} (on loan: ${onLoan}, total copies: ${copies}).`
+            : `No matching books found for "${subject}".`,
+          books
+        };
+      }
+    },
+    {
+      // "how many books", "how many available books", "total copies", "how many python books"
+      name: "stats",
+      description: "Counts over the whole inventory: books, available books, copies, or books on a topic",
+      slots: { kind: "total, available, copies or topic", topic: "the topic, for kind topic" },
+      match({ lowerQ }) {
+        if (/\bhow\s+many\s+available\s+(books|titles|items)\b/.test(lowerQ)) return { confidence: 0.8, slots: { kind: "available" } };
+        if (/\bhow\s+many\s+copies\b|\btotal\s+copies\b/.test(lowerQ)) return { confidence: 0.8, slots: { kind: "copies" } };
+        if (/\bhow\s+many\s+(?:total\s+)?(books|titles|items)\b|\btotal\s+(books|titles|items)\b/.test(lowerQ)) {
+          return { confidence: 0.8, slots: { kind: "total" } };
+        }
+        const topic = lowerQ.match(/\bhow\s+many\s+([a-z0-9+#+-]+)\s+books?\b/)?.[1];
+        if (topic && !["total", "all"].includes(topic)) return { confidence: 0.75, slots: { kind: "topic", topic } };
+        return null;
+      },
+      async handle(ctx, { kind = "total", topic = null }) {
+        let docs;
+        try {
+          docs = (await loadAllDocs(storage, booksDb)).filter(d => !isRemoved(d));
+        } catch (err) {
+          console.error("❌ Stats query failed:", err.message);
+          throw httpError(500, "Failed to fetch inventory stats");
+        }
+        const stats = reply => ({ intent: "stats", resultsFound: 0, reply });
+
+        if (kind === "topic" && topic) {
+          const topicAliases = new Set(expandTokens(topic));
+          if (topicAliases.size === 0) topicAliases.add(String(topic).toLowerCase());
+          const count = docs.filter(d => {
+            const title = String(d?.title || "").toLowerCase();
+            const author = String(d?.author || "").toLowerCase();
+            return Array.from(topicAliases).some(t => title.includes(t) || author.includes(t));
+          }).length;
+          return stats(`There are ${count} ${topic} books in the inventory.`);
+        }
+        if (kind === "available") {
+          return stats(`There are ${docs.filter(d => copiesOnShelf(d) > 0).length} available books in the inventory.`);
+        }
+        if (kind === "copies") {
+          const allCopies = docs.reduce((sum, d) => sum + totalCopies(d), 0);
+          const onShelfCopies = docs.reduce((sum, d) => sum + copiesOnShelf(d), 0);
+          return stats(`There are ${allCopies} total copies in the inventory (${onShelfCopies} on the shelf, ${allCopies - onShelfCopies} on loan).`);
+        }
+        return stats(`There are ${docs.length} books in the library inventory.`);
+      }
+    },
+    {
+      // "algorithms under 300 pages": a search with the page limit applied
+      name: "page_limit",
+      description: "Find books on a topic below a page count",
+      slots: { subject: "topic, title or author", pageLimit: "maximum number of pages" },
+      match({ query, lowerQ }) {
+        const pageLimit = pageLimitOf(lowerQ);
+        return pageLimit ? { confidence: 0.7, slots: { subject: query.trim(), pageLimit } } : null;
+      },
+      handle(ctx, { subject, pageLimit }) {
+        return searchAndReply(ctx, { subject: subject || ctx.query.trim(), pageLimit: numberSlot(pageLimit) });
+      }
+    },
+    {
+      name: "search",
+      description: "Find books by topic, title or author",
+      slots: { subject: "topic, title or author" },
+      match({ query, lowerQ }) {
+        return BOOK_QUERY_KEYWORDS.some(k => lowerQ.includes(k)) ? { confidence: 0.6, slots: { subject: query.trim() } } : null;
+      },
+      handle(ctx, { subject }) {
+        return searchAndReply(ctx, { subject: subject || ctx.query.trim(), pageLimit: null });
+      }
+    },
+    {
+      // Fallback: nothing in the question points at the catalogue
+      name: "small_talk",
+      description: "Greetings or anything that is not about the library's books",
+      handle() {
+        return { intent: "small_talk", resultsFound: 0, reply: SMALL_TALK_REPLY };
+      }
+    }
+  ];
+}
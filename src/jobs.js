@@ -0,0 +1,409 @@
+import express from "express";
+import crypto from "crypto";
+import { httpError, isConflict, isNotFound, sendError } from "./http.js";
+import { requireRole } from "./auth.js";
+import { iterateDocs } from "./storage/index.js";
+
+// ---------------- Background Embedding Jobs ----------------
+// An embedding build is a job document in the jobs database, worked on one
+// batch at a time outside any HTTP request. Progress is saved after every
+// batch (the last committed book id is the resume cursor), so a restart picks
+// queued or running jobs up where they stopped. A batch that fails is recorded
+// and the scan moves on; failed batches are retried on their own afterwards.
+const JOB_BATCH_RETRIES = Number(process.env.JOB_BATCH_RETRIES || 2);
+const JOB_RETRY_DELAY_MS = Number(process.env.JOB_RETRY_DELAY_MS || 30000);
+const OPEN_STATUSES = ["queued", "running"];
+// A job in one of these states can be started again with /jobs/:id/retry
+const RETRYABLE_STATUSES = ["failed", "completed_with_errors", "cancelled"];
+// Starting or retrying a job claims this document with its _rev, so of two
+// concurrent requests (or server instances) only one gets to queue a job
+const LOCK_ID = "lock:embeddings";
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function unresolved(job) {
+  return job.failures.filter(f => !f.resolved);
+}
+
+export function publicJob(job) {
+  const open = unresolved(job);
+  const failedBatches = new Set(open.map(f => f.batch)).size;
+  return {
+    id: job._id,
+    kind: job.kind,
+    status: job.status,
+    force: job.force,
+    model: job.model,
+    template: job.template ?? null,
+    requested_by: job.requested_by,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    updated_at: job.updated_at,
+    total: job.total,
+    processed: job.processed,
+    progress: job.total ? Math.min(1, Math.round((job.processed / job.total) * 1000) / 1000) : null,
+    batch_size: job.batch_size,
+    batches: job.batches,
+    batches_done: job.batches - failedBatches,
+    batches_failed: failedBatches,
+    docs_updated: job.docs_updated,
+    failures: open.map(({ batch, ids, error, attempts, failed_at }) => ({ batch, ids, error, attempts, failed_at })),
+    error: job.error
+  };
+}
+
+// `embed(inputs)` returns one vector per input; `inputFor(doc)` is the text to
+// embed, `stamp()` the fields stored next to each vector (model, template
+// version) and `needsEmbedding(doc, { force })` picks the books a job covers.
+// `onBatch(docs)` runs after each committed batch and `onFinished(job)` at the end.
+export function createEmbeddingJobService({
+  storage,
+  jobsDb,
+  booksDb,
+  embed,
+  embedModel,
+  templateVersion = null,
+  inputFor,
+  stamp = () => ({ embedding_model: embedModel, embedding_updated_at: new Date().toISOString() }),
+  needsEmbedding,
+  batchSize = 50,
+  onBatch = () => {},
+  onFinished = async () => {}
+}) {
+  const queue = [];
+  const cancelled = new Set();
+  let active = null;
+
+  async function save(job) {
+    job.updated_at = new Date().toISOString();
+    const { id, rev } = await storage.putDoc(jobsDb, job);
+    job._id = id;
+    job._rev = rev;
+    return job;
+  }
+
+  async function load(id) {
+    try {
+      const job = await storage.getDoc(jobsDb, id);
+      if (job.type !== "job") return null;
+      return job;
+    } catch (err) {
+      if (isNotFound(err)) return null;
+      throw err;
+    }
+  }
+
+  // Embeds and writes one batch; books whose write conflicted (a loan changed
+  // them meanwhile) are returned so they can be retried with a fresh read
+  async function embedBatch(docs) {
+    const vectors = await embed(docs.map(inputFor));
+    const stamped = stamp();
+    const updated = docs.map((d, i) => ({ ...d, embedding: vectors[i], ...stamped }));
+    const response = await storage.bulkDocs(booksDb, updated);
+    const written = [];
+    const conflicts = [];
+    updated.forEach((d, i) => {
+      const result = response[i] || {};
+      if (result.error) conflicts.push(d._id);
+      else written.push({ ...d, _rev: result.rev ?? d._rev });
+    });
+    return { written, conflicts };
+  }
+
+  async function runBatch(job, docs, batch) {
+    const fail = (ids, error) => job.failures.push({ batch, ids, error, attempts: 1, failed_at: new Date().toISOString() });
+    try {
+      const { written, conflicts } = await embedBatch(docs);
+      job.docs_updated += written.length;
+      await onBatch(written);
+      if (conflicts.length > 0) fail(conflicts, "Document update conflict");
+    } catch (err) {
+      fail(docs.map(d => d._id), err.message);
+      console.warn(`⚠️ Embedding job ${job._id}: batch ${batch} failed:`, err.message);
+    }
+  }
+
+  async function countTargets(job) {
+    let total = 0;
+    for await (const doc of iterateDocs(storage, booksDb)) {
+      if (needsEmbedding(doc, { force: job.force })) total += 1;
+    }
+    return total;
+  }
+
+  // Walks the catalogue from the cursor, committing progress after each batch
+  async function scan(job) {
+    let docs = [];
+    const flush = async () => {
+      job.batches += 1;
+      await runBatch(job, docs, job.batches);
+      job.processed += docs.length;
+      job.cursor = docs[docs.length - 1]._id;
+      docs = [];
+      await save(job);
+    };
+
+    for await (const doc of iterateDocs(storage, booksDb, { after: job.cursor ?? undefined })) {
+      if (cancelled.has(job._id)) return;
+      if (!needsEmbedding(doc, { force: job.force })) continue;
+      docs.push(doc);
+      if (docs.length >= job.batch_size) await flush();
+    }
+    if (docs.length > 0) await flush();
+    job.phase = "retry";
+    await save(job);
+  }
+
+  // Each failed batch is tried again on its own with the books read afresh;
+  // `wait` gives a struggling provider time before the first round
+  async function retryFailures(job, { wait }) {
+    for (let round = 0; round < JOB_BATCH_RETRIES && unresolved(job).length > 0; round++) {
+      if (wait || round > 0) await sleep(JOB_RETRY_DELAY_MS);
+      for (const failure of unresolved(job)) {
+        if (cancelled.has(job._id)) return;
+        const fresh = await storage.find(booksDb, { _id: { $in: failure.ids } }, { limit: failure.ids.length });
+        const docs = fresh.filter(d => needsEmbedding(d, { force: job.force }));
+        try {
+          const { written, conflicts } = docs.length > 0 ? await embedBatch(docs) : { written: [], conflicts: [] };
+          job.docs_updated += written.length;
+          await onBatch(written);
+          if (conflicts.length > 0) throw new Error("Document update conflict");
+          Object.assign(failure, { resolved: true, resolved_at: new Date().toISOString() });
+        } catch (err) {
+          Object.assign(failure, { error: err.message, attempts: failure.attempts + 1, failed_at: new Date().toISOString() });
+        }
+        await save(job);
+      }
+    }
+  }
+
+  async function run(job) {
+    try {
+      job.status = "running";
+      job.started_at = job.started_at || new Date().toISOString();
+      if (job.total === null) job.total = await countTargets(job);
+      await save(job);
+      console.log(`🧮 Embedding job ${job._id} running (${job.processed}/${job.total})`);
+
+      const scanning = job.phase === "scan";
+      if (scanning) await scan(job);
+      if (!cancelled.has(job._id)) await retryFailures(job, { wait: scanning });
+
+      if (cancelled.has(job._id)) {
+        job.status = "cancelled";
+      } else {
+        job.status = unresolved(job).length > 0 ? "completed_with_errors" : "completed";
+      }
+    } catch (err) {
+      console.error(`❌ Embedding job ${job._id} failed:`, err.message);
+      job.status = "failed";
+      job.error = err.message;
+    }
+    cancelled.delete(job._id);
+    job.finished_at = new Date().toISOString();
+    await save(job).catch(err => console.error(`❌ Failed to save job ${job._id}:`, err.message));
+    console.log(`🧮 Embedding job ${job._id} ${job.status}: ${job.docs_updated} updated, ${unresolved(job).length} batch(es) failed`);
+    await onFinished(job);
+  }
+
+  // One job at a time; the rest wait in order
+  async function drain() {
+    if (active) return;
+    while (queue.length > 0) {
+      active = queue.shift();
+      await run(active);
+      active = null;
+    }
+  }
+
+  function enqueue(job) {
+    queue.push(job);
+    drain().catch(err => console.error("❌ Job queue error:", err.message));
+  }
+
+  async function openJob() {
+    const open = await storage.find(jobsDb, { type: "job", status: { $in: OPEN_STATUSES } }, { limit: 10 });
+    return open[0] || null;
+  }
+
+  function alreadyRunning(job) {
+    if (!job) return httpError(409, "Another embedding job is being started, please retry");
+    const err = httpError(409, `Embedding job ${job._id} is already ${job.status}`);
+    err.job = job;
+    return err;
+  }
+
+  // Points the lock at `jobId`. A lock held by a job that is no longer open is
+  // stale and taken over; a _rev conflict means another request won the race.
+  async function claimLock(jobId) {
+    let lock = null;
+    try {
+      lock = await storage.getDoc(jobsDb, LOCK_ID);
+    } catch (err) {
+      if (!isNotFound(err)) throw err;
+    }
+    if (lock && lock.job_id !== jobId) {
+      const holder = await load(lock.job_id);
+      if (holder && OPEN_STATUSES.includes(holder.status)) throw alreadyRunning(holder);
+    }
+    try {
+      await storage.putDoc(jobsDb, {
+        _id: LOCK_ID,
+        ...(lock ? { _rev: lock._rev } : {}),
+        type: "lock",
+        job_id: jobId,
+        claimed_at: new Date().toISOString()
+      });
+    } catch (err) {
+      if (!isConflict(err)) throw err;
+      const winner = await storage.getDoc(jobsDb, LOCK_ID).then(l => load(l.job_id)).catch(() => null);
+      // The winner's job may not be saved (or queued) yet
+      throw alreadyRunning(OPEN_STATUSES.includes(winner?.status) ? winner : null);
+    }
+  }
+
+  async function start({ force = false, requestedBy = null } = {}) {
+    // Jobs queued before the lock existed hold no lock, so look for them too
+    const existing = await openJob();
+    if (existing) throw alreadyRunning(existing);
+    const id = crypto.randomUUID();
+    await claimLock(id);
+    const job = await save({
+      _id: id,
+      type: "job",
+      kind: "embeddings",
+      status: "queued",
+      phase: "scan",
+      force,
+      model: embedModel,
+      template: templateVersion,
+      requested_by: requestedBy,
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      batch_size: batchSize,
+      total: null,
+      processed: 0,
+      cursor: null,
+      batches: 0,
+      docs_updated: 0,
+      failures: [],
+      error: null
+    });
+    enqueue(job);
+    return job;
+  }
+
+  async function get(id) {
+    const job = active?._id === id ? active : await load(id);
+    if (!job) throw httpError(404, `Job ${id} not found`);
+    return job;
+  }
+
+  async function list({ limit = 20 } = {}) {
+    const jobs = await storage.find(jobsDb, { type: "job" }, { limit: 1000 });
+    return jobs
+      .map(j => (active?._id === j._id ? active : j))
+      .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))
+      .slice(0, limit);
+  }
+
+  async function cancel(id) {
+    const job = await get(id);
+    if (!OPEN_STATUSES.includes(job.status)) throw httpError(409, `Job ${id} is already ${job.status}`);
+    if (active?._id === id) {
+      // Stops after the batch in progress
+      cancelled.add(id);
+      return job;
+    }
+    const i = queue.findIndex(j => j._id === id);
+    if (i !== -1) queue.splice(i, 1);
+    job.status = "cancelled";
+    job.finished_at = new Date().toISOString();
+    return save(job);
+  }
+
+  // Continues a stopped job from its cursor, or retries just its failed batches
+  async function retry(id) {
+    const job = await get(id);
+    if (!RETRYABLE_STATUSES.includes(job.status)) {
+      throw httpError(409, `Job ${id} is ${job.status}; only ${RETRYABLE_STATUSES.join(", ")} jobs can be retried`);
+    }
+    const existing = await openJob();
+    if (existing) throw alreadyRunning(existing);
+    await claimLock(id);
+    Object.assign(job, { status: "queued", finished_at: null, error: null });
+    await save(job);
+    enqueue(job);
+    return job;
+  }
+
+  // Picks up jobs that were queued or running when the server stopped
+  async function resumeJobs() {
+    const open = await storage.find(jobsDb, { type: "job", status: { $in: OPEN_STATUSES } }, { limit: 100 });
+    open.sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+    for (const job of open) {
+      console.log(`🧮 Resuming embedding job ${job._id} after ${job.processed} books`);
+      enqueue(job);
+    }
+    return open.length;
+  }
+
+  return { start, get, list, cancel, retry, resumeJobs };
+}
+
+export function createJobsRouter({ jobs }) {
+  const router = express.Router();
+
+  async function startEmbeddings(req, res) {
+    try {
+      const job = await jobs.start({ force: Boolean(req.body?.force), requestedBy: req.user?.username || null });
+      res.status(202).json({ ok: true, job: publicJob(job) });
+    } catch (err) {
+      if (err.job) return res.status(409).json({ ok: false, error: err.message, job: publicJob(err.job) });
+      sendError(res, err, "start embedding job");
+    }
+  }
+
+  router.post("/jobs/embeddings", requireRole("admin"), startEmbeddings);
+  // Older clients: same job, answered with its id instead of waiting for the build
+  router.post("/build-embeddings", requireRole("admin"), startEmbeddings);
+
+  router.get("/jobs", requireRole("admin"), async (req, res) => {
+    try {
+      const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+      res.json({ ok: true, jobs: (await jobs.list({ limit })).map(publicJob) });
+    } catch (err) {
+      sendError(res, err, "list jobs");
+    }
+  });
+
+  router.get("/jobs/:id", requireRole("admin"), async (req, res) => {
+    try {
+      res.json({ ok: true, job: publicJob(await jobs.get(req.params.id)) });
+    } catch (err) {
+      sendError(res, err, "get job");
+    }
+  });
+
+  router.post("/jobs/:id/cancel", requireRole("admin"), async (req, res) => {
+    try {
+      res.json({ ok: true, job: publicJob(await jobs.cancel(req.params.id)) });
+    } catch (err) {
+      sendError(res, err, "cancel job");
+    }
+  });
+
+  router.post("/jobs/:id/retry", requireRole("admin"), async (req, res) => {
+    try {
+      res.status(202).json({ ok: true, job: publicJob(await jobs.retry(req.params.id)) });
+    } catch (err) {
+      sendError(res, err, "retry job");
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,120 @@
+import { createWatsonxProvider } from "./watsonx.js";
+import { createOpenAiProvider } from "./openai.js";
+import { createStubProvider } from "./stub.js";
+import { createCircuitBreaker, withRetry, isTransient } from "../resilience.js";
+
+// ---------------- LLM + Embedding Provider Selection ----------------
+// Providers share one shape:
+//   generate(prompt, { onChunk, signal }) -> raw text (onChunk streams chunks; return false to stop)
+//   embed(inputs)                 -> number[][]
+//   listModels(params)            -> { total_count, limit, resources, next }
+// plus `name`, `generationModel` and `embedModel`. Aborting `signal` cancels a
+// generation whose caller has gone away.
+//
+// LLM_PROVIDER picks generation (watsonx | openai | stub, default watsonx);
+// EMBED_PROVIDER picks embeddings and defaults to LLM_PROVIDER.
+//
+// Every provider is wrapped with retries and one circuit breaker per call kind;
+// `circuits.generate.isOpen()` / `circuits.embed.isOpen()` tell callers to skip
+// the AI path while a backend is down.
+
+const DEFAULT_MODELS = {
+  watsonx: { generation: "ibm/granite-3-3-8b-instruct", embed: "ibm/slate-30m-english-rtrvr-v2" },
+  openai: { generation: "gpt-4o-mini", embed: "text-embedding-3-small" },
+  stub: { generation: "stub-echo", embed: "stub-hash" }
+};
+
+function checkProvider(provider, variable) {
+  if (!Object.hasOwn(DEFAULT_MODELS, provider)) {
+    throw new Error(`Unknown ${variable} "${provider}" (expected ${Object.keys(DEFAULT_MODELS).join(", ")})`);
+  }
+  return provider;
+}
+
+function listFromEnv(value, fallback) {
+  if (value === undefined) return fallback;
+  return String(value).split(",").map(s => s.trim()).filter(Boolean);
+}
+
+export function generationConfig(provider) {
+  checkProvider(provider, "provider");
+  return {
+    model: process.env.GEN_MODEL || DEFAULT_MODELS[provider].generation,
+    maxNewTokens: Number(process.env.GEN_MAX_NEW_TOKENS || 400),
+    temperature: Number(process.env.GEN_TEMPERATURE || 0),
+    stopSequences: listFromEnv(process.env.GEN_STOP_SEQUENCES, ["[END_OF_ANSWER]"])
+  };
+}
+
+function createProvider(provider, { embedModel }) {
+  const generation = generationConfig(provider);
+  switch (provider) {
+    case "watsonx":
+      return createWatsonxProvider({
+        url: process.env.IBM_URL,
+        projectId: process.env.PROJECT_ID,
+        apiVersion: process.env.IBM_API_VERSION || "2024-05-31",
+        generation,
+        embedModel
+      });
+    case "openai":
+      return createOpenAiProvider({
+        baseUrl: (process.env.OPENAI_BASE_URL || "http://localhost:8000/v1").replace(/\/+$/, ""),
+        apiKey: process.env.OPENAI_API_KEY,
+        generation,
+        embedModel
+      });
+    case "stub":
+      return createStubProvider({ generation, embedModel, embedDim: Number(process.env.STUB_EMBED_DIM || 256) });
+    default:
+      throw new Error(`Unknown provider "${provider}" (expected watsonx, openai or stub)`);
+  }
+}
+
+function withResilience(provider) {
+  const circuits = {
+    generate: createCircuitBreaker({ name: `${provider.name} generation` }),
+    embed: createCircuitBreaker({ name: `${provider.name} embeddings` })
+  };
+
+  return {
+    ...provider,
+    circuits,
+
+    generate(prompt, options = {}) {
+      const { onChunk } = options;
+      let streamed = false;
+      const tracked = onChunk && (chunk => {
+        streamed = true;
+        return onChunk(chunk);
+      });
+      // Once text has reached the caller a retry would repeat it, so only
+      // failures before the first chunk are retried.
+      return circuits.generate.exec(() => withRetry(
+        () => provider.generate(prompt, { ...options, onChunk: tracked }),
+        { label: `${provider.name} generation`, shouldRetry: err => !streamed && isTransient(err) }
+      ));
+    },
+
+    embed(inputs) {
+      return circuits.embed.exec(() => withRetry(
+        () => provider.embed(inputs),
+        { label: `${provider.name} embeddings` }
+      ));
+    },
+
+    listModels(params) {
+      return withRetry(() => provider.listModels(params), { label: `${provider.name} model list` });
+    }
+  };
+}
+
+export function createLlm() {
+  const llmProvider = checkProvider((process.env.LLM_PROVIDER || "watsonx").toLowerCase(), "LLM_PROVIDER");
+  const embedProvider = checkProvider((process.env.EMBED_PROVIDER || llmProvider).toLowerCase(), "EMBED_PROVIDER");
+  const embedModel = process.env.EMBED_MODEL || DEFAULT_MODELS[embedProvider].embed;
+
+  const llm = withResilience(createProvider(llmProvider, { embedModel }));
+  const embedder = embedProvider === llmProvider ? llm : withResilience(createProvider(embedProvider, { embedModel }));
+  return { llm, embedder };
+}
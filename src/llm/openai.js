@@ -0,0 +1,73 @@
+import axios from "axios";
+import { readEventStreamData } from "../sse.js";
+
+// ---------------- OpenAI-compatible Provider ----------------
+// Chat completions + embeddings against any server speaking the OpenAI HTTP
+// API (vLLM, Ollama, LM Studio, llama.cpp server, ...). The API key is optional
+// because most locally hosted servers don't check it.
+
+export function createOpenAiProvider({ baseUrl, apiKey, generation, embedModel }) {
+  const headers = {
+    "Content-Type": "application/json",
+    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+  };
+
+  function chatBody(prompt, stream) {
+    return {
+      model: generation.model,
+      messages: [{ role: "user", content: prompt }],
+      max_tokens: generation.maxNewTokens,
+      temperature: generation.temperature,
+      // The API accepts at most four stop sequences
+      stop: generation.stopSequences.slice(0, 4),
+      stream
+    };
+  }
+
+  return {
+    name: "openai",
+    generationModel: generation.model,
+    embedModel,
+
+    async generate(prompt, { onChunk = null, signal } = {}) {
+      if (!onChunk) {
+        const response = await axios.post(`${baseUrl}/chat/completions`, chatBody(prompt, false), { headers, signal });
+        return response.data?.choices?.[0]?.message?.content || "";
+      }
+
+      const response = await axios.post(`${baseUrl}/chat/completions`, chatBody(prompt, true), {
+        headers: { ...headers, Accept: "text/event-stream" },
+        responseType: "stream",
+        signal
+      });
+
+      let text = "";
+      for await (const data of readEventStreamData(response.data)) {
+        if (data === "[DONE]") break;
+        let chunk;
+        try {
+          chunk = JSON.parse(data).choices?.[0]?.delta?.content || "";
+        } catch {
+          continue;
+        }
+        text += chunk;
+        if (onChunk(chunk) === false) break;
+      }
+      response.data.destroy();
+      return text;
+    },
+
+    async embed(inputs) {
+      const response = await axios.post(`${baseUrl}/embeddings`, { model: embedModel, input: inputs }, { headers });
+      return (response.data?.data || [])
+        .sort((a, b) => a.index - b.index)
+        .map(d => d.embedding);
+    },
+
+    async listModels() {
+      const response = await axios.get(`${baseUrl}/models`, { headers });
+      const resources = response.data?.data || [];
+      return { total_count: resources.length, limit: null, resources, next: null };
+    }
+  };
+}
@@ -0,0 +1,80 @@
+import crypto from "crypto";
+
+// ---------------- Offline Stub Provider ----------------
+// Deterministic stand-in for development and tests: no network, same output
+// for the same input. Generation echoes the inventory block of the prompt in
+// the answer format the real model is asked for; embeddings are hashed
+// bag-of-words vectors, so texts sharing words land close together.
+const INVENTORY_START = "matching the user’s query:";
+const INVENTORY_END = "User query:";
+
+function tokenize(text) {
+  return String(text || "").toLowerCase().split(/[^a-z0-9+#]+/).filter(t => t.length > 1);
+}
+
+export function hashedEmbedding(text, dim) {
+  const vec = new Array(dim).fill(0);
+  for (const token of tokenize(text)) {
+    const h = crypto.createHash("md5").update(token).digest();
+    const idx = h.readUInt32LE(0) % dim;
+    vec[idx] += h[4] & 1 ? 1 : -1;
+  }
+  const norm = Math.sqrt(vec.reduce((s, x) => s + x * x, 0));
+  return norm === 0 ? vec : vec.map(x => x / norm);
+}
+
+function answerFromPrompt(prompt) {
+  const start = prompt.indexOf(INVENTORY_START);
+  const end = prompt.indexOf(INVENTORY_END, start);
+  const inventory = start === -1 || end === -1
+    ? ""
+    : prompt.slice(start + INVENTORY_START.length, end).trim();
+
+  if (!inventory.startsWith("•")) {
+    return "Not available in the library inventory.";
+  }
+  return inventory
+    .split(/\n\s*\n/)
+    .slice(0, 5)
+    .map(entry => entry.replace(/^•\s*/, "").replace(/\n\s+/g, "\n   "))
+    .join("\n\n");
+}
+
+function applyStops(text, stopSequences) {
+  let cut = text.length;
+  for (const stop of stopSequences) {
+    const idx = text.indexOf(stop);
+    if (idx !== -1 && idx < cut) cut = idx;
+  }
+  return text.slice(0, cut);
+}
+
+export function createStubProvider({ generation, embedModel, embedDim }) {
+  return {
+    name: "stub",
+    generationModel: generation.model,
+    embedModel,
+
+    async generate(prompt, { onChunk = null, signal } = {}) {
+      const text = applyStops(`${answerFromPrompt(prompt)}\n[END_OF_ANSWER]`, generation.stopSequences);
+      if (onChunk) {
+        for (const chunk of text.match(/\S+\s*|\s+/g) || []) {
+          if (signal?.aborted || onChunk(chunk) === false) break;
+        }
+      }
+      return text;
+    },
+
+    async embed(inputs) {
+      return inputs.map(text => hashedEmbedding(text, embedDim));
+    },
+
+    async listModels() {
+      const resources = [
+        { model_id: generation.model, functions: [{ id: "text_generation" }] },
+        { model_id: embedModel, functions: [{ id: "embedding" }] }
+      ];
+      return { total_count: resources.length, limit: null, resources, next: null };
+    }
+  };
+}
@@ -0,0 +1,182 @@
+import axios from "axios";
+import { readEventStreamData } from "../sse.js";
+
+// ---------------- watsonx.ai Provider ----------------
+// Generation, streaming generation, embeddings and the model catalogue through
+// the watsonx.ai REST API, authenticated with an IBM Cloud IAM token.
+
+// ---------------- watsonx.ai Auth ----------------
+// Refresh this long before the IAM expiry so in-flight requests never carry a dead token
+const IAM_REFRESH_MARGIN_SECONDS = Number(process.env.IAM_REFRESH_MARGIN_SECONDS || 300);
+
+async function requestAccessToken(apiKey) {
+  try {
+    const response = await axios.post(
+      "https://iam.cloud.ibm.com/identity/token",
+      new URLSearchParams({
+        grant_type: "urn:ibm:params:oauth:grant-type:apikey",
+        apikey: apiKey,
+      }),
+      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+    );
+    return response.data;
+  } catch (error) {
+    console.error("❌ Failed to get IAM token:", error.response?.data || error.message);
+    const err = new Error("Failed to authenticate with IBM Cloud IAM");
+    // Keep the status so retries can tell a bad key (4xx) from an IAM outage
+    err.response = error.response && { status: error.response.status };
+    err.code = error.code;
+    throw err;
+  }
+}
+
+// Caches the IAM token until shortly before it expires. Concurrent callers
+// share a single refresh instead of each exchanging the API key.
+export function createIamTokenManager({ apiKey = process.env.IBM_API_KEY, refreshMarginSeconds = IAM_REFRESH_MARGIN_SECONDS } = {}) {
+  let token = null;
+  let refreshAt = 0;
+  let pending = null;
+
+  async function refresh() {
+    const data = await requestAccessToken(apiKey);
+    if (!data?.access_token) throw new Error("Failed to get IBM Access Token");
+    // IAM sends both a relative `expires_in` and an absolute `expiration` (epoch seconds)
+    const expiresAt = data.expiration
+      ? data.expiration * 1000
+      : Date.now() + Number(data.expires_in || 3600) * 1000;
+    token = data.access_token;
+    refreshAt = expiresAt - refreshMarginSeconds * 1000;
+    return token;
+  }
+
+  return {
+    async getToken() {
+      if (token && Date.now() < refreshAt) return token;
+      if (!pending) pending = refresh().finally(() => { pending = null; });
+      return pending;
+    },
+
+    // Called when the API rejects the token; the next getToken() fetches a new one
+    invalidate(rejected) {
+      if (!rejected || rejected === token) {
+        token = null;
+        refreshAt = 0;
+      }
+    }
+  };
+}
+
+// Error bodies of streamed requests arrive as a stream; read them so they can be logged
+async function readStreamedErrorBody(err) {
+  if (typeof err.response?.data?.on !== "function") return;
+  let text = "";
+  for await (const chunk of err.response.data) text += chunk.toString("utf8");
+  try {
+    err.response.data = JSON.parse(text);
+  } catch {
+    err.response.data = text;
+  }
+}
+
+export function createWatsonxProvider({ url, projectId, apiVersion, generation, embedModel, tokens = createIamTokenManager() }) {
+  // Runs request(headers) with a bearer token; a 401 means the cached token was
+  // revoked or expired early, so it is refreshed once and the request repeated.
+  async function withAuth(request, extra = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const token = await tokens.getToken();
+      try {
+        return await request({ Authorization: `Bearer ${token}`, ...extra });
+      } catch (err) {
+        if (err.response?.status !== 401 || attempt > 0) throw err;
+        tokens.invalidate(token);
+      }
+    }
+  }
+
+  function generationBody(prompt) {
+    return {
+      model_id: generation.model,
+      input: prompt,
+      parameters: {
+        max_new_tokens: generation.maxNewTokens,
+        temperature: generation.temperature,
+        stop_sequences: generation.stopSequences
+      },
+      project_id: projectId,
+    };
+  }
+
+  return {
+    name: "watsonx",
+    generationModel: generation.model,
+    embedModel,
+
+    // onChunk receives raw text chunks while streaming; returning false stops the stream.
+    // `signal` aborts the request (the client went away).
+    async generate(prompt, { onChunk = null, signal } = {}) {
+      if (!onChunk) {
+        const response = await withAuth(headers => axios.post(
+          `${url}/ml/v1/text/generation?version=${apiVersion}`,
+          generationBody(prompt),
+          { headers, signal }
+        ), { "Content-Type": "application/json" });
+        return response.data.results?.[0]?.generated_text || "";
+      }
+
+      let response;
+      try {
+        response = await withAuth(headers => axios.post(
+          `${url}/ml/v1/text/generation_stream?version=${apiVersion}`,
+          generationBody(prompt),
+          { headers, responseType: "stream", signal }
+        ), { "Content-Type": "application/json", Accept: "text/event-stream" });
+      } catch (err) {
+        await readStreamedErrorBody(err);
+        throw err;
+      }
+
+      let text = "";
+      for await (const data of readEventStreamData(response.data)) {
+        let chunk;
+        try {
+          chunk = JSON.parse(data).results?.[0]?.generated_text || "";
+        } catch {
+          continue; // keep-alive or partial frame
+        }
+        text += chunk;
+        if (onChunk(chunk) === false) {
+          response.data.destroy();
+          break;
+        }
+      }
+      return text;
+    },
+
+    async embed(inputs) {
+      const response = await withAuth(headers => axios.post(
+        `${url}/ml/v1/text/embeddings?version=${apiVersion}`,
+        {
+          model_id: embedModel,
+          project_id: projectId,
+          inputs
+        },
+        { headers }
+      ), { "Content-Type": "application/json" });
+      return response.data?.results?.map(r => r.embedding) || [];
+    },
+
+    async listModels({ limit, start, filters } = {}) {
+      const response = await withAuth(headers => axios.get(`${url}/ml/v1/foundation_model_specs`, {
+        headers,
+        params: { version: apiVersion, limit, start, filters }
+      }), { Accept: "application/json" });
+      return {
+        version: apiVersion,
+        total_count: response.data?.total_count,
+        limit: response.data?.limit,
+        resources: response.data?.resources || [],
+        next: response.data?.next || null
+      };
+    }
+  };
+}
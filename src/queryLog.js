@@ -0,0 +1,295 @@
+import crypto from "crypto";
+import express from "express";
+import { httpError, sendError } from "./http.js";
+import { requireRole } from "./auth.js";
+import { iterateDocs } from "./storage/index.js";
+import { REQUEST_WORDS } from "./search/expansion.js";
+
+// ---------------- Query Log + Search Analytics ----------------
+// Every /ask-ai question and GET /books text search is written to the queries
+// database with its intent, expanded tokens, result ids, latency and whether
+// nothing was found. Ids start with the timestamp (`query:<ISO time>:<random>`),
+// so a time window is a key range and the retention sweep stops at the first
+// entry it keeps. Staff reports are computed from the window asked for.
+//
+// Anonymisation: QUERY_LOG_USERS=hash (default) stores a keyed hash of the
+// username, `keep` the username and `drop` nothing; QUERY_LOG_REDACT (default
+// true) masks e-mail addresses and numbers of six or more digits (member ids,
+// phone numbers) in the query text.
+const SWEEP_MINUTES = 60;
+const DELETE_BATCH = 500;
+const MAX_RESULT_IDS = 20;
+const MAX_EXAMPLES = 3;
+const USER_MODES = ["hash", "keep", "drop"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function redactQuery(text) {
+  return String(text || "")
+    .replace(/[^\s@]+@[^\s@]+\.[^\s@]+/g, "[email]")
+    .replace(/\+?\d[\d-]{4,}\d/g, m => (m.replace(/\D/g, "").length >= 6 ? "[number]" : m));
+}
+
+// Groups spellings of the same question: case, punctuation and spacing
+export function normaliseQuery(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[?!.,;:"'()]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function weekStart(iso) {
+  const d = new Date(iso.slice(0, 10));
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+// Without QUERY_LOG_SALT the hash key is derived from AUTH_SECRET rather than
+// being the token signing key itself, so the two secrets never share a use
+function deriveSalt(secret) {
+  return secret ? crypto.createHmac("sha256", secret).update("query-log").digest("hex") : null;
+}
+
+// `explain(text)` is the query expander's explainTokens; the stored tokens and
+// topic terms come from it
+export function createQueryLogService({
+  storage,
+  queriesDb,
+  explain,
+  enabled = (process.env.QUERY_LOG || "true").toLowerCase() !== "false",
+  retentionDays = Number(process.env.QUERY_LOG_RETENTION_DAYS ?? 90),
+  users = (process.env.QUERY_LOG_USERS || "hash").toLowerCase(),
+  redact = (process.env.QUERY_LOG_REDACT || "true").toLowerCase() !== "false",
+  salt = process.env.QUERY_LOG_SALT || deriveSalt(process.env.AUTH_SECRET)
+}) {
+  if (!USER_MODES.includes(users)) {
+    throw new Error(`QUERY_LOG_USERS must be one of ${USER_MODES.join(", ")}`);
+  }
+  if (!salt) {
+    salt = crypto.randomBytes(32).toString("hex");
+    if (enabled && users === "hash") {
+      console.warn("⚠️ QUERY_LOG_SALT is not set; logged user hashes will change when the server restarts");
+    }
+  }
+
+  function userId(username) {
+    if (!username || users === "drop") return null;
+    if (users === "keep") return username;
+    return crypto.createHmac("sha256", salt).update(username).digest("hex").slice(0, 16);
+  }
+
+  function entryFor({ route, query, user, intent, confidence, books, total, latencyMs, searched, error }) {
+    const at = new Date().toISOString();
+    const text = redact ? redactQuery(query) : String(query || "");
+    // Redaction placeholders are not words of the question
+    const expansion = explain(text.replace(/\[(email|number)\]/g, " "));
+    const fixes = new Map(expansion.corrections.map(c => [c.from, c.to]));
+    const results = total ?? books?.length ?? 0;
+    return {
+      _id: `query:${at}:${crypto.randomBytes(4).toString("hex")}`,
+      type: "query",
+      at,
+      route,
+      query: text,
+      normalised: normaliseQuery(text),
+      intent: intent ?? null,
+      confidence: confidence ?? null,
+      tokens: expansion.expanded.map(t => t.token),
+      // What the question was about: corrected query words that are not request words or numbers
+      terms: Array.from(new Set(expansion.raw.map(t => fixes.get(t) || t)))
+        .filter(t => t.length > 2 && !REQUEST_WORDS.has(t) && !/^\d+$/.test(t)),
+      result_ids: (books || []).slice(0, MAX_RESULT_IDS).map(b => b._id ?? b.id),
+      results,
+      searched,
+      zero: searched && !error && results === 0,
+      latency_ms: latencyMs,
+      user: userId(user?.username),
+      role: user?.role ?? "anonymous",
+      error: error ?? null
+    };
+  }
+
+  // Written in the background; a failed write never fails the request.
+  // `searched` is false for answers that never looked for books (counts, small talk).
+  function record({ route, query, user = null, intent = null, confidence = null, books = null, total = null, latencyMs, searched = true, error = null }) {
+    if (!enabled) return;
+    let entry;
+    try {
+      entry = entryFor({ route, query, user, intent, confidence, books, total, latencyMs, searched, error });
+    } catch (err) {
+      console.warn("⚠️ Query not logged:", err.message);
+      return;
+    }
+    storage.putDoc(queriesDb, entry).catch(err => console.warn("⚠️ Query not logged:", err.message));
+  }
+
+  // Entries logged in [since, until), oldest first
+  async function* entriesBetween(since, until, route = null) {
+    const end = `query:${until}`;
+    for await (const doc of iterateDocs(storage, queriesDb, { after: `query:${since}` })) {
+      if (doc._id >= end) return;
+      if (doc.type === "query" && (!route || doc.route === route)) yield doc;
+    }
+  }
+
+  async function expire() {
+    if (!(retentionDays > 0)) return 0;
+    const cutoff = `query:${new Date(Date.now() - retentionDays * DAY_MS).toISOString()}`;
+    const old = [];
+    for await (const doc of iterateDocs(storage, queriesDb)) {
+      if (doc._id >= cutoff) break;
+      if (doc._id.startsWith("query:")) old.push({ _id: doc._id, _rev: doc._rev, _deleted: true });
+    }
+    let deleted = 0;
+    for (let i = 0; i < old.length; i += DELETE_BATCH) {
+      const results = await storage.bulkDocs(queriesDb, old.slice(i, i + DELETE_BATCH));
+      deleted += results.filter(r => !r.error).length;
+    }
+    return deleted;
+  }
+
+  function startRetentionSweep() {
+    if (!enabled || !(retentionDays > 0)) return null;
+    const sweep = () => expire()
+      .then(n => n > 0 && console.log(`🧹 Deleted ${n} query log entr${n === 1 ? "y" : "ies"} older than ${retentionDays} days`))
+      .catch(err => console.error("❌ Query log retention sweep failed:", err.message));
+    sweep();
+    const timer = setInterval(sweep, SWEEP_MINUTES * 60 * 1000);
+    timer.unref();
+    return timer;
+  }
+
+  // ---------------- Reports ----------------
+  // Each takes { since, until, route } (ISO times) plus its own options
+
+  // Most asked questions, with how often they found nothing
+  async function topQueries({ since, until, route, limit }) {
+    const groups = new Map();
+    for await (const e of entriesBetween(since, until, route)) {
+      const g = groups.get(e.normalised) || { query: e.normalised, count: 0, zero: 0, results: 0, intents: {}, last_at: null };
+      g.count += 1;
+      g.zero += e.zero ? 1 : 0;
+      g.results += e.results;
+      if (e.intent) g.intents[e.intent] = (g.intents[e.intent] || 0) + 1;
+      g.last_at = e.at;
+      groups.set(e.normalised, g);
+    }
+    return Array.from(groups.values())
+      .sort((a, b) => b.count - a.count || a.query.localeCompare(b.query))
+      .slice(0, limit)
+      .map(({ results, ...g }) => ({ ...g, avg_results: Math.round((results / g.count) * 10) / 10 }));
+  }
+
+  // Searches that found nothing, by how often (and by how many people) they were asked
+  async function zeroResultQueries({ since, until, route, limit }) {
+    const groups = new Map();
+    for await (const e of entriesBetween(since, until, route)) {
+      if (!e.zero) continue;
+      const g = groups.get(e.normalised) || { query: e.normalised, count: 0, users: new Set(), terms: e.terms, last_at: null };
+      g.count += 1;
+      if (e.user) g.users.add(e.user);
+      g.last_at = e.at;
+      groups.set(e.normalised, g);
+    }
+    return Array.from(groups.values())
+      .sort((a, b) => b.count - a.count || a.query.localeCompare(b.query))
+      .slice(0, limit)
+      .map(g => ({ ...g, users: g.users.size }));
+  }
+
+  // Topic words of zero-result searches: what students want but the library lacks
+  async function missingTopics({ since, until, route, limit }) {
+    const topics = new Map();
+    for await (const e of entriesBetween(since, until, route)) {
+      if (!e.zero) continue;
+      for (const term of e.terms || []) {
+        const t = topics.get(term) || { term, count: 0, users: new Set(), examples: [], last_at: null };
+        t.count += 1;
+        if (e.user) t.users.add(e.user);
+        if (t.examples.length < MAX_EXAMPLES && !t.examples.includes(e.normalised)) t.examples.push(e.normalised);
+        t.last_at = e.at;
+        topics.set(term, t);
+      }
+    }
+    return Array.from(topics.values())
+      .sort((a, b) => b.count - a.count || b.users.size - a.users.size || a.term.localeCompare(b.term))
+      .slice(0, limit)
+      .map(t => ({ ...t, users: t.users.size }));
+  }
+
+  // Volume, zero-result rate and latency per day or week
+  async function trends({ since, until, route, interval = "day" }) {
+    const buckets = new Map();
+    for await (const e of entriesBetween(since, until, route)) {
+      const period = interval === "week" ? weekStart(e.at) : e.at.slice(0, 10);
+      const b = buckets.get(period) || { period, queries: 0, searches: 0, zero_results: 0, errors: 0, latency: 0 };
+      b.queries += 1;
+      b.searches += e.searched ? 1 : 0;
+      b.zero_results += e.zero ? 1 : 0;
+      b.errors += e.error ? 1 : 0;
+      b.latency += e.latency_ms || 0;
+      buckets.set(period, b);
+    }
+    return Array.from(buckets.values()).map(({ latency, ...b }) => ({
+      ...b,
+      zero_rate: b.searches ? Math.round((b.zero_results / b.searches) * 1000) / 1000 : null,
+      avg_latency_ms: Math.round(latency / b.queries)
+    }));
+  }
+
+  return {
+    enabled,
+    retentionDays,
+    record,
+    expire,
+    startRetentionSweep,
+    topQueries,
+    zeroResultQueries,
+    missingTopics,
+    trends
+  };
+}
+
+// ?days= (default 30) or ?from=&to= (dates or ISO times), ?route=ask-ai|books, ?limit=
+function reportWindow(query) {
+  const until = query.to ? new Date(query.to) : new Date();
+  const days = query.days === undefined ? 30 : Number(query.days);
+  if (!Number.isFinite(days) || days <= 0) throw httpError(400, "days must be a positive number");
+  const since = query.from ? new Date(query.from) : new Date(until.getTime() - days * DAY_MS);
+  if (Number.isNaN(since.getTime()) || Number.isNaN(until.getTime())) throw httpError(400, "from and to must be dates");
+  if (since >= until) throw httpError(400, "from must be before to");
+
+  const route = query.route ? String(query.route) : null;
+  if (route && !["ask-ai", "books"].includes(route)) throw httpError(400, "route must be ask-ai or books");
+  const limit = query.limit === undefined ? 20 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) throw httpError(400, "limit must be between 1 and 200");
+  return { since: since.toISOString(), until: until.toISOString(), route, limit };
+}
+
+export function createQueryLogRouter({ queryLog }) {
+  const router = express.Router();
+
+  function report(path, key, run) {
+    router.get(path, requireRole("librarian"), async (req, res) => {
+      try {
+        if (!queryLog.enabled) throw httpError(404, "Query logging is turned off (QUERY_LOG=false)");
+        const window = reportWindow(req.query);
+        const rows = await run(window, req.query);
+        res.json({ ok: true, since: window.since, until: window.until, route: window.route, count: rows.length, [key]: rows });
+      } catch (err) {
+        sendError(res, err, `analytics ${key}`);
+      }
+    });
+  }
+
+  report("/analytics/queries/top", "queries", w => queryLog.topQueries(w));
+  report("/analytics/queries/zero-results", "queries", w => queryLog.zeroResultQueries(w));
+  report("/analytics/topics/missing", "topics", w => queryLog.missingTopics(w));
+  report("/analytics/trends", "trends", (w, q) => {
+    const interval = String(q.interval || "day");
+    if (!["day", "week"].includes(interval)) throw httpError(400, "interval must be day or week");
+    return queryLog.trends({ ...w, interval });
+  });
+
+  return router;
+}
@@ -0,0 +1,108 @@
+// ---------------- Resilience (retry + circuit breaker) ----------------
+// Used around the external AI calls: transient failures are retried with
+// exponential backoff, and a breaker stops calling a service that keeps
+// failing so callers can take their non-AI path straight away.
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+// Connection failures and timeouts (axios sets `code`, fetch/undici `cause.code`)
+const RETRYABLE_CODES = new Set([
+  "ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "ETIMEDOUT", "ESOCKETTIMEDOUT", "EPIPE",
+  "ENOTFOUND", "EAI_AGAIN", "EHOSTUNREACH", "ENETUNREACH", "ENETDOWN",
+  "UND_ERR_CONNECT_TIMEOUT", "UND_ERR_HEADERS_TIMEOUT", "UND_ERR_SOCKET"
+]);
+
+// Network errors and overload/5xx responses are worth retrying; anything else
+// (bad config, 4xx, parse errors, bugs) fails the same way on every attempt
+export function isTransient(err) {
+  const status = err?.response?.status;
+  if (status !== undefined) return RETRYABLE_STATUS.has(status);
+  return RETRYABLE_CODES.has(err?.code) || RETRYABLE_CODES.has(err?.cause?.code);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export async function withRetry(fn, {
+  retries = Number(process.env.LLM_RETRIES ?? 2),
+  baseDelayMs = Number(process.env.LLM_RETRY_BASE_MS || 300),
+  maxDelayMs = Number(process.env.LLM_RETRY_MAX_MS || 3000),
+  shouldRetry = isTransient,
+  label = "request"
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= retries || !shouldRetry(err)) throw err;
+      // Full jitter keeps concurrent retries from lining up
+      const delay = Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      console.warn(`⚠️ ${label} failed (${err.response?.status || err.message}), retry ${attempt + 1}/${retries} in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+export function circuitOpenError(name) {
+  const err = new Error(`${name} is temporarily unavailable (circuit open)`);
+  err.code = "CIRCUIT_OPEN";
+  return err;
+}
+
+// closed -> (failureThreshold consecutive transient failures) -> open
+// open -> (cooldownMs) -> half-open: one trial call closes or re-opens it
+export function createCircuitBreaker({
+  name,
+  failureThreshold = Number(process.env.BREAKER_FAILURES || 5),
+  cooldownMs = Number(process.env.BREAKER_COOLDOWN_MS || 30000),
+  countsAsFailure = isTransient
+}) {
+  let state = "closed";
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  function isOpen() {
+    return state === "open" && Date.now() - openedAt < cooldownMs;
+  }
+
+  function trip() {
+    if (state !== "open") console.warn(`🔌 Circuit "${name}" opened after ${failures} failure(s)`);
+    state = "open";
+    openedAt = Date.now();
+  }
+
+  async function exec(fn) {
+    if (isOpen()) throw circuitOpenError(name);
+
+    const trial = state === "open";
+    if (trial) {
+      if (trialInFlight) throw circuitOpenError(name);
+      trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      if (state !== "closed") console.log(`🔌 Circuit "${name}" closed`);
+      state = "closed";
+      failures = 0;
+      return result;
+    } catch (err) {
+      if (countsAsFailure(err)) {
+        failures += 1;
+        if (trial || failures >= failureThreshold) trip();
+      }
+      throw err;
+    } finally {
+      if (trial) trialInFlight = false;
+    }
+  }
+
+  return {
+    name,
+    exec,
+    isOpen,
+    status() {
+      return { name, state: isOpen() ? "open" : state === "open" ? "half-open" : "closed", failures };
+    }
+  };
+}
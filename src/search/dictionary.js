@@ -0,0 +1,429 @@
+import express from "express";
+import { httpError, isConflict, isNotFound, requestedRev, sendError } from "../http.js";
+import { requireRole } from "../auth.js";
+import { loadAllDocs } from "../storage/index.js";
+import { SYNONYM_MAP } from "./synonyms.js";
+
+// ---------------- Synonym Dictionary ----------------
+// The query expansion synonyms as data: one `synonym:<term>` document per
+// entry in the synonyms database, edited by staff through /synonyms. A
+// `one_way` entry adds its synonyms to queries containing the term; a
+// `two_way` entry makes the term and its synonyms one group in which each adds
+// the others. Terms and synonyms may be phrases ("data structures"). Every
+// change is appended to the entry's `history`; a removed entry stays as a
+// tombstone so its history survives. An empty database is seeded from SYNONYM_MAP.
+export const SYNONYM_MODES = ["one_way", "two_way"];
+const MAX_SYNONYMS = 50;
+const MAX_TERM_LENGTH = 100;
+
+export function normaliseTerm(text) {
+  return String(text ?? "").toLowerCase().trim().replace(/\s+/g, " ");
+}
+
+// Returns { term, synonyms, mode }; `term` overrides the one in the body (PUT /synonyms/:term)
+export function validateEntry(input, { term: routeTerm = null } = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw httpError(400, "Synonym entry must be a JSON object");
+  }
+  const errors = [];
+  const term = normaliseTerm(routeTerm ?? input.term);
+  if (!/[a-z0-9]/.test(term)) errors.push("term is required");
+  else if (term.length > MAX_TERM_LENGTH) errors.push(`term must be at most ${MAX_TERM_LENGTH} characters`);
+
+  let synonyms = [];
+  if (!Array.isArray(input.synonyms) || input.synonyms.some(s => typeof s !== "string")) {
+    errors.push("synonyms must be a list of strings");
+  } else {
+    synonyms = Array.from(new Set(input.synonyms.map(normaliseTerm))).filter(s => s && s !== term);
+    if (synonyms.length === 0) errors.push("synonyms needs at least one entry other than the term");
+    if (synonyms.length > MAX_SYNONYMS) errors.push(`synonyms can have at most ${MAX_SYNONYMS} entries`);
+    if (synonyms.some(s => s.length > MAX_TERM_LENGTH)) errors.push(`synonyms must be at most ${MAX_TERM_LENGTH} characters each`);
+  }
+
+  const mode = input.mode ?? "one_way";
+  if (!SYNONYM_MODES.includes(mode)) errors.push(`mode must be one of ${SYNONYM_MODES.join(", ")}`);
+
+  if (errors.length > 0) throw httpError(400, `Invalid synonym entry: ${errors.join("; ")}`);
+  return { term, synonyms, mode };
+}
+
+// Entries -> { term: [words or phrases it adds] } for the query expander
+export function compileSynonyms(entries) {
+  const map = new Map();
+  const addAll = (term, values) => {
+    const merged = new Set([...(map.get(term) || []), ...values]);
+    merged.delete(term);
+    map.set(term, Array.from(merged));
+  };
+  for (const { term, synonyms, mode } of entries) {
+    if (mode === "two_way") {
+      const group = [term, ...synonyms];
+      group.forEach(member => addAll(member, group));
+    } else {
+      addAll(term, synonyms);
+    }
+  }
+  return Object.fromEntries(map);
+}
+
+// Solr-style lines: "ds, data structures" is a two-way group, "bio => biology,
+// life sciences" one-way ("a, b => c" gives a and b the same synonyms). Blank
+// lines and lines starting with # are skipped.
+function parseSynonymLines(text) {
+  const rows = [];
+  const list = s => s.split(",").map(x => x.trim()).filter(Boolean);
+  String(text).split(/\r?\n/).forEach((line, i) => {
+    const content = line.trim();
+    if (!content || content.startsWith("#")) return;
+    const [left, right, ...extra] = content.split("=>");
+    if (extra.length > 0) {
+      rows.push({ row: i + 1, error: "A line can have only one =>" });
+    } else if (right === undefined) {
+      const [term, ...synonyms] = list(left);
+      rows.push({ row: i + 1, input: { term, synonyms, mode: "two_way" } });
+    } else {
+      for (const term of list(left)) rows.push({ row: i + 1, input: { term, synonyms: list(right), mode: "one_way" } });
+    }
+  });
+  return rows;
+}
+
+// A bulk import body -> { entries, errors }. Accepted bodies:
+//   { "entries": [{ term, synonyms, mode }] }
+//   { "synonyms": { "term": ["synonym", ...] } }   (one-way, like SYNONYM_MAP)
+//   { "text": "ds, data structures\nbio => biology" }
+export function parseSynonymImport(body) {
+  let rows;
+  if (Array.isArray(body?.entries)) {
+    rows = body.entries.map((input, i) => ({ row: i + 1, input }));
+  } else if (body?.synonyms && typeof body.synonyms === "object" && !Array.isArray(body.synonyms)) {
+    rows = Object.entries(body.synonyms).map(([term, synonyms], i) => ({ row: i + 1, input: { term, synonyms, mode: "one_way" } }));
+  } else if (typeof body?.text === "string") {
+    rows = parseSynonymLines(body.text);
+  } else {
+    throw httpError(400, "Send { entries: [...] }, { synonyms: { term: [...] } } or { text: \"...\" }");
+  }
+
+  const entries = [];
+  const errors = [];
+  const seen = new Map();
+  for (const { row, input, error } of rows) {
+    if (error) {
+      errors.push({ row, error });
+      continue;
+    }
+    try {
+      const entry = validateEntry(input);
+      if (seen.has(entry.term)) throw httpError(400, `"${entry.term}" is already in row ${seen.get(entry.term)}`);
+      seen.set(entry.term, row);
+      entries.push(entry);
+    } catch (err) {
+      errors.push({ row, term: input?.term ?? null, error: err.message });
+    }
+  }
+  return { entries, errors };
+}
+
+// Entry as returned by the API; `history` only when asked for
+export function publicEntry(doc, { history = false } = {}) {
+  return {
+    term: doc.term,
+    synonyms: doc.synonyms,
+    mode: doc.mode,
+    removed: doc.removed === true,
+    created_at: doc.created_at ?? null,
+    created_by: doc.created_by ?? null,
+    updated_at: doc.updated_at ?? null,
+    updated_by: doc.updated_by ?? null,
+    _rev: doc._rev,
+    ...(history ? { history: doc.history || [] } : {})
+  };
+}
+
+function sameEntry(doc, entry) {
+  return doc.mode === entry.mode && doc.synonyms.join("\n") === entry.synonyms.join("\n");
+}
+
+// `onChange(map)` receives the compiled synonyms after every change and every
+// reload that found one (see createQueryExpander's setSynonyms). Changes made
+// by another server, or straight in the database, are picked up by the
+// SYNONYM_RELOAD_SECONDS poll or POST /synonyms/reload.
+export function createSynonymService({
+  storage,
+  synonymsDb,
+  onChange = () => {},
+  reloadSeconds = Number(process.env.SYNONYM_RELOAD_SECONDS ?? 60)
+}) {
+  // term -> doc, removed entries included
+  let entries = new Map();
+  let signature = "";
+
+  const idFor = term => `synonym:${term}`;
+  const active = () => Array.from(entries.values()).filter(d => !d.removed);
+
+  function publish() {
+    signature = Array.from(entries.values(), d => `${d._id}@${d._rev}`).sort().join("|");
+    onChange(compileSynonyms(active()));
+  }
+
+  // Returns true when the stored dictionary differed from the one in use
+  async function reload() {
+    const docs = (await loadAllDocs(storage, synonymsDb)).filter(d => d.type === "synonym");
+    const next = docs.map(d => `${d._id}@${d._rev}`).sort().join("|");
+    if (next === signature) return false;
+    entries = new Map(docs.map(d => [d.term, d]));
+    publish();
+    return true;
+  }
+
+  async function seed() {
+    const now = new Date().toISOString();
+    const docs = Object.entries(SYNONYM_MAP).map(([key, values]) => {
+      const { term, synonyms, mode } = validateEntry({ term: key, synonyms: values });
+      return {
+        _id: idFor(term),
+        type: "synonym",
+        term,
+        synonyms,
+        mode,
+        created_at: now,
+        created_by: "system",
+        updated_at: now,
+        updated_by: "system",
+        history: [{ at: now, by: "system", action: "seeded", synonyms, mode }]
+      };
+    });
+    const failed = (await storage.bulkDocs(synonymsDb, docs)).filter(r => r.error);
+    if (failed.length > 0) console.warn(`⚠️ ${failed.length} default synonym(s) could not be stored`);
+    console.log(`📚 Seeded the synonym dictionary with ${docs.length - failed.length} default entries`);
+  }
+
+  async function load() {
+    if ((await loadAllDocs(storage, synonymsDb)).length === 0) await seed();
+    await reload();
+    return active().length;
+  }
+
+  async function fetchEntry(term) {
+    try {
+      return await storage.getDoc(synonymsDb, idFor(term));
+    } catch (err) {
+      if (isNotFound(err)) return null;
+      throw err;
+    }
+  }
+
+  // The next version of `previous` (null for a new term) with `entry` applied
+  function nextDoc(previous, entry, user, via = null) {
+    const now = new Date().toISOString();
+    const action = !previous ? "created" : previous.removed ? "restored" : "updated";
+    const { removed, removed_at, ...kept } = previous || {};
+    return {
+      ...kept,
+      _id: idFor(entry.term),
+      type: "synonym",
+      term: entry.term,
+      synonyms: entry.synonyms,
+      mode: entry.mode,
+      created_at: previous?.created_at ?? now,
+      created_by: previous?.created_by ?? user,
+      updated_at: now,
+      updated_by: user,
+      history: [...(previous?.history || []), { at: now, by: user, action, ...(via ? { via } : {}), synonyms: entry.synonyms, mode: entry.mode }]
+    };
+  }
+
+  function removedDoc(previous, user, via = null) {
+    const now = new Date().toISOString();
+    return {
+      ...previous,
+      removed: true,
+      removed_at: now,
+      updated_at: now,
+      updated_by: user,
+      history: [...(previous.history || []), { at: now, by: user, action: "removed", ...(via ? { via } : {}) }]
+    };
+  }
+
+  async function write(doc) {
+    let rev;
+    try {
+      ({ rev } = await storage.putDoc(synonymsDb, doc));
+    } catch (err) {
+      if (isConflict(err)) throw httpError(409, `Synonym "${doc.term}" was changed by someone else; reload it and retry`);
+      throw err;
+    }
+    const saved = { ...doc, _rev: rev };
+    entries.set(saved.term, saved);
+    publish();
+    return saved;
+  }
+
+  function checkRev(previous, rev) {
+    if (rev && previous && rev !== previous._rev) {
+      throw httpError(409, `Synonym "${previous.term}" was changed by someone else; reload it and retry`);
+    }
+  }
+
+  function list({ q = null, includeRemoved = false } = {}) {
+    const needle = q ? normaliseTerm(q) : null;
+    return Array.from(entries.values())
+      .filter(d => includeRemoved || !d.removed)
+      .filter(d => !needle || d.term.includes(needle) || d.synonyms.some(s => s.includes(needle)))
+      .sort((a, b) => a.term.localeCompare(b.term));
+  }
+
+  async function get(term) {
+    const doc = await fetchEntry(normaliseTerm(term));
+    if (!doc) throw httpError(404, `No synonym entry for "${normaliseTerm(term)}"`);
+    return doc;
+  }
+
+  // `create` refuses a term that is already in use; `rev` (optional) must be
+  // the one last read. Returns { entry, created }.
+  async function save(entry, user, { create = false, rev = null } = {}) {
+    const previous = await fetchEntry(entry.term);
+    if (create && previous && !previous.removed) throw httpError(409, `"${entry.term}" already has synonyms; use PUT to change them`);
+    checkRev(previous, rev);
+    const created = !previous || previous.removed === true;
+    if (!created && sameEntry(previous, entry)) return { entry: previous, created };
+    return { entry: await write(nextDoc(previous, entry, user)), created };
+  }
+
+  async function remove(term, user, { rev = null } = {}) {
+    const previous = await get(term);
+    if (previous.removed) throw httpError(404, `No synonym entry for "${previous.term}"`);
+    checkRev(previous, rev);
+    return write(removedDoc(previous, user));
+  }
+
+  // Validated entries (parseSynonymImport) in one bulk write; `replace` also
+  // removes the entries the import leaves out
+  async function importEntries(incoming, user, { replace = false } = {}) {
+    await reload();
+    const summary = { created: 0, updated: 0, unchanged: 0, removed: 0, failed: [] };
+    const docs = [];
+    for (const entry of incoming) {
+      const previous = entries.get(entry.term) || null;
+      if (previous && !previous.removed && sameEntry(previous, entry)) {
+        summary.unchanged += 1;
+        continue;
+      }
+      docs.push(nextDoc(previous, entry, user, "import"));
+      summary[previous && !previous.removed ? "updated" : "created"] += 1;
+    }
+    if (replace) {
+      const kept = new Set(incoming.map(e => e.term));
+      for (const doc of active().filter(d => !kept.has(d.term))) {
+        docs.push(removedDoc(doc, user, "import"));
+        summary.removed += 1;
+      }
+    }
+
+    if (docs.length > 0) {
+      const results = await storage.bulkDocs(synonymsDb, docs);
+      summary.failed = results
+        .filter(r => r.error)
+        .map(r => ({ term: docs.find(d => d._id === r.id)?.term ?? r.id, error: r.reason || r.error }));
+      await reload();
+    }
+    return summary;
+  }
+
+  function startReloadPoll() {
+    if (!(reloadSeconds > 0)) return null;
+    const timer = setInterval(() => {
+      reload()
+        .then(changed => changed && console.log(`🔁 Synonym dictionary reloaded: ${active().length} entries`))
+        .catch(err => console.error("❌ Synonym reload failed:", err.message));
+    }, reloadSeconds * 1000);
+    timer.unref();
+    return timer;
+  }
+
+  return {
+    load,
+    reload,
+    list,
+    get,
+    save,
+    remove,
+    importEntries,
+    startReloadPoll,
+    size: () => active().length
+  };
+}
+
+export function createSynonymsRouter({ synonyms }) {
+  const router = express.Router();
+
+  // ?q= matches terms and synonyms; ?include=removed,history
+  router.get("/synonyms", requireRole("librarian"), (req, res) => {
+    const include = String(req.query.include || "").split(",");
+    const list = synonyms.list({ q: req.query.q || null, includeRemoved: include.includes("removed") });
+    res.json({ ok: true, count: list.length, synonyms: list.map(d => publicEntry(d, { history: include.includes("history") })) });
+  });
+
+  router.get("/synonyms/:term", requireRole("librarian"), async (req, res) => {
+    try {
+      res.json({ ok: true, synonym: publicEntry(await synonyms.get(req.params.term), { history: true }) });
+    } catch (err) {
+      sendError(res, err, "get synonym");
+    }
+  });
+
+  router.post("/synonyms", requireRole("librarian"), async (req, res) => {
+    try {
+      const { entry } = await synonyms.save(validateEntry(req.body), req.user.username, { create: true });
+      res.status(201).json({ ok: true, synonym: publicEntry(entry, { history: true }) });
+    } catch (err) {
+      sendError(res, err, "add synonym");
+    }
+  });
+
+  // Creates or replaces the entry for :term
+  router.put("/synonyms/:term", requireRole("librarian"), async (req, res) => {
+    try {
+      const entry = validateEntry(req.body, { term: req.params.term });
+      const saved = await synonyms.save(entry, req.user.username, { rev: requestedRev(req) });
+      res.status(saved.created ? 201 : 200).json({ ok: true, synonym: publicEntry(saved.entry, { history: true }) });
+    } catch (err) {
+      sendError(res, err, "save synonym");
+    }
+  });
+
+  router.delete("/synonyms/:term", requireRole("librarian"), async (req, res) => {
+    try {
+      const removed = await synonyms.remove(req.params.term, req.user.username, { rev: requestedRev(req) });
+      res.json({ ok: true, synonym: publicEntry(removed, { history: true }) });
+    } catch (err) {
+      sendError(res, err, "remove synonym");
+    }
+  });
+
+  // Nothing is written unless every entry is valid
+  router.post("/synonyms/import", requireRole("librarian"), async (req, res) => {
+    try {
+      const { entries, errors } = parseSynonymImport(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({ ok: false, error: `${errors.length} invalid synonym entr${errors.length === 1 ? "y" : "ies"}; nothing was imported`, errors });
+      }
+      const summary = await synonyms.importEntries(entries, req.user.username, { replace: req.body.replace === true });
+      res.json({ ok: summary.failed.length === 0, ...summary, total: synonyms.size() });
+    } catch (err) {
+      sendError(res, err, "import synonyms");
+    }
+  });
+
+  // Picks up changes made straight in the database
+  router.post("/synonyms/reload", requireRole("librarian"), async (req, res) => {
+    try {
+      const changed = await synonyms.reload();
+      res.json({ ok: true, changed, total: synonyms.size() });
+    } catch (err) {
+      sendError(res, err, "reload synonyms");
+    }
+  });
+
+  return router;
+}
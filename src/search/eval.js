@@ -0,0 +1,117 @@
+// ---------------- Search Evaluation ----------------
+// Offline relevance metrics for the hybrid search. A judgment file lists
+// queries with the ids of the books that should come back:
+//   { "queries": [{ "id": "dsa", "query": "data structures", "relevant": ["b5", "b1"] }] }
+// `relevant` may also map ids to graded relevance ({ "b5": 2, "b1": 1 }) for
+// nDCG; a plain list counts every id as 1. See scripts/eval-search.js.
+export const EVAL_MODES = ["lexical", "hybrid"];
+
+// -> [{ id, query, relevant: Map<bookId, grade> }]
+export function parseJudgments(data) {
+  const list = Array.isArray(data) ? data : data?.queries;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error("Judgments must be a non-empty array or { \"queries\": [...] }");
+  }
+  const ids = new Set();
+  return list.map((entry, i) => {
+    const label = `Judgment ${i + 1}`;
+    const query = String(entry?.query ?? "").trim();
+    if (!query) throw new Error(`${label}: query is required`);
+    const id = String(entry.id ?? query);
+    if (ids.has(id)) throw new Error(`${label}: duplicate id "${id}"`);
+    ids.add(id);
+
+    const pairs = Array.isArray(entry.relevant)
+      ? entry.relevant.map(bookId => [bookId, 1])
+      : Object.entries(entry.relevant ?? {});
+    const relevant = new Map();
+    for (const [bookId, grade] of pairs) {
+      if (!Number.isFinite(Number(grade)) || Number(grade) < 0) {
+        throw new Error(`${label}: grade of "${bookId}" must be a number >= 0`);
+      }
+      if (Number(grade) > 0) relevant.set(String(bookId), Number(grade));
+    }
+    if (relevant.size === 0) throw new Error(`${label}: relevant needs at least one book id`);
+    return { id, query, relevant };
+  });
+}
+
+function dcg(grades) {
+  return grades.reduce((sum, grade, i) => sum + (2 ** grade - 1) / Math.log2(i + 2), 0);
+}
+
+// Metrics of one ranked id list cut at k: recall@k, reciprocal rank of the
+// first relevant book (0 when none made the top k) and nDCG@k
+export function scoreRanking(resultIds, relevant, k) {
+  const top = resultIds.slice(0, k);
+  const found = top.filter(id => relevant.has(id));
+  const first = top.findIndex(id => relevant.has(id));
+  const ideal = dcg(Array.from(relevant.values()).sort((a, b) => b - a).slice(0, k));
+  return {
+    recall: found.length / relevant.size,
+    rr: first === -1 ? 0 : 1 / (first + 1),
+    ndcg: ideal > 0 ? dcg(top.map(id => relevant.get(id) || 0)) / ideal : 0
+  };
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+// `search(query, { limit, semantic })` is the search service's search
+export async function runEvaluation({ search, judgments, k = 5, mode = "hybrid" }) {
+  if (!EVAL_MODES.includes(mode)) throw new Error(`mode must be one of ${EVAL_MODES.join(", ")}`);
+  const queries = [];
+  for (const judgment of judgments) {
+    const books = await search(judgment.query, { limit: k, semantic: mode === "hybrid" });
+    const results = books.map(b => b._id);
+    queries.push({
+      id: judgment.id,
+      query: judgment.query,
+      relevant: Object.fromEntries(judgment.relevant),
+      results,
+      missed: Array.from(judgment.relevant.keys()).filter(id => !results.includes(id)),
+      ...scoreRanking(results, judgment.relevant, k)
+    });
+  }
+  return {
+    mode,
+    k,
+    metrics: {
+      recall: mean(queries.map(q => q.recall)),
+      mrr: mean(queries.map(q => q.rr)),
+      ndcg: mean(queries.map(q => q.ndcg))
+    },
+    queries
+  };
+}
+
+// Differences between two saved reports, per mode both contain. Queries are
+// matched by id; `improved` / `regressed` go by nDCG, then reciprocal rank.
+export function compareReports(base, candidate) {
+  const modes = [];
+  for (const run of candidate.runs ?? []) {
+    const before = (base.runs ?? []).find(r => r.mode === run.mode);
+    if (!before) continue;
+    if (before.k !== run.k) throw new Error(`The ${run.mode} runs use different k (${before.k} vs ${run.k})`);
+
+    const metrics = {};
+    for (const name of Object.keys(run.metrics)) {
+      metrics[name] = { base: before.metrics[name], candidate: run.metrics[name], delta: run.metrics[name] - before.metrics[name] };
+    }
+    const beforeById = new Map(before.queries.map(q => [q.id, q]));
+    const improved = [];
+    const regressed = [];
+    for (const q of run.queries) {
+      const prev = beforeById.get(q.id);
+      if (!prev) continue;
+      const change = { id: q.id, query: q.query, ndcg: q.ndcg - prev.ndcg, rr: q.rr - prev.rr };
+      const direction = Math.sign(change.ndcg) || Math.sign(change.rr);
+      if (direction > 0) improved.push(change);
+      else if (direction < 0) regressed.push(change);
+    }
+    modes.push({ mode: run.mode, k: run.k, queries: run.queries.filter(q => beforeById.has(q.id)).length, metrics, improved, regressed });
+  }
+  if (modes.length === 0) throw new Error("The reports have no mode in common");
+  return modes;
+}
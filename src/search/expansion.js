@@ -0,0 +1,276 @@
+import { SYNONYM_MAP } from "./synonyms.js";
+
+// ---------------- Query Expansion ----------------
+// Turns a query into search tokens: stop words dropped, misspelt words
+// corrected against the title and author vocabulary, then synonyms,
+// AUTO_SYNONYMS (title words that keep appearing together) and morphological
+// variants that exist in the title vocabulary are added. The vocabulary comes
+// from the catalogue through `loadTitles` and is replaced whenever titles
+// change; the synonyms come from the dictionary through `setSynonyms`.
+const STOP_WORDS = new Set([
+  "do","you","have","the","a","an","is","are",
+  "books","book","any","of","for","with","and",
+  "please","want","need","show","find","about",
+  "hi","hello","hey"
+]);
+
+// Title words too common to say anything about a co-occurring word
+const AUTO_SYNONYM_STOP_WORDS = new Set([
+  "and","for","the","with","using","guide","book","text","textbook","vol","volume",
+  "edition","principles","introduction","approach","basic","advanced","course",
+  "students","student","units","center","modern","engineering","engineers"
+]);
+const MAX_SYNS = 6;
+const MIN_COUNT = 2;
+
+// Words about the request rather than the book: never corrected, and not
+// topics in the query analytics
+export const REQUEST_WORDS = new Set([
+  "under","below","less","than","upto","pages","page","many","copies","copy","available",
+  "availability","total","titles","title","items","author","authors","written","wrote",
+  "reserve","place","there","which","where","what","those","these","more","like","similar",
+  "other","others","second","third","fourth","fifth","first","last","inventory","library","search"
+]);
+
+// Longer words tolerate more typos; short ones are too easily confused
+function maxTypos(word) {
+  if (word.length >= 8) return 2;
+  if (word.length >= 5) return 1;
+  return 0;
+}
+
+// Optimal string alignment distance (an adjacent swap counts as one edit);
+// stops early and returns max + 1 once the distance exceeds `max`
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prevPrev[j - 2] + 1);
+      }
+      row.push(d);
+      best = Math.min(best, d);
+    }
+    if (best > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Singular/plural and suffix variants of a query word
+function morphologicalVariants(t) {
+  const variants = [];
+  if (t.endsWith("ies") && t.length > 4) variants.push(t.slice(0, -3) + "y");
+  if (t.endsWith("es") && t.length > 4) variants.push(t.slice(0, -2));
+  if (t.endsWith("s") && t.length > 3) variants.push(t.slice(0, -1));
+  if (!t.endsWith("s")) variants.push(t + "s", t + "es");
+  if (t.endsWith("ics") && t.length > 4) variants.push(t.slice(0, -1));
+  if (t.endsWith("ic") && t.length > 3) variants.push(t + "s");
+  if (t.endsWith("ing") && t.length > 5) variants.push(t.slice(0, -3));
+  return variants;
+}
+
+// "operations-research" and "operations research" are the same phrase
+function phraseOf(text) {
+  return String(text || "").toLowerCase().split(/[\s-]+/).filter(Boolean).join(" ");
+}
+
+export function tokenizeTitle(title) {
+  return String(title || "")
+    .toLowerCase()
+    .split(/[^a-z0-9+#]+/)
+    .filter(t => t && t.length > 2);
+}
+
+// `synonyms` maps a word or phrase to the words or phrases it adds (see
+// compileSynonyms in ./dictionary.js). `correct: false` (QUERY_CORRECTION=false)
+// turns typo correction off.
+export function createQueryExpander({
+  synonyms = SYNONYM_MAP,
+  correct = (process.env.QUERY_CORRECTION || "true").toLowerCase() !== "false"
+} = {}) {
+  const TITLE_VOCAB = new Set();
+  const AUTO_SYNONYMS = {};
+  // Title and author words -> number of books using them, for corrections
+  const WORD_COUNTS = new Map();
+  // Word or phrase -> words it adds; phrases are matched against consecutive query words
+  let SYNONYMS = new Map();
+  let longestPhrase = 1;
+
+  // Replaces the synonyms; takes effect from the next query
+  function setSynonyms(map) {
+    const next = new Map();
+    for (const [key, values] of Object.entries(map || {})) {
+      const term = phraseOf(key);
+      if (!term || !Array.isArray(values)) continue;
+      const words = values.flatMap(v => String(v).toLowerCase().split(/\s+/)).filter(w => w && w !== term);
+      next.set(term, Array.from(new Set([...(next.get(term) || []), ...words])));
+    }
+    SYNONYMS = next;
+    longestPhrase = Math.max(1, ...Array.from(next.keys(), k => k.split(" ").length));
+  }
+  setSynonyms(synonyms);
+
+  function buildAutoSynonymsFromTitles(books) {
+    for (const key of Object.keys(AUTO_SYNONYMS)) delete AUTO_SYNONYMS[key];
+
+    const co = new Map(); // token -> Map(otherToken -> count)
+
+    for (const b of books) {
+      const tokens = tokenizeTitle(b?.title || "").filter(t => !AUTO_SYNONYM_STOP_WORDS.has(t));
+      const uniq = Array.from(new Set(tokens));
+      for (let i = 0; i < uniq.length; i++) {
+        const a = uniq[i];
+        if (!co.has(a)) co.set(a, new Map());
+        const mapA = co.get(a);
+        for (let j = 0; j < uniq.length; j++) {
+          if (i === j) continue;
+          const bTok = uniq[j];
+          mapA.set(bTok, (mapA.get(bTok) || 0) + 1);
+        }
+      }
+    }
+
+    for (const [token, counts] of co.entries()) {
+      const sorted = Array.from(counts.entries())
+        .filter(([, c]) => c >= MIN_COUNT)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_SYNS)
+        .map(([t]) => t);
+      if (sorted.length > 0) {
+        AUTO_SYNONYMS[token] = sorted;
+      }
+    }
+  }
+
+  // Replaces the title vocabulary, author words and auto synonyms with those of `books`
+  function loadTitles(books) {
+    TITLE_VOCAB.clear();
+    WORD_COUNTS.clear();
+    for (const b of books) {
+      const titleWords = tokenizeTitle(b?.title || "");
+      for (const t of titleWords) {
+        TITLE_VOCAB.add(t);
+      }
+      for (const t of new Set([...titleWords, ...tokenizeTitle(b?.author || "")])) {
+        if (/[a-z]/.test(t)) WORD_COUNTS.set(t, (WORD_COUNTS.get(t) || 0) + 1);
+      }
+    }
+    buildAutoSynonymsFromTitles(books);
+  }
+
+  // A word the catalogue knows in some form is left alone
+  function isKnown(t) {
+    return WORD_COUNTS.has(t)
+      || SYNONYMS.has(t)
+      || Boolean(AUTO_SYNONYMS[t])
+      || morphologicalVariants(t).some(v => TITLE_VOCAB.has(v));
+  }
+
+  // Closest title/author word within the typo allowance of `t`; ties go to
+  // the word more books use
+  function correction(t) {
+    const max = maxTypos(t);
+    if (!correct || max === 0 || !/^[a-z]+$/.test(t) || REQUEST_WORDS.has(t) || isKnown(t)) return null;
+    let best = null;
+    for (const [word, count] of WORD_COUNTS) {
+      const distance = editDistance(t, word, max);
+      if (distance > max) continue;
+      if (!best || distance < best.distance || (distance === best.distance && count > best.count)) {
+        best = { to: word, distance, count };
+      }
+    }
+    return best && { from: t, to: best.to, distance: best.distance };
+  }
+
+  // Query expansion with provenance: every token lists where it came from, the
+  // query itself, a `correction` of a misspelt query word, `synonyms` of a
+  // query word or phrase, AUTO_SYNONYMS (title vocabulary) or a morphological
+  // variant of a query word found in the title vocabulary. Words under three
+  // letters only count when they are a synonym term ("ds"), and then only add
+  // their synonyms. `corrected` is the query text with the corrections applied
+  // (null without any), for the embedding and "did you mean".
+  // -> { raw, ignored, corrections, corrected, expanded: [{ token, sources: [{ source, from? }] }] }
+  function explainTokens(text) {
+    const words = String(text || "")
+      .toLowerCase()
+      .split(/\W+/)
+      .filter(Boolean);
+    const isToken = w => w.length > 2 && !STOP_WORDS.has(w);
+    const isShortTerm = w => !isToken(w) && !STOP_WORDS.has(w) && SYNONYMS.has(w);
+    const queryTokens = words.filter(isToken);
+    const ignored = words.filter(w => !isToken(w) && !isShortTerm(w));
+
+    const corrections = [];
+    for (const t of new Set(queryTokens)) {
+      const fix = correction(t);
+      if (fix) corrections.push(fix);
+    }
+    const fixes = new Map(corrections.map(c => [c.from, c.to]));
+    // Expansion continues from the corrected words
+    const rawTokens = queryTokens.map(t => fixes.get(t) || t);
+
+    const sources = new Map();
+    function add(token, source, from = null) {
+      if (!sources.has(token)) sources.set(token, []);
+      sources.get(token).push(from ? { source, from } : { source });
+    }
+
+    // Synonym terms in the (corrected) query: single words, then phrases
+    const correctedWords = words.map(w => fixes.get(w) || w);
+    const terms = new Set([...rawTokens, ...words.filter(isShortTerm)].filter(t => SYNONYMS.has(t)));
+    for (let n = 2; n <= longestPhrase; n++) {
+      for (let i = 0; i + n <= correctedWords.length; i++) {
+        const phrase = correctedWords.slice(i, i + n).join(" ");
+        if (SYNONYMS.has(phrase)) terms.add(phrase);
+      }
+    }
+
+    queryTokens.forEach(t => (fixes.has(t) ? add(fixes.get(t), "correction", t) : add(t, "query")));
+    terms.forEach(term => SYNONYMS.get(term).forEach(x => add(x, "synonyms", term)));
+    rawTokens.forEach(t => {
+      const auto = AUTO_SYNONYMS[t];
+      if (auto && Array.isArray(auto)) {
+        auto.forEach(x => add(x, "AUTO_SYNONYMS", t));
+      }
+    });
+
+    // Morphological variants based on title vocabulary
+    function addIfInVocab(word, from) {
+      if (word && TITLE_VOCAB.has(word)) {
+        add(word, "morphology", from);
+      }
+    }
+
+    rawTokens.forEach(t => morphologicalVariants(t).forEach(v => addIfInVocab(v, t)));
+
+    const corrected = corrections.length === 0
+      ? null
+      : String(text).replace(/\w+/g, w => fixes.get(w.toLowerCase()) ?? w);
+
+    return {
+      raw: words.filter(w => isToken(w) || isShortTerm(w)),
+      ignored,
+      corrections,
+      corrected,
+      expanded: Array.from(sources, ([token, from]) => ({ token, sources: from }))
+    };
+  }
+
+  return {
+    loadTitles,
+    setSynonyms,
+    explainTokens,
+    expandTokens: text => explainTokens(text).expanded.map(t => t.token),
+    // "Did you mean" text for a query with misspelt words, or null
+    suggest: text => explainTokens(text).corrected,
+    vocabularySize: () => TITLE_VOCAB.size
+  };
+}
@@ -0,0 +1,172 @@
+import express from "express";
+import { copiesOnShelf, isRemoved } from "../circulation.js";
+import { requireRole } from "../auth.js";
+import { detectIntent } from "./ranking.js";
+
+// ---------------- Hybrid Search ----------------
+// Query expansion (./expansion.js), the full-text and vector channels and the
+// rank fusion (./ranking.js) behind /ask-ai, GET /books and the evaluation
+// harness. `embedder` is the resilient provider from src/llm: the semantic
+// channel is skipped while its embeddings circuit is open.
+export function createSearchService({ storage, booksDb, expander, ranker, vectorIndex, embedder, semantic = true }) {
+  // `maxPages` narrows the semantic candidates before they are ranked; `limit`
+  // is 5 for the assistant and larger for the catalog API. `trace` (an object)
+  // is filled with every stage for /search/explain; `semantic: false` runs the
+  // full-text channel alone.
+  async function search(userQuery, { maxPages = null, limit = 5, trace = null, semantic: useSemantic = semantic } = {}) {
+    const summary = doc => ({ id: doc._id, title: doc.title ?? null, author: doc.author ?? null });
+    const dropped = (channel, filter, doc, reason) => {
+      if (trace) trace.filtered.push({ ...summary(doc), channel, filter, reason });
+    };
+
+    try {
+      const expansion = expander.explainTokens(userQuery);
+      const tokens = expansion.expanded.map(t => t.token);
+      // Misspelt words are corrected for the embedding as well as the full-text query
+      const queryText = expansion.corrected ?? userQuery;
+      const intent = detectIntent(tokens, queryText);
+      const luceneQuery = ranker.luceneQuery(tokens);
+      if (trace) {
+        Object.assign(trace, {
+          tokens: expansion,
+          intent: intent?.name ?? null,
+          lucene: luceneQuery,
+          ranking: ranker.config,
+          channels: {},
+          fused: [],
+          filtered: []
+        });
+      }
+
+      if (tokens.length === 0) {
+        return [];
+      }
+
+      // Both channels return a deeper candidate list than `limit` for the fusion to rank
+      const candidates = Math.max(20, limit);
+
+      // 2️⃣ Hybrid search: semantic + keyword
+      // Skipped while the embeddings circuit is open; keyword search still answers
+      let semanticDocs = [];
+      let semanticStatus = !useSemantic ? "disabled" : embedder.circuits.embed.isOpen() ? "circuit_open" : "ok";
+      let semanticError = null;
+      if (semanticStatus === "ok") {
+        try {
+          const queryEmb = (await embedder.embed([queryText]))[0];
+          if (queryEmb && Array.isArray(queryEmb)) {
+            const hits = vectorIndex.query(queryEmb, { k: candidates, maxPages });
+            // Re-read the hits so copies and availability are current
+            const fresh = hits.length > 0
+              ? await storage.find(booksDb, { _id: { $in: hits.map(h => h.id) } }, { limit: hits.length })
+              : [];
+            const freshById = new Map(fresh.map(d => [d._id, d]));
+            for (const h of hits) {
+              const doc = freshById.get(h.id);
+              if (!doc) dropped("semantic", "missing", { _id: h.id, title: h.doc?.title }, "Indexed vector but the book is gone");
+              else if (isRemoved(doc)) dropped("semantic", "removed", doc, "Book is tombstoned");
+              else semanticDocs.push({ doc, score: h.score });
+            }
+
+            // The page limit is applied inside the index; ask again without it to show what it kept out
+            if (trace && maxPages) {
+              const kept = new Set(hits.map(h => h.id));
+              for (const h of vectorIndex.query(queryEmb, { k: candidates })) {
+                if (!kept.has(h.id)) dropped("semantic", "max_pages", { _id: h.id, ...h.doc }, `Not known to have at most ${maxPages} pages`);
+              }
+            }
+          }
+        } catch (e) {
+          semanticStatus = "failed";
+          semanticError = e.message;
+          console.warn("⚠️ Semantic search failed, falling back to keyword search:", e.message);
+        }
+      }
+
+      // 3️⃣ Full-text search (Cloudant book_search index or local equivalent)
+      const rows = await storage.search(booksDb, luceneQuery, { limit: candidates });
+
+      const keywordDocs = [];
+      const backendScores = new Map();
+      for (const row of rows) {
+        if (row.id) {
+          const doc = row.doc || await storage.getDoc(booksDb, row.id);
+          if (isRemoved(doc)) {
+            dropped("lexical", "removed", doc, "Book is tombstoned");
+            continue;
+          }
+          backendScores.set(doc._id, row.score ?? null);
+          keywordDocs.push({ doc, score: ranker.lexicalScore(doc, tokens) });
+        }
+      }
+
+      // 4️⃣ Fuse both lists; coding/DSA queries boost matching books
+      const fused = ranker.fuse({ lexical: keywordDocs, semantic: semanticDocs, intent });
+
+      if (trace) {
+        trace.channels = {
+          lexical: {
+            status: "ok",
+            hits: keywordDocs.map(h => ({ ...summary(h.doc), score: h.score, backendScore: backendScores.get(h.doc._id) }))
+          },
+          semantic: {
+            status: semanticStatus,
+            ...(semanticError ? { error: semanticError } : {}),
+            index: useSemantic ? vectorIndex.stats() : null,
+            hits: semanticDocs.map(h => ({ ...summary(h.doc), score: h.score }))
+          }
+        };
+        trace.fused = fused.map((x, i) => ({
+          rank: i + 1,
+          ...summary(x.doc),
+          score: x.score,
+          fused: x.fused,
+          boosted: x.boosted,
+          onShelf: copiesOnShelf(x.doc),
+          channels: x.channels
+        }));
+        fused.slice(limit).forEach((x, i) => dropped("fused", "limit", x.doc, `Ranked ${limit + i + 1}, below the limit of ${limit}`));
+      }
+
+      // `score` travels with each result so /ask-ai can report relevance
+      return fused.slice(0, limit).map(x => ({ ...x.doc, score: x.score }));
+    } catch (e) {
+      console.error("❌ Search Error:", e.response?.data || e.message);
+      if (trace) trace.error = e.message;
+      // Callers answer 5xx (and log the failure) instead of reporting no books
+      throw e;
+    }
+  }
+
+  return { search };
+}
+
+// ---------------- Search Explain Route ----------------
+// Every stage of a search for staff checking why a book was or wasn't found
+export function createSearchRouter({ search }) {
+  const router = express.Router();
+
+  router.get("/search/explain", requireRole("librarian"), async (req, res) => {
+    const q = String(req.query.q || "").trim();
+    if (!q) return res.status(400).json({ ok: false, error: "q is required" });
+    const limit = Math.min(Math.max(Number(req.query.limit) || 5, 1), 100);
+    const maxPages = Number(req.query.max_pages) > 0 ? Number(req.query.max_pages) : null;
+
+    const trace = {};
+    let books;
+    try {
+      books = await search(q, { maxPages, limit, trace });
+    } catch (err) {
+      return res.status(500).json({ ok: false, ...trace, error: err.message });
+    }
+    res.json({
+      ok: true,
+      query: q,
+      limit,
+      maxPages,
+      ...trace,
+      results: books.map(b => ({ id: b._id, title: b.title ?? null, author: b.author ?? null, score: b.score }))
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,170 @@
+import { copiesOnShelf } from "../circulation.js";
+
+// ---------------- Hybrid Ranking ----------------
+// Fuses the lexical (full-text) and semantic (vector) candidate lists. The two
+// channels score on unrelated scales, so they are combined by rank with
+// reciprocal rank fusion (`rrf`, the default) or after min-max normalising each
+// list (`weighted`). A coding or DSA query boosts the books that match it
+// instead of filtering the others out, and books with equal scores are ordered
+// by whether a copy is on the shelf.
+export const FUSION_METHODS = ["rrf", "weighted"];
+
+const CODING_KEYWORDS = [
+  "coding", "programming", "program", "software", "computer", "cs", "dsa", "algorithm", "algorithms",
+  "structures", "datastructures", "data-structures", "data structure", "data structures",
+  "compiler", "java", "python", "javascript", "typescript", "c++", "cpp", "c#", "csharp"
+];
+// Stricter DSA intent: algorithm/data-structure indicators, not generic "data"
+const DSA_INDICATORS = [
+  "dsa", "algorithm", "algorithms", "data structure", "data structures", "data-structure", "data-structures", "datastructures"
+];
+
+// Checked in order; a query gets the first intent it matches
+export const INTENTS = [
+  {
+    name: "dsa",
+    query: (tokens, text) => tokens.some(t => DSA_INDICATORS.includes(t)) || /data\s+structure|algorithms?/i.test(text),
+    book: b => DSA_INDICATORS.some(k => String(b?.title || "").toLowerCase().includes(k))
+  },
+  {
+    name: "coding",
+    query: tokens => tokens.some(t => CODING_KEYWORDS.includes(t)),
+    book: b => {
+      const text = `${b?.title || ""} ${b?.author || ""}`.toLowerCase();
+      return CODING_KEYWORDS.some(k => text.includes(k));
+    }
+  }
+];
+
+// Query words that describe a page limit rather than the book
+const IGNORED_TOKENS = new Set(["under", "below", "less", "than", "upto", "up", "to", "pages", "page"]);
+
+// Scores closer than this count as a tie
+const TIE_EPSILON = 1e-9;
+
+function words(value) {
+  return String(value || "").toLowerCase().split(/[^a-z0-9+#]+/).filter(Boolean);
+}
+
+// 1 for a whole word (or phrase), 0.5 for a prefix like the Lucene wildcard
+function fieldMatch(text, fieldWords, token) {
+  if (token.includes(" ")) return text.includes(token) ? 1 : 0;
+  if (fieldWords.includes(token)) return 1;
+  if (token.length >= 4 && fieldWords.some(w => w.startsWith(token))) return 0.5;
+  return 0;
+}
+
+export function detectIntent(tokens, text) {
+  return INTENTS.find(intent => intent.query(tokens, text)) || null;
+}
+
+export function contentTokens(tokens) {
+  return tokens.filter(t => /[a-z]/i.test(t) && !IGNORED_TOKENS.has(t));
+}
+
+// Best first; the input order settles equal scores
+function ranked(list) {
+  return list
+    .filter(item => item?.doc?._id)
+    .map((item, i) => ({ ...item, i }))
+    .sort((a, b) => (b.score - a.score) || (a.i - b.i));
+}
+
+// Maps a channel's scores onto 0..1; a list of equal scores all count as 1
+function minMax(list) {
+  const scores = list.map(item => item.score);
+  const min = Math.min(...scores);
+  const spread = Math.max(...scores) - min;
+  return score => (spread > 0 ? (score - min) / spread : 1);
+}
+
+export function createRanker({
+  fusion = process.env.RANK_FUSION || "rrf",
+  rrfK = Number(process.env.RANK_RRF_K || 60),
+  weights = {
+    lexical: Number(process.env.RANK_LEXICAL_WEIGHT || 1),
+    semantic: Number(process.env.RANK_SEMANTIC_WEIGHT || 1)
+  },
+  fieldBoosts = {
+    title: Number(process.env.RANK_TITLE_BOOST || 2),
+    author: Number(process.env.RANK_AUTHOR_BOOST || 1)
+  },
+  intentBoost = Number(process.env.RANK_INTENT_BOOST || 0.3)
+} = {}) {
+  if (!FUSION_METHODS.includes(fusion)) {
+    throw new Error(`RANK_FUSION must be one of ${FUSION_METHODS.join(", ")}`);
+  }
+  for (const [name, value] of Object.entries({ rrfK, ...weights, ...fieldBoosts, intentBoost })) {
+    if (!Number.isFinite(value) || value < 0) throw new Error(`Ranking setting ${name} must be a number >= 0`);
+  }
+
+  // OR of title/author clauses with the field boosts, plus a title wildcard
+  // for partial matches (e.g. "math" -> "mathematics")
+  function luceneQuery(tokens) {
+    const boost = field => (fieldBoosts[field] === 1 ? "" : `^${fieldBoosts[field]}`);
+    const terms = [];
+    for (const t of tokens) {
+      const clean = t.replace(/[^a-z0-9]/gi, "").trim();
+      if (!clean) continue;
+      terms.push(`title:${clean}${boost("title")}`, `author:${clean}${boost("author")}`);
+      if (clean.length >= 4) terms.push(`title:${clean}*${boost("title")}`);
+    }
+    return terms.join(" OR ");
+  }
+
+  // Keyword score of a full-text hit: matched query tokens, title weighed over author
+  function lexicalScore(doc, tokens) {
+    const title = String(doc?.title || "").toLowerCase();
+    const author = String(doc?.author || "").toLowerCase();
+    const titleWords = words(title);
+    const authorWords = words(author);
+    let score = 0;
+    for (const t of contentTokens(tokens)) {
+      score += fieldBoosts.title * fieldMatch(title, titleWords, t) + fieldBoosts.author * fieldMatch(author, authorWords, t);
+    }
+    return score;
+  }
+
+  // `lexical` and `semantic` are [{ doc, score }]; `intent` comes from detectIntent.
+  // -> [{ doc, score, fused, boosted, channels: { lexical?, semantic? } }], best first.
+  // `score` is the fused score over the best one possible for this query, so 1
+  // means first in every channel that returned anything (and a boosted book)
+  function fuse({ lexical = [], semantic = [], intent = null }) {
+    const channels = { lexical: ranked(lexical), semantic: ranked(semantic) };
+    const byId = new Map();
+    let best = 0;
+
+    for (const [name, list] of Object.entries(channels)) {
+      if (list.length === 0) continue;
+      const weight = weights[name];
+      const normalise = minMax(list);
+      best += fusion === "rrf" ? weight / (rrfK + 1) : weight;
+      list.forEach((item, i) => {
+        const id = item.doc._id;
+        const entry = byId.get(id) || { doc: item.doc, fused: 0, channels: {} };
+        entry.channels[name] = { rank: i + 1, score: item.score };
+        entry.fused += fusion === "rrf" ? weight / (rrfK + i + 1) : weight * normalise(item.score);
+        byId.set(id, entry);
+      });
+    }
+
+    const maxBoost = intent ? 1 + intentBoost : 1;
+    return Array.from(byId.values())
+      .map(entry => {
+        const boosted = Boolean(intent?.book(entry.doc));
+        const score = best > 0 ? (entry.fused * (boosted ? maxBoost : 1)) / (best * maxBoost) : 0;
+        return { ...entry, score, boosted };
+      })
+      .sort((a, b) => {
+        if (Math.abs(b.score - a.score) > TIE_EPSILON) return b.score - a.score;
+        return Number(copiesOnShelf(b.doc) > 0) - Number(copiesOnShelf(a.doc) > 0);
+      });
+  }
+
+  return {
+    config: { fusion, rrfK, weights, fieldBoosts, intentBoost },
+    luceneQuery,
+    lexicalScore,
+    fuse
+  };
+}
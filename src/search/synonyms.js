@@ -0,0 +1,198 @@
+// ---------------- Default Synonyms ----------------
+// Domain synonyms added to a query word before both search channels run. The
+// synonym dictionary (./dictionary.js) is seeded with these as one-way
+// entries; after that staff edit it through /synonyms.
+export const SYNONYM_MAP = {
+  // Math
+  maths: ["math", "mathematics"],
+  algebra: ["math", "mathematics", "linear", "equations"],
+  geometry: ["math", "mathematics", "shapes", "proofs"],
+  calculus: ["math", "mathematics", "differential", "integral"],
+  trigonometry: ["math", "mathematics", "angles", "triangles"],
+  statistics: ["math", "mathematics", "probability", "data", "analytics"],
+  probability: ["math", "mathematics", "statistics", "stochastic"],
+  linear: ["algebra", "math", "mathematics"],
+  discrete: ["math", "mathematics", "structures", "logic"],
+  vector: ["algebra", "math", "mathematics"],
+  differential: ["calculus", "math", "mathematics"],
+  integral: ["calculus", "math", "mathematics"],
+  numerical: ["methods", "math", "mathematics"],
+  numericalmethods: ["methods", "math", "mathematics"],
+  matrices: ["linear", "algebra", "math"],
+  optimization: ["math", "mathematics", "operations", "research"],
+  "operations-research": ["optimization", "math", "mathematics"],
+  ops: ["operations", "research", "optimization"],
+
+  // Programming / CS
+  "c++": ["cpp", "programming", "coding", "software", "computer", "cs"],
+  cpp: ["c++", "programming", "coding", "software", "computer", "cs"],
+  "c#": ["csharp", "programming", "coding", "software", "computer", "cs"],
+  csharp: ["c#", "programming", "coding", "software", "computer", "cs"],
+  c: ["programming", "coding", "software", "computer", "cs"],
+  java: ["programming", "coding", "software", "computer", "cs"],
+  python: ["programming", "coding", "software", "computer", "cs"],
+  javascript: ["programming", "coding", "software", "computer", "cs", "web"],
+  typescript: ["programming", "coding", "software", "computer", "cs", "web"],
+  php: ["programming", "coding", "software", "web"],
+  ruby: ["programming", "coding", "software", "web"],
+  go: ["golang", "programming", "coding", "software"],
+  golang: ["go", "programming", "coding", "software"],
+  swift: ["programming", "coding", "software"],
+  kotlin: ["programming", "coding", "software"],
+  scala: ["programming", "coding", "software"],
+  rust: ["programming", "coding", "software"],
+  perl: ["programming", "coding", "software"],
+  bash: ["shell", "scripting", "linux"],
+  shell: ["scripting", "linux", "unix"],
+  scripting: ["programming", "coding", "automation"],
+  programming: ["coding", "software", "computer", "cs"],
+  coding: ["programming", "software", "computer", "cs"],
+  software: ["programming", "coding", "computer", "cs"],
+  computer: ["programming", "coding", "software", "cs"],
+  cs: ["computer", "science", "programming", "coding", "software"],
+
+  // Data Structures & Algorithms
+  dsa: ["data", "structures", "algorithms", "coding", "programming", "cs"],
+  algorithm: ["algorithms", "coding", "programming", "cs"],
+  algorithms: ["algorithm", "coding", "programming", "cs"],
+  datastructure: ["data", "structures", "coding", "programming", "cs"],
+  "data-structure": ["data", "structures", "coding", "programming", "cs"],
+  "data-structures": ["data", "structures", "coding", "programming", "cs"],
+  structures: ["data", "structures", "dsa", "cs"],
+  complexity: ["algorithms", "analysis", "cs"],
+  graph: ["graphs", "algorithms", "ds"],
+  graphs: ["graph", "algorithms", "ds"],
+
+  // Databases / Data
+  dbms: ["database", "databases", "db", "sql", "rdbms"],
+  rdbms: ["dbms", "database", "databases", "sql"],
+  database: ["db", "data", "sql", "storage"],
+  databases: ["database", "db", "data", "sql", "storage"],
+  db: ["database", "data", "sql", "storage"],
+  sql: ["database", "db", "data", "query"],
+  nosql: ["database", "db", "data", "storage"],
+  data: ["analytics", "database", "statistics"],
+  analytics: ["data", "statistics", "business"],
+  datawarehouse: ["warehouse", "database", "etl", "analytics"],
+  warehouse: ["data", "etl", "analytics"],
+  etl: ["data", "pipeline", "warehouse"],
+  mongodb: ["nosql", "database"],
+  mysql: ["sql", "database"],
+  postgresql: ["sql", "database"],
+  oracle: ["sql", "database"],
+
+  // Web / Networking / Security
+  web: ["internet", "network", "http", "www"],
+  networking: ["network", "communications", "protocols"],
+  network: ["networking", "communications", "protocols"],
+  networks: ["network", "networking", "communications"],
+  protocol: ["protocols", "networking"],
+  protocols: ["protocol", "networking"],
+  tcp: ["ip", "networking", "protocols"],
+  udp: ["ip", "networking", "protocols"],
+  http: ["web", "internet"],
+  https: ["web", "security"],
+  security: ["cyber", "cryptography", "network", "systems"],
+  cyber: ["security", "cryptography", "network", "systems"],
+  cryptography: ["security", "cyber", "encryption"],
+  encryption: ["cryptography", "security"],
+  firewall: ["security", "network"],
+  malware: ["security", "cyber"],
+  forensics: ["security", "cyber"],
+  hacking: ["security", "cyber"],
+
+  // Operating Systems / Systems
+  os: ["operating", "systems", "kernel", "computer"],
+  operating: ["os", "systems", "kernel"],
+  systems: ["system", "computer", "os"],
+  system: ["systems", "computer", "os"],
+  linux: ["operating", "systems", "unix"],
+  unix: ["operating", "systems", "linux"],
+  kernel: ["os", "systems"],
+  windows: ["os", "systems"],
+
+  // Electronics / Electrical / Communication
+  electronics: ["electronic", "circuits", "electrical"],
+  electronic: ["electronics", "circuits", "electrical"],
+  circuits: ["electronics", "electrical"],
+  electrical: ["electronics", "circuits", "power"],
+  power: ["electrical", "energy", "machines"],
+  communication: ["communications", "signal", "network"],
+  communications: ["communication", "signal", "network"],
+  signal: ["signals", "communication", "communications"],
+  signals: ["signal", "communication", "communications"],
+  analog: ["electronics", "circuits"],
+  digital: ["electronics", "circuits"],
+  microprocessor: ["processor", "electronics", "computer"],
+  microcontroller: ["embedded", "electronics"],
+  embedded: ["microcontroller", "electronics", "systems"],
+
+  // Mechanical / Civil / Materials
+  mechanics: ["mechanical", "physics", "machines"],
+  mechanical: ["mechanics", "machines", "engineering"],
+  thermodynamics: ["thermal", "heat", "energy", "mechanics"],
+  fluid: ["fluids", "mechanics", "hydraulics"],
+  fluids: ["fluid", "mechanics", "hydraulics"],
+  materials: ["material", "metallurgy", "engineering"],
+  material: ["materials", "metallurgy", "engineering"],
+  metallurgy: ["materials", "material", "engineering"],
+  strength: ["materials", "mechanics"],
+  kinematics: ["mechanics", "physics"],
+  dynamics: ["mechanics", "physics"],
+  hydraulics: ["fluid", "mechanics"],
+  manufacturing: ["production", "engineering"],
+  production: ["manufacturing", "engineering"],
+
+  // Business / Management
+  management: ["business", "strategy", "operations"],
+  business: ["management", "finance", "economics"],
+  finance: ["business", "accounting", "economics"],
+  accounting: ["finance", "business", "economics"],
+  economics: ["business", "finance", "management"],
+  marketing: ["business", "management"],
+  hr: ["management", "business"],
+  operations: ["management", "business"],
+
+  // AI / ML / Data Science
+  ai: ["artificial", "intelligence", "machine", "learning", "ml"],
+  artificial: ["ai", "intelligence"],
+  intelligence: ["ai", "artificial"],
+  ml: ["machine", "learning", "ai"],
+  machine: ["learning", "ai"],
+  learning: ["machine", "ai", "ml"],
+  "data-science": ["data", "analytics", "statistics", "ml"],
+  deeplearning: ["deep", "learning", "ai", "ml"],
+  deep: ["learning", "ai", "ml"],
+  neural: ["networks", "ai", "ml"],
+  nlp: ["language", "ai", "ml"],
+  vision: ["computer vision", "ai"],
+  cv: ["computer vision", "ai"],
+
+  // Physics / Chemistry / Biology
+  physics: ["mechanics", "quantum", "thermodynamics"],
+  quantum: ["physics"],
+  optics: ["physics", "light"],
+  chemistry: ["chemical", "chem"],
+  chemical: ["chemistry"],
+  biology: ["bio", "biological"],
+  bio: ["biology"],
+
+  // Civil / Architecture
+  civil: ["construction", "structural", "engineering"],
+  structural: ["civil", "construction"],
+  architecture: ["design", "building"],
+
+  // Cloud / DevOps
+  cloud: ["computing", "aws", "azure", "gcp"],
+  aws: ["cloud", "computing"],
+  azure: ["cloud", "computing"],
+  gcp: ["cloud", "computing"],
+  devops: ["automation", "ci", "cd"],
+  docker: ["containers", "devops"],
+  kubernetes: ["containers", "devops"],
+
+  // Software Engineering
+  se: ["software", "engineering"],
+  testing: ["software", "qa"],
+  qa: ["testing", "software"]
+};
@@ -0,0 +1,59 @@
+// ---------------- Server-Sent Events ----------------
+// Minimal SSE writer: `event: <name>` + JSON `data:` frames, with a comment
+// heartbeat so proxies don't drop a stream that is waiting on the model.
+const HEARTBEAT_MS = 15000;
+
+export function wantsEventStream(req) {
+  return /\btext\/event-stream\b/.test(req.get("accept") || "");
+}
+
+export function openEventStream(res) {
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+
+  // `signal` aborts when the client goes away before the stream ends, so the
+  // work behind it (a model generation) can be cancelled
+  let closed = false;
+  const aborter = new AbortController();
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  res.on("close", () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (!res.writableFinished) aborter.abort();
+  });
+
+  return {
+    get closed() {
+      return closed;
+    },
+    signal: aborter.signal,
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      clearInterval(heartbeat);
+      if (!closed) res.end();
+    }
+  };
+}
+
+// Reads an upstream SSE response body (Node stream) and yields each `data:` payload.
+export async function* readEventStreamData(stream) {
+  let buffer = "";
+  for await (const chunk of stream) {
+    buffer += chunk.toString("utf8");
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.startsWith("data:")) yield line.slice(5).trim();
+    }
+  }
+  if (buffer.startsWith("data:")) yield buffer.slice(5).trim();
+}
@@ -0,0 +1,81 @@
+// ---------------- Cloudant Storage Adapter ----------------
+// Thin mapping from the storage interface onto the Cloudant SDK. SDK errors
+// already carry the HTTP status, so isNotFound/isConflict work unchanged.
+
+export async function createCloudantStorage({ url, apiKey, searchDdoc = "book_search", searchIndex = "books" }) {
+  if (!url || !apiKey) {
+    throw new Error("Missing Cloudant credentials (CLOUDANT_URL / CLOUDANT_API_KEY)");
+  }
+  // Loaded lazily so the local backend runs without the IBM SDKs installed
+  const { CloudantV1 } = await import("@ibm-cloud/cloudant");
+  const { IamAuthenticator } = await import("ibm-cloud-sdk-core");
+
+  const cloudant = CloudantV1.newInstance({
+    authenticator: new IamAuthenticator({ apikey: apiKey }),
+    serviceUrl: url,
+  });
+
+  return {
+    name: "cloudant",
+
+    async allDocs(db, { includeDocs = false, limit, skip, startKey } = {}) {
+      const resp = await cloudant.postAllDocs({ db, includeDocs, limit, skip, startKey });
+      return resp.result.rows.map(r => ({ id: r.id, rev: r.value?.rev, doc: r.doc }));
+    },
+
+    async getDoc(db, id) {
+      return (await cloudant.getDocument({ db, docId: id })).result;
+    },
+
+    async putDoc(db, doc) {
+      const resp = doc._id
+        ? await cloudant.putDocument({ db, docId: doc._id, document: doc })
+        : await cloudant.postDocument({ db, document: doc });
+      return { id: resp.result.id, rev: resp.result.rev };
+    },
+
+    async deleteDoc(db, id, rev) {
+      const resp = await cloudant.deleteDocument({ db, docId: id, rev });
+      return { id: resp.result.id, rev: resp.result.rev };
+    },
+
+    async bulkDocs(db, docs) {
+      const resp = await cloudant.postBulkDocs({ db, bulkDocs: { docs } });
+      return resp.result;
+    },
+
+    async find(db, selector, { limit = 10000, sort } = {}) {
+      const resp = await cloudant.postFind({ db, selector, limit, sort });
+      return resp.result.docs || [];
+    },
+
+    // Full-text query against the `book_search` design document
+    async search(db, query, { limit = 25 } = {}) {
+      const resp = await cloudant.postSearch({
+        db,
+        ddoc: searchDdoc,
+        index: searchIndex,
+        query,
+        limit,
+        includeDocs: true
+      });
+      return resp.result.rows.map(r => ({ id: r.id, score: r.order?.[0] ?? null, doc: r.doc }));
+    },
+
+    async info(db) {
+      const resp = await cloudant.getDatabaseInformation({ db });
+      return { docCount: resp.result?.doc_count ?? 0 };
+    },
+
+    // Creates the database unless it exists (Cloudant answers 412 for that)
+    async ensureDb(db) {
+      try {
+        await cloudant.putDatabase({ db });
+        return { created: true };
+      } catch (err) {
+        if (err.status === 412) return { created: false };
+        throw err;
+      }
+    }
+  };
+}
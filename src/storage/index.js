@@ -0,0 +1,61 @@
+import { createCloudantStorage } from "./cloudant.js";
+import { createLocalStorage } from "./local.js";
+
+// ---------------- Storage Backend Selection ----------------
+// Every route talks to this interface instead of the Cloudant SDK:
+//   allDocs(db, { includeDocs, limit, skip, startKey }) -> [{ id, rev, doc }]
+//   getDoc(db, id)                    -> doc (throws status 404)
+//   putDoc(db, doc)                   -> { id, rev } (throws status 409 on _rev conflict)
+//   deleteDoc(db, id, rev)            -> { id, rev }
+//   bulkDocs(db, docs)                -> [{ ok, id, rev } | { id, error }]
+//   find(db, selector, { limit })     -> docs (Mango selector subset)
+//   search(db, luceneQuery, { limit }) -> [{ id, score, doc }] via the book_search index
+//   info(db)                          -> { docCount }
+//   ensureDb(db)                      -> { created } (creates the database if missing)
+//
+// STORAGE_BACKEND=cloudant (default) | local (JSON files in LOCAL_DATA_DIR) | memory
+export async function createStorage({ seed = {} } = {}) {
+  const backend = (process.env.STORAGE_BACKEND || "cloudant").toLowerCase();
+
+  if (backend === "cloudant") {
+    return createCloudantStorage({
+      url: process.env.CLOUDANT_URL,
+      apiKey: process.env.CLOUDANT_API_KEY,
+    });
+  }
+  if (backend === "local") {
+    return createLocalStorage({ dir: process.env.LOCAL_DATA_DIR || "data", seed });
+  }
+  if (backend === "memory") {
+    return createLocalStorage({ seed });
+  }
+  throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected cloudant, local or memory)`);
+}
+
+// Yields every document of a database page by page (keyed on _id), so callers
+// are not bound by a single request's row limit and need not hold them all.
+// `after` resumes behind a given _id.
+export async function* iterateDocs(storage, db, { pageSize = 1000, after } = {}) {
+  let startKey = after;
+  // `after` may have been deleted since, so it is filtered out rather than skipped
+  let skip = 0;
+  for (;;) {
+    const rows = await storage.allDocs(db, {
+      includeDocs: true,
+      limit: pageSize,
+      ...(startKey === undefined ? {} : { startKey, skip })
+    });
+    for (const row of rows) {
+      if (row.doc && row.id !== after && !row.id.startsWith("_design/")) yield row.doc;
+    }
+    if (rows.length < pageSize) return;
+    startKey = rows[rows.length - 1].id;
+    skip = 1;
+  }
+}
+
+export async function loadAllDocs(storage, db, options) {
+  const docs = [];
+  for await (const doc of iterateDocs(storage, db, options)) docs.push(doc);
+  return docs;
+}
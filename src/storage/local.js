@@ -0,0 +1,261 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { httpError } from "../http.js";
+
+// ---------------- Local Storage Adapter (JSON files / in-memory) ----------------
+// Keeps every database as a Map of docs. With a `dir`, each database is
+// persisted to a `<dir>/<db>.json` snapshot plus a `<dir>/<db>.log.jsonl`
+// journal: a flush appends the docs changed since the last one, and the
+// snapshot is only rewritten once the journal outgrows the database, so busy
+// insert-only databases (the query log) do not rewrite every entry each time.
+// Without a `dir` everything lives only in memory.
+// Seed files (e.g. books.json) fill a database the first time it is empty.
+const FLUSH_DELAY_MS = 200;
+const COMPACT_MIN_ENTRIES = 1000;
+
+function newRev(prev) {
+  const n = prev ? Number(String(prev).split("-")[0]) + 1 : 1;
+  return `${n}-${crypto.randomBytes(8).toString("hex")}`;
+}
+
+function clone(doc) {
+  return doc === undefined ? undefined : structuredClone(doc);
+}
+
+// ---------------- Mango-style selectors (subset) ----------------
+function matchesCondition(value, cond) {
+  if (cond === null || typeof cond !== "object" || Array.isArray(cond)) {
+    return value === cond;
+  }
+  return Object.entries(cond).every(([op, arg]) => {
+    switch (op) {
+      case "$eq": return value === arg;
+      case "$ne": return value !== arg;
+      case "$in": return Array.isArray(arg) && arg.includes(value);
+      case "$nin": return Array.isArray(arg) && !arg.includes(value);
+      case "$lt": return value !== undefined && value !== null && value < arg;
+      case "$lte": return value !== undefined && value !== null && value <= arg;
+      case "$gt": return value !== undefined && value !== null && value > arg;
+      case "$gte": return value !== undefined && value !== null && value >= arg;
+      case "$exists": return (value !== undefined) === Boolean(arg);
+      default: throw httpError(400, `Unsupported selector operator ${op}`);
+    }
+  });
+}
+
+export function matchesSelector(doc, selector = {}) {
+  return Object.entries(selector).every(([field, cond]) => {
+    if (field === "$and") return cond.every(s => matchesSelector(doc, s));
+    if (field === "$or") return cond.some(s => matchesSelector(doc, s));
+    return matchesCondition(doc[field], cond);
+  });
+}
+
+// ---------------- Lucene-style search (subset) ----------------
+// Supports the queries searchBooks builds: `field:term` and `field:prefix*`
+// clauses (optionally boosted with `^n`) joined with OR, scored by the summed
+// boosts of the clauses a doc matches.
+function fieldTokens(value) {
+  return String(value ?? "").toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function parseLuceneQuery(query) {
+  return String(query || "")
+    .split(/\s+OR\s+/)
+    .map(clause => clause.trim().match(/^([a-z_]+):("?)([^"*^]+)\2(\*)?(?:\^(\d+(?:\.\d+)?))?$/i))
+    .filter(Boolean)
+    .map(m => ({ field: m[1], term: m[3].toLowerCase(), prefix: Boolean(m[4]), boost: m[5] ? Number(m[5]) : 1 }));
+}
+
+function scoreDoc(doc, clauses) {
+  let score = 0;
+  for (const { field, term, prefix, boost } of clauses) {
+    const tokens = fieldTokens(doc[field]);
+    if (tokens.some(t => (prefix ? t.startsWith(term) : t === term))) score += boost;
+  }
+  return score;
+}
+
+export function createLocalStorage({ dir = null, seed = {} } = {}) {
+  const dbs = new Map();
+  // db -> ids changed since the last flush; `null` asks for a full snapshot
+  const dirty = new Map();
+  // db -> journal entries on disk since the last snapshot
+  const journalled = new Map();
+  let flushTimer = null;
+
+  function fileFor(db) {
+    return path.join(dir, `${db}.json`);
+  }
+
+  function journalFor(db) {
+    return path.join(dir, `${db}.log.jsonl`);
+  }
+
+  function writeSnapshot(db) {
+    const docs = Array.from(dbs.get(db).values());
+    // Written aside and renamed over the file, so a crash mid-write leaves the old copy intact.
+    // The journal is only dropped afterwards; replaying it onto the new snapshot is harmless.
+    const tmp = `${fileFor(db)}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(docs, null, 2));
+    fs.renameSync(tmp, fileFor(db));
+    fs.rmSync(journalFor(db), { force: true });
+    journalled.set(db, 0);
+  }
+
+  function flush() {
+    flushTimer = null;
+    for (const [db, ids] of dirty) {
+      const docs = dbs.get(db);
+      const entries = (journalled.get(db) || 0) + (ids?.size ?? 0);
+      if (ids === null || entries > Math.max(COMPACT_MIN_ENTRIES, docs.size)) {
+        writeSnapshot(db);
+        continue;
+      }
+      const lines = Array.from(ids, id => JSON.stringify(docs.get(id) ?? { _id: id, _deleted: true }));
+      fs.appendFileSync(journalFor(db), `${lines.join("\n")}\n`);
+      journalled.set(db, entries);
+    }
+    dirty.clear();
+  }
+
+  function markDirty(db, id = null) {
+    if (!dir) return;
+    if (id === null) dirty.set(db, null);
+    else if (!dirty.has(db)) dirty.set(db, new Set([id]));
+    else dirty.get(db)?.add(id);
+    if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+  }
+
+  // Applies the journal written since the snapshot; a torn last line (a crash
+  // mid-append) is skipped
+  function replayJournal(db, docs) {
+    if (!fs.existsSync(journalFor(db))) return;
+    let entries = 0;
+    for (const line of fs.readFileSync(journalFor(db), "utf8").split("\n")) {
+      let doc;
+      try {
+        doc = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (doc._deleted) docs.delete(doc._id);
+      else docs.set(doc._id, doc);
+      entries += 1;
+    }
+    journalled.set(db, entries);
+  }
+
+  function load(db) {
+    if (dbs.has(db)) return dbs.get(db);
+    const docs = new Map();
+    dbs.set(db, docs);
+
+    let initial = [];
+    let seeded = false;
+    if (dir && fs.existsSync(fileFor(db))) {
+      initial = JSON.parse(fs.readFileSync(fileFor(db), "utf8"));
+    } else if (seed[db] && fs.existsSync(seed[db])) {
+      initial = JSON.parse(fs.readFileSync(seed[db], "utf8"));
+      seeded = initial.length > 0;
+      console.log(`📚 Seeded local "${db}" database from ${seed[db]} (${initial.length} docs)`);
+    }
+    // Seeded docs, and hand-written ones given an id or rev here, are snapshotted straight away
+    const snapshot = seeded || initial.some(doc => !doc._id || !doc._rev);
+    for (const doc of initial) {
+      const _id = doc._id || crypto.randomUUID();
+      docs.set(_id, { ...doc, _id, _rev: doc._rev || newRev() });
+    }
+    if (dir) replayJournal(db, docs);
+    if (snapshot) markDirty(db);
+    return docs;
+  }
+
+  function write(db, doc) {
+    const docs = load(db);
+    const id = doc._id || crypto.randomUUID();
+    const existing = docs.get(id);
+    if ((existing && existing._rev !== doc._rev) || (!existing && doc._rev)) {
+      throw httpError(409, "Document update conflict");
+    }
+    const rev = newRev(existing?._rev);
+    if (doc._deleted) {
+      docs.delete(id);
+    } else {
+      docs.set(id, { ...clone(doc), _id: id, _rev: rev });
+    }
+    markDirty(db, id);
+    return { id, rev };
+  }
+
+  if (dir) fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    name: dir ? "local" : "memory",
+
+    async allDocs(db, { includeDocs = false, limit, skip = 0, startKey } = {}) {
+      let docs = Array.from(load(db).values()).sort((a, b) => (a._id < b._id ? -1 : a._id > b._id ? 1 : 0));
+      if (startKey !== undefined) docs = docs.filter(d => d._id >= startKey);
+      docs = docs.slice(skip, limit === undefined ? undefined : skip + limit);
+      return docs.map(d => ({ id: d._id, rev: d._rev, doc: includeDocs ? clone(d) : undefined }));
+    },
+
+    async getDoc(db, id) {
+      const doc = load(db).get(id);
+      if (!doc) throw httpError(404, "Document not found");
+      return clone(doc);
+    },
+
+    async putDoc(db, doc) {
+      return write(db, doc);
+    },
+
+    async deleteDoc(db, id, rev) {
+      return write(db, { _id: id, _rev: rev, _deleted: true });
+    },
+
+    async bulkDocs(db, docs) {
+      return docs.map(doc => {
+        try {
+          return { ok: true, ...write(db, doc) };
+        } catch (err) {
+          return { id: doc._id, error: err.status === 409 ? "conflict" : "error", reason: err.message };
+        }
+      });
+    },
+
+    async find(db, selector, { limit = 10000 } = {}) {
+      return Array.from(load(db).values())
+        .filter(d => matchesSelector(d, selector))
+        .slice(0, limit)
+        .map(clone);
+    },
+
+    async search(db, query, { limit = 25 } = {}) {
+      const clauses = parseLuceneQuery(query);
+      if (clauses.length === 0) return [];
+      return Array.from(load(db).values())
+        .map(doc => ({ doc, score: scoreDoc(doc, clauses) }))
+        .filter(r => r.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(r => ({ id: r.doc._id, score: r.score, doc: clone(r.doc) }));
+    },
+
+    async info(db) {
+      return { docCount: load(db).size };
+    },
+
+    // Nothing to set up: databases appear on first use (and as files on first write)
+    async ensureDb() {
+      return { created: false };
+    },
+
+    // Write pending changes immediately (server.js calls it on SIGINT / SIGTERM)
+    flush() {
+      if (flushTimer) clearTimeout(flushTimer);
+      if (dir) flush();
+    }
+  };
+}
@@ -0,0 +1,210 @@
+import { copiesOnShelf } from "./circulation.js";
+
+// ---------------- In-memory Vector Index ----------------
+// Book embeddings held in process memory as normalised Float32Arrays, so a
+// semantic query is a dot product per candidate instead of a full database
+// read. Small catalogues are scanned exactly; from VECTOR_EXACT_BELOW vectors
+// on, an inverted-file index (k-means cells, probe the nearest VECTOR_NPROBE)
+// keeps queries sub-linear.
+//
+// Entries keep a copy of the book without its embedding for filtering; it is
+// as fresh as the last upsert, so callers that show counts should re-read the
+// documents they return.
+const EXACT_BELOW = Number(process.env.VECTOR_EXACT_BELOW || 2000);
+const NPROBE = Number(process.env.VECTOR_NPROBE || 8);
+const KMEANS_ITERATIONS = 8;
+const KMEANS_SAMPLE_PER_CELL = 40;
+
+function normalise(values) {
+  const vec = Float32Array.from(values);
+  let norm = 0;
+  for (let i = 0; i < vec.length; i++) norm += vec[i] * vec[i];
+  norm = Math.sqrt(norm);
+  if (norm === 0) return null;
+  for (let i = 0; i < vec.length; i++) vec[i] /= norm;
+  return vec;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function nearest(centroids, vec) {
+  let best = 0;
+  let bestScore = -Infinity;
+  for (let c = 0; c < centroids.length; c++) {
+    const score = dot(centroids[c], vec);
+    if (score > bestScore) {
+      bestScore = score;
+      best = c;
+    }
+  }
+  return best;
+}
+
+// Spherical k-means on a sample: centroids stay unit length so cells are ranked by cosine
+function trainCentroids(vectors, cells) {
+  const sample = vectors.length > cells * KMEANS_SAMPLE_PER_CELL
+    ? Array.from({ length: cells * KMEANS_SAMPLE_PER_CELL }, () => vectors[Math.floor(Math.random() * vectors.length)])
+    : vectors;
+  let centroids = Array.from({ length: cells }, (_, i) => Float32Array.from(sample[Math.floor(i * sample.length / cells)]));
+
+  for (let iter = 0; iter < KMEANS_ITERATIONS; iter++) {
+    const sums = centroids.map(c => new Float32Array(c.length));
+    for (const vec of sample) {
+      const sum = sums[nearest(centroids, vec)];
+      for (let i = 0; i < vec.length; i++) sum[i] += vec[i];
+    }
+    // An empty cell keeps its previous centroid
+    centroids = sums.map((sum, c) => normalise(sum) || centroids[c]);
+  }
+  return centroids;
+}
+
+function matchesFilters(doc, { availableOnly = false, maxPages = null, exclude = null, filter = null }) {
+  if (exclude?.has(doc._id)) return false;
+  if (availableOnly && copiesOnShelf(doc) <= 0) return false;
+  if (maxPages && !(Number.isFinite(doc.max_pages) && doc.max_pages <= maxPages)) return false;
+  if (filter && !filter(doc)) return false;
+  return true;
+}
+
+// `accepts(book)` rejects stored vectors that must not be searched (e.g. built
+// with another embedding model); they are counted as stale
+export function createVectorIndex({ exactBelow = EXACT_BELOW, nprobe = NPROBE, accepts = () => true } = {}) {
+  const entries = new Map(); // id -> { vector, doc, cell }
+  let dim = null;
+  let model = null;
+  let centroids = null;
+  let cells = [];
+  let trainedSize = 0;
+  let builtAt = null;
+  let skipped = 0;
+  let stale = 0;
+
+  function assign(id, entry) {
+    if (!centroids) return;
+    entry.cell = nearest(centroids, entry.vector);
+    cells[entry.cell].add(id);
+  }
+
+  function unassign(id, entry) {
+    if (centroids && entry.cell !== undefined) cells[entry.cell]?.delete(id);
+  }
+
+  function train() {
+    if (entries.size < exactBelow) {
+      centroids = null;
+      cells = [];
+      trainedSize = 0;
+      return;
+    }
+    const count = Math.max(1, Math.round(Math.sqrt(entries.size)));
+    centroids = trainCentroids(Array.from(entries.values(), e => e.vector), count);
+    cells = centroids.map(() => new Set());
+    for (const [id, entry] of entries) assign(id, entry);
+    trainedSize = entries.size;
+  }
+
+  function remove(id) {
+    const entry = entries.get(id);
+    if (!entry) return false;
+    unassign(id, entry);
+    entries.delete(id);
+    return true;
+  }
+
+  // Adds or replaces a book; books without a usable embedding are dropped from the index
+  function upsert(book) {
+    const id = book?._id;
+    if (!id) return false;
+    remove(id);
+    if (!Array.isArray(book.embedding) || book.embedding.length === 0) return false;
+    if (!accepts(book)) {
+      stale += 1;
+      return false;
+    }
+    if (dim === null) dim = book.embedding.length;
+    if (book.embedding.length !== dim) {
+      skipped += 1;
+      return false;
+    }
+    const vector = normalise(book.embedding);
+    if (!vector) return false;
+
+    const { embedding, ...doc } = book;
+    const entry = { vector, doc };
+    entries.set(id, entry);
+    assign(id, entry);
+    return true;
+  }
+
+  function candidatesFor(query) {
+    // Cells were trained on a much smaller set: retrain before answering
+    if (entries.size >= exactBelow && (!centroids || entries.size > trainedSize * 2)) train();
+    if (!centroids) return [entries.keys()];
+
+    const ranked = centroids
+      .map((c, idx) => ({ idx, score: dot(c, query) }))
+      .sort((a, b) => b.score - a.score);
+    return ranked.map(r => cells[r.idx].values());
+  }
+
+  return {
+    // Replaces the whole index with the given books (e.g. every doc in the catalogue)
+    rebuild(books, { embedModel = null } = {}) {
+      entries.clear();
+      dim = null;
+      skipped = 0;
+      stale = 0;
+      centroids = null;
+      cells = [];
+      for (const book of books) upsert(book);
+      train();
+      model = embedModel;
+      builtAt = new Date().toISOString();
+      if (skipped > 0) console.warn(`⚠️ Vector index skipped ${skipped} embedding(s) with a dimension other than ${dim}`);
+      return { size: entries.size, skipped, stale };
+    },
+
+    upsert,
+    remove,
+
+    // Top-k books by cosine similarity, optionally filtered:
+    //   { k, availableOnly, maxPages, exclude: Set<id>, filter: doc => bool }
+    query(values, { k = 20, ...filters } = {}) {
+      if (entries.size === 0 || !Array.isArray(values) || values.length !== dim) return [];
+      const query = normalise(values);
+      if (!query) return [];
+
+      const hits = [];
+      let probed = 0;
+      for (const cell of candidatesFor(query)) {
+        // Keep probing past nprobe while filters leave fewer than k matches
+        if (probed >= nprobe && hits.length >= k) break;
+        probed += 1;
+        for (const id of cell) {
+          const entry = entries.get(id);
+          if (!matchesFilters(entry.doc, filters)) continue;
+          hits.push({ id, score: dot(query, entry.vector), doc: entry.doc });
+        }
+      }
+      return hits.sort((a, b) => b.score - a.score).slice(0, k);
+    },
+
+    stats() {
+      return {
+        size: entries.size,
+        stale,
+        dim,
+        model,
+        mode: centroids ? "ivf" : "exact",
+        cells: centroids ? centroids.length : 0,
+        nprobe,
+        builtAt
+      };
+    }
+  };
+}
@@ -0,0 +1,133 @@
+import { after, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { createLocalStorage } from "../src/storage/local.js";
+
+// The secret is read when the module loads
+process.env.AUTH_SECRET = "test-secret";
+const {
+  authenticate,
+  createAuthRouter,
+  createUserStore,
+  hashPassword,
+  issueToken,
+  memberFor,
+  requireRole,
+  verifyPassword,
+  verifyToken
+} = await import("../src/auth.js");
+
+describe("passwords", () => {
+  it("verifies against a salted scrypt hash", async () => {
+    const stored = await hashPassword("correct horse");
+    assert.match(stored, /^scrypt\$/);
+    assert.notEqual(stored, await hashPassword("correct horse"));
+    assert.equal(await verifyPassword("correct horse", stored), true);
+    assert.equal(await verifyPassword("wrong horse", stored), false);
+    assert.equal(await verifyPassword("x", "plain"), false);
+  });
+});
+
+describe("tokens", () => {
+  it("round-trips the user and role", () => {
+    const { token, expires_at } = issueToken({ username: "ann", role: "librarian" });
+    assert.deepEqual(verifyToken(token), { username: "ann", role: "librarian" });
+    assert.ok(new Date(expires_at) > new Date());
+  });
+
+  it("rejects tampered and malformed tokens", () => {
+    const { token } = issueToken({ username: "ann", role: "student" });
+    const [, sig] = token.split(".");
+    const forged = Buffer.from(JSON.stringify({ sub: "ann", role: "admin", exp: Date.now() + 60000 })).toString("base64url");
+    assert.equal(verifyToken(`${forged}.${sig}`), null);
+    assert.equal(verifyToken("not-a-token"), null);
+    assert.equal(verifyToken(undefined), null);
+  });
+
+  it("rejects expired tokens", () => {
+    const { token } = issueToken({ username: "ann", role: "student" });
+    mock.method(Date, "now", () => new Date("2999-01-01").getTime());
+    try {
+      assert.equal(verifyToken(token), null);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+});
+
+describe("roles", () => {
+  const run = (role, user) => {
+    let status = null;
+    let passed = false;
+    const res = { status: code => ((status = code), { json: () => {} }) };
+    requireRole(role)({ user }, res, () => (passed = true));
+    return passed ? "next" : status;
+  };
+
+  it("ranks student < librarian < admin", () => {
+    assert.equal(run("librarian", { role: "admin" }), "next");
+    assert.equal(run("librarian", { role: "librarian" }), "next");
+    assert.equal(run("librarian", { role: "student" }), 403);
+    assert.equal(run("student", undefined), 401);
+  });
+
+  it("lets staff act for any member and members only for themselves", () => {
+    assert.equal(memberFor({ user: { username: "lib", role: "librarian" } }, "ann"), "ann");
+    assert.equal(memberFor({ user: { username: "ann", role: "student" } }), "ann");
+    assert.throws(() => memberFor({ user: { username: "ann", role: "student" } }, "bob"), /own account/);
+  });
+});
+
+describe("auth routes", () => {
+  let server, base;
+
+  before(async () => {
+    const users = createUserStore({ storage: createLocalStorage(), usersDb: "users" });
+    await users.createUser({ username: "root", password: "rootpass1", role: "admin" });
+    const app = express();
+    app.use(express.json());
+    app.use(authenticate);
+    app.use(createAuthRouter({ users }));
+    app.get("/public", (req, res) => res.json({ ok: true, user: req.user || null }));
+    server = app.listen(0);
+    await new Promise(resolve => server.once("listening", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  const call = async (method, path, body, token) => {
+    const headers = { "content-type": "application/json" };
+    if (token) headers.authorization = `Bearer ${token}`;
+    const res = await fetch(`${base}${path}`, { method, headers, body: body && JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+  };
+
+  it("registers students and logs them in", async () => {
+    const created = await call("POST", "/auth/register", { username: "Ann", password: "password1" });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.user.role, "student");
+    assert.equal(created.body.user.password_hash, undefined);
+    assert.equal((await call("POST", "/auth/register", { username: "ann", password: "password1" })).status, 409);
+
+    assert.equal((await call("POST", "/auth/login", { username: "ann", password: "nope" })).status, 401);
+    const { body } = await call("POST", "/auth/login", { username: "ann", password: "password1" });
+    const me = await call("GET", "/auth/me", undefined, body.token);
+    assert.deepEqual(me.body.user, { username: "ann", role: "student" });
+  });
+
+  it("only lets admins create staff accounts", async () => {
+    const denied = await call("POST", "/auth/register", { username: "lib", password: "password1", role: "librarian" });
+    assert.equal(denied.status, 403);
+    const { body: { token } } = await call("POST", "/auth/login", { username: "root", password: "rootpass1" });
+    const created = await call("POST", "/auth/register", { username: "lib", password: "password1", role: "librarian" }, token);
+    assert.equal(created.status, 201);
+  });
+
+  it("treats a bad token as anonymous except on guarded routes", async () => {
+    assert.deepEqual((await call("GET", "/public", undefined, "bad.token")).body, { ok: true, user: null });
+    const me = await call("GET", "/auth/me", undefined, "bad.token");
+    assert.equal(me.status, 401);
+    assert.equal(me.body.error, "Invalid or expired token");
+  });
+});
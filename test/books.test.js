@@ -0,0 +1,107 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { createBooksRouter, validateBook } from "../src/books.js";
+import { createLocalStorage } from "../src/storage/local.js";
+
+describe("validateBook", () => {
+  it("applies defaults and trims strings", () => {
+    assert.deepEqual(validateBook({ title: " Clean Code ", author: "Robert Martin" }), { title: "Clean Code", author: "Robert Martin", copies: 1 });
+  });
+
+  it("checks the schema fields", () => {
+    assert.throws(() => validateBook({ author: "x" }), /title is required/);
+    assert.throws(() => validateBook({ title: "x", author: "y", copies: -1 }), /copies must be between 0 and 10000/);
+    assert.throws(() => validateBook({ title: "x", author: "y", year: "1999" }), /year must be an integer/);
+    assert.throws(() => validateBook({ title: "x", author: "y", subjects: "sql" }), /subjects must be a list of strings/);
+  });
+
+  it("keeps common and catalogue-specific metadata", () => {
+    const book = validateBook({ title: "x", author: "y", description: " About x ", isbn: "9780132350884", series: "Craft", edition: 2 });
+    assert.equal(book.description, "About x");
+    assert.equal(book.isbn, "9780132350884");
+    assert.equal(book.series, "Craft");
+    assert.equal(book.edition, 2);
+  });
+
+  it("ignores managed fields and rejects other underscore names", () => {
+    const book = validateBook({ _id: "b1", _rev: "1-a", title: "x", author: "y", available_copies: 9, embedding: [1] });
+    assert.deepEqual(Object.keys(book).sort(), ["author", "copies", "title"]);
+    assert.throws(() => validateBook({ title: "x", author: "y", _attachments: {} }), /reserved: _attachments/);
+  });
+
+  it("only checks the fields present for a partial update", () => {
+    assert.deepEqual(validateBook({ location: null, note: "" }, { partial: true }), { location: null, note: null });
+  });
+});
+
+describe("books router", () => {
+  let storage, server, base;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { username: "lib", role: req.get("x-role") || "librarian" };
+      next();
+    });
+    app.use((req, res, next) => createBooksRouter({ storage, booksDb: "books", loansDb: "loans" })(req, res, next));
+    server = app.listen(0);
+    await new Promise(resolve => server.once("listening", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    storage = createLocalStorage();
+  });
+
+  const call = async (method, path, body) => {
+    const res = await fetch(`${base}${path}`, {
+      method,
+      headers: { "content-type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  it("stores extra metadata and returns it", async () => {
+    const created = await call("POST", "/books", { _id: "b1", title: "Clean Code", author: "Robert Martin", isbn: "9780132350884", series: "Craft" });
+    assert.equal(created.status, 201);
+    const { body } = await call("GET", "/books/b1");
+    assert.equal(body.book.isbn, "9780132350884");
+    assert.equal(body.book.series, "Craft");
+  });
+
+  it("needs the current _rev to change a book", async () => {
+    const { body: { book } } = await call("POST", "/books", { _id: "b1", title: "Clean Code", author: "Robert Martin" });
+    assert.equal((await call("PATCH", "/books/b1", { copies: 3 })).status, 428);
+    assert.equal((await call("PATCH", "/books/b1", { _rev: "1-stale", copies: 3 })).status, 409);
+    const patched = await call("PATCH", "/books/b1", { _rev: book._rev, copies: 3 });
+    assert.equal(patched.status, 200);
+    assert.equal(patched.body.book.available_copies, 3);
+  });
+
+  it("puts added copies of a book imported as unavailable on the shelf", async () => {
+    const { rev } = await storage.putDoc("books", { _id: "b1", title: "Clean Code", author: "Robert Martin", copies: 1, available: false });
+    await storage.putDoc("loans", { book_id: "b1", member: "m1", status: "active" });
+    const { body } = await call("PATCH", "/books/b1", { _rev: rev, copies: 3 });
+    assert.equal(body.book.available_copies, 2);
+    assert.equal(body.book.available, true);
+  });
+
+  it("hides tombstoned books from everyone but staff", async () => {
+    await storage.putDoc("books", { _id: "b1", title: "Clean Code", author: "Robert Martin", copies: 1, removed: true });
+    const staff = await call("GET", "/books/b1");
+    assert.equal(staff.body.book.removed, true);
+    const res = await fetch(`${base}/books/b1`, { headers: { "x-role": "student" } });
+    assert.equal(res.status, 404);
+  });
+
+  it("lets a book imported as unavailable be deleted when nothing is on loan", async () => {
+    const { rev } = await storage.putDoc("books", { _id: "b1", title: "Clean Code", author: "Robert Martin", copies: 1, available: false });
+    const res = await call("DELETE", `/books/b1?rev=${rev}`);
+    assert.equal(res.status, 200);
+  });
+});
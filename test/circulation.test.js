@@ -0,0 +1,136 @@
+import { after, before, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { copiesOnShelf, createCirculationRouter } from "../src/circulation.js";
+import { createHoldService, createHoldsRouter } from "../src/holds.js";
+import { createLocalStorage } from "../src/storage/local.js";
+
+describe("circulation and holds", () => {
+  let storage, holds, server, base;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { username: req.get("x-user") || "lib", role: req.get("x-role") || "librarian" };
+      next();
+    });
+    app.use((req, res, next) => createCirculationRouter({ storage, booksDb: "books", loansDb: "loans", holds })(req, res, next));
+    app.use((req, res, next) => createHoldsRouter({ holds })(req, res, next));
+    server = app.listen(0);
+    await new Promise(resolve => server.once("listening", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    storage = createLocalStorage();
+    holds = createHoldService({ storage, booksDb: "books", holdsDb: "holds" });
+    await storage.putDoc("books", { _id: "b1", title: "Clean Code", author: "Robert Martin", copies: 1 });
+  });
+
+  const call = async (method, path, body, user) => {
+    const headers = { "content-type": "application/json" };
+    if (user) Object.assign(headers, { "x-user": user, "x-role": "student" });
+    const res = await fetch(`${base}${path}`, { method, headers, body: body && JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+  };
+  const book = () => storage.getDoc("books", "b1");
+  const checkout = member => call("POST", "/loans", { bookId: "b1" }, member);
+
+  it("checks out the last copy and refuses another", async () => {
+    const { status, body } = await checkout("ann");
+    assert.equal(status, 201);
+    assert.equal(body.loan.member, "ann");
+    assert.deepEqual(body.book, { id: "b1", title: "Clean Code", copies: 1, on_shelf: 0, on_hold: 0, on_loan: 1 });
+    assert.equal((await checkout("bob")).status, 409);
+  });
+
+  it("keeps members to their own account", async () => {
+    const res = await call("POST", "/loans", { bookId: "b1", member: "bob" }, "ann");
+    assert.equal(res.status, 403);
+  });
+
+  it("puts a returned copy back on the shelf once", async () => {
+    const { body: { loan } } = await checkout("ann");
+    const returned = await call("POST", `/loans/${loan._id}/return`);
+    assert.equal(returned.status, 200);
+    assert.equal(returned.body.book.on_shelf, 1);
+    assert.equal((await call("POST", `/loans/${loan._id}/return`)).status, 409);
+    assert.equal(copiesOnShelf(await book()), 1);
+  });
+
+  it("queues holds and sets a returned copy aside for the oldest", async () => {
+    assert.equal((await call("POST", "/books/b1/holds", {}, "bob")).status, 409); // still on the shelf
+    const { body: { loan } } = await checkout("ann");
+    const first = await call("POST", "/books/b1/holds", {}, "bob");
+    const second = await call("POST", "/books/b1/holds", {}, "cat");
+    assert.deepEqual([first.body.hold.position, second.body.hold.position], [1, 2]);
+    assert.equal((await call("POST", "/books/b1/holds", {}, "bob")).status, 409);
+
+    const returned = await call("POST", `/loans/${loan._id}/return`);
+    assert.equal(returned.body.hold.member, "bob");
+    assert.equal(returned.body.book.on_hold, 1);
+    assert.equal((await checkout("cat")).status, 409);
+
+    const collected = await checkout("bob");
+    assert.equal(collected.status, 201);
+    const [hold] = await holds.listHolds("bob", ["collected"]);
+    assert.equal(hold.loan_id, collected.body.loan._id);
+    assert.equal((await call("GET", "/holds", undefined, "cat")).body.holds[0].position, 1);
+  });
+
+  it("lets only one of two concurrent checkouts collect a ready hold", async () => {
+    await storage.putDoc("books", { ...(await book()), copies: 2, available_copies: 1, held_copies: 1 });
+    await storage.putDoc("holds", { book_id: "b1", member: "bob", status: "ready", placed_at: "2025-01-01T00:00:00.000Z" });
+    const results = await Promise.all([checkout("bob"), checkout("bob")]);
+    assert.deepEqual(results.map(r => r.status), [201, 201]);
+    const after = await book();
+    // One loan took the held copy, the other the copy on the shelf
+    assert.deepEqual([after.available_copies, after.held_copies], [0, 0]);
+    assert.equal((await holds.listHolds("bob", ["collected"])).length, 1);
+  });
+
+  it("releases the claimed hold when the loan cannot be saved", async () => {
+    await storage.putDoc("books", { ...(await book()), available_copies: 0, held_copies: 1 });
+    await storage.putDoc("holds", { book_id: "b1", member: "bob", status: "ready", placed_at: "2025-01-01T00:00:00.000Z" });
+    const putDoc = storage.putDoc;
+    mock.method(storage, "putDoc", (db, doc) => db === "loans" ? Promise.reject(new Error("disk full")) : putDoc(db, doc));
+    mock.method(console, "error", () => {});
+    try {
+      assert.equal((await checkout("bob")).status, 500);
+    } finally {
+      mock.restoreAll();
+    }
+    const [hold] = await holds.listHolds("bob", ["ready"]);
+    assert.equal(hold.collected_at, undefined);
+    assert.equal((await book()).held_copies, 1);
+  });
+
+  it("expires uncollected holds and moves the copy on", async () => {
+    await storage.putDoc("books", { ...(await book()), available_copies: 0, held_copies: 1 });
+    const past = "2025-01-01T00:00:00.000Z";
+    await storage.putDoc("holds", { book_id: "b1", member: "bob", status: "ready", placed_at: past, expires_at: past });
+    await storage.putDoc("holds", { book_id: "b1", member: "cat", status: "waiting", placed_at: past });
+
+    assert.equal(await holds.expireReadyHolds(), 1);
+    const [next] = await holds.listHolds("cat");
+    assert.equal(next.status, "ready");
+    assert.ok(next.expires_at > new Date().toISOString());
+
+    await storage.putDoc("holds", { ...next, expires_at: past });
+    assert.equal(await holds.expireReadyHolds(), 1);
+    const after = await book();
+    assert.deepEqual([after.available_copies, after.held_copies], [1, 0]);
+  });
+
+  it("puts the copy of a cancelled ready hold back on the shelf", async () => {
+    await storage.putDoc("books", { ...(await book()), available_copies: 0, held_copies: 1 });
+    await storage.putDoc("holds", { _id: "h1", book_id: "b1", member: "bob", status: "ready", placed_at: "2025-01-01T00:00:00.000Z" });
+    assert.equal((await call("DELETE", "/holds/h1", undefined, "cat")).status, 404);
+    const cancelled = await call("DELETE", "/holds/h1", undefined, "bob");
+    assert.equal(cancelled.body.hold.status, "cancelled");
+    assert.equal(copiesOnShelf(await book()), 1);
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createEmbeddingTemplate } from "../src/embeddingTemplate.js";
+import { validateBook } from "../src/books.js";
+
+const RICH = "{title}. {author}.[ Subjects: {subjects}.][ Shelf: {location}.][ {description}]";
+
+describe("embedding template", () => {
+  it("renders a stored description and drops empty sections", () => {
+    const t = createEmbeddingTemplate({ model: "m", template: RICH });
+    const book = validateBook({ title: "SICP", author: "Abelson", subjects: ["lisp", "scheme"], description: "Programs as data." });
+    assert.equal(t.render(book), "SICP. Abelson. Subjects: lisp, scheme. Programs as data.");
+    assert.equal(t.render({ title: "SICP", author: "Abelson" }), "SICP. Abelson.");
+  });
+
+  it("marks vectors from another model or template stale", () => {
+    const t = createEmbeddingTemplate({ model: "m", template: RICH });
+    const stamped = { embedding: [1], ...t.stamp() };
+    assert.equal(t.staleReason(stamped), null);
+    assert.equal(t.staleReason({ ...stamped, embedding_model: "old" }), "model");
+    assert.equal(t.staleReason({ embedding: [1], embedding_model: "m" }), "template");
+    assert.equal(createEmbeddingTemplate({ model: "m" }).staleReason({ embedding: [1], embedding_model: "m" }), null);
+    assert.equal(t.staleReason({}), "missing");
+  });
+
+  it("needs a placeholder", () => {
+    assert.throws(() => createEmbeddingTemplate({ model: "m", template: "plain" }), /no \{field\} placeholder/);
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { compareReports, parseJudgments, runEvaluation, scoreRanking } from "../src/search/eval.js";
+
+const graded = entries => new Map(entries);
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+describe("scoreRanking", () => {
+  it("scores a perfect ranking as 1 on every metric", () => {
+    const m = scoreRanking(["a", "b", "x"], graded([["a", 1], ["b", 1]]), 3);
+    assert.deepEqual(m, { recall: 1, rr: 1, ndcg: 1 });
+  });
+
+  it("gives 0 when no relevant book makes the top k", () => {
+    const m = scoreRanking(["x", "y", "a"], graded([["a", 1]]), 2);
+    assert.deepEqual(m, { recall: 0, rr: 0, ndcg: 0 });
+  });
+
+  it("counts recall over all relevant books and MRR from the first hit", () => {
+    const m = scoreRanking(["x", "b", "y", "z"], graded([["a", 1], ["b", 1]]), 3);
+    assert.equal(m.recall, 0.5);
+    assert.equal(m.rr, 0.5);
+  });
+
+  it("discounts lower ranks and grades in nDCG", () => {
+    // DCG = (2^1 - 1) / log2(2) + (2^2 - 1) / log2(3); ideal puts the grade-2 book first
+    const m = scoreRanking(["b", "a"], graded([["a", 2], ["b", 1]]), 2);
+    close(m.ndcg, (1 + 3 / Math.log2(3)) / (3 + 1 / Math.log2(3)));
+  });
+
+  it("caps the ideal ranking at k", () => {
+    const m = scoreRanking(["a"], graded([["a", 1], ["b", 1], ["c", 1]]), 1);
+    assert.equal(m.ndcg, 1);
+    close(m.recall, 1 / 3);
+  });
+});
+
+describe("parseJudgments", () => {
+  it("reads lists and graded maps, dropping grade 0", () => {
+    const [list, map] = parseJudgments({
+      queries: [
+        { id: "one", query: " data structures ", relevant: ["b5", "b1"] },
+        { query: "thermo", relevant: { b4: 2, b9: 0 } }
+      ]
+    });
+    assert.equal(list.query, "data structures");
+    assert.deepEqual([...list.relevant], [["b5", 1], ["b1", 1]]);
+    assert.equal(map.id, "thermo");
+    assert.deepEqual([...map.relevant], [["b4", 2]]);
+  });
+
+  it("rejects duplicate ids and judgments without relevant books", () => {
+    assert.throws(() => parseJudgments([{ id: "a", query: "x", relevant: ["b1"] }, { id: "a", query: "y", relevant: ["b2"] }]), /duplicate id "a"/);
+    assert.throws(() => parseJudgments([{ query: "x", relevant: { b1: 0 } }]), /at least one book id/);
+  });
+});
+
+describe("runEvaluation", () => {
+  it("averages the per-query metrics", async () => {
+    const rankings = { dsa: ["b5", "b1"], thermo: ["b2", "b4"] };
+    const search = async query => rankings[query].map(_id => ({ _id }));
+    const judgments = parseJudgments([
+      { query: "dsa", relevant: ["b5"] },
+      { query: "thermo", relevant: ["b4", "b9"] }
+    ]);
+    const report = await runEvaluation({ search, judgments, k: 2, mode: "lexical" });
+    assert.equal(report.metrics.recall, 0.75);
+    assert.equal(report.metrics.mrr, 0.75);
+    assert.deepEqual(report.queries[1].missed, ["b9"]);
+  });
+});
+
+describe("compareReports", () => {
+  const run = (mode, queries) => ({
+    mode,
+    k: 5,
+    metrics: { recall: queries.reduce((s, q) => s + q.recall, 0) / queries.length },
+    queries
+  });
+
+  it("reports metric deltas and the queries that moved", () => {
+    const base = { runs: [run("hybrid", [
+      { id: "a", query: "a", recall: 0.5, rr: 0.5, ndcg: 0.5 },
+      { id: "b", query: "b", recall: 1, rr: 1, ndcg: 1 },
+      { id: "c", query: "c", recall: 1, rr: 0.5, ndcg: 0.8 }
+    ])] };
+    const candidate = { runs: [run("hybrid", [
+      { id: "a", query: "a", recall: 1, rr: 1, ndcg: 0.9 },
+      { id: "b", query: "b", recall: 1, rr: 0.5, ndcg: 0.7 },
+      { id: "c", query: "c", recall: 1, rr: 1, ndcg: 0.8 },
+      { id: "new", query: "new", recall: 0, rr: 0, ndcg: 0 }
+    ])] };
+
+    const [mode] = compareReports(base, candidate);
+    assert.equal(mode.mode, "hybrid");
+    assert.equal(mode.queries, 3);
+    close(mode.metrics.recall.delta, 0.75 - 2.5 / 3);
+    // "c" has the same nDCG, so its better reciprocal rank decides
+    assert.deepEqual(mode.improved.map(q => q.id), ["a", "c"]);
+    assert.deepEqual(mode.regressed.map(q => q.id), ["b"]);
+  });
+
+  it("refuses reports with different k or no mode in common", () => {
+    const q = [{ id: "a", query: "a", recall: 1, rr: 1, ndcg: 1 }];
+    assert.throws(() => compareReports({ runs: [run("lexical", q)] }, { runs: [{ ...run("lexical", q), k: 10 }] }), /different k/);
+    assert.throws(() => compareReports({ runs: [run("lexical", q)] }, { runs: [run("hybrid", q)] }), /no mode in common/);
+  });
+});
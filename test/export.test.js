@@ -0,0 +1,101 @@
+import { after, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { createExportRouter } from "../src/export.js";
+import { parseImport } from "../src/import/index.js";
+import { planImport } from "../src/import/plan.js";
+import { createLocalStorage } from "../src/storage/local.js";
+import { loadAllDocs } from "../src/storage/index.js";
+
+const BOOKS = [
+  {
+    _id: "b1", title: "Introduction to Algorithms", author: "Thomas Cormen", copies: 3, available_copies: 1, held_copies: 1,
+    available: true, location: "Shelf A1", max_pages: 1300, subject: "Algorithms", isbn: "9780262046305",
+    publisher: "MIT Press", year: 2022, description: "Covers sorting, graphs and \"dynamic\" programming, in depth."
+  },
+  { _id: "b2", title: "Thermodynamik für Ingenieure", author: "Hans Baehr", copies: 1, available: false, subjects: ["Thermodynamics", "Heat"] },
+  { _id: "b3", title: "Removed Book", author: "Nobody", copies: 1, removed: true, removed_at: "2025-01-01T00:00:00.000Z" },
+  { _id: "b4", title: "Fluent Python", author: "Luciano Ramalho", copies: 2, series: "O'Reilly Classics", embedding: [0.1, 0.2] }
+];
+
+describe("GET /export", () => {
+  let server, base, storage;
+
+  before(async () => {
+    // The route logs every export; keep the test output to the results
+    mock.method(console, "log", () => {});
+    storage = createLocalStorage();
+    await storage.bulkDocs("books", structuredClone(BOOKS));
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = { username: "lib", role: "librarian" };
+      next();
+    });
+    const search = async () => (await loadAllDocs(storage, "books")).filter(b => b._id === "b4");
+    app.use(createExportRouter({ storage, booksDb: "books", search, expandTokens: t => [String(t).toLowerCase()] }));
+    server = app.listen(0);
+    await new Promise(resolve => server.once("listening", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  const download = async query => {
+    const res = await fetch(`${base}/export${query}`);
+    return { res, buffer: Buffer.from(await res.arrayBuffer()) };
+  };
+
+  const reimport = async (buffer, format) => {
+    const stored = await loadAllDocs(storage, "books");
+    const { rows } = parseImport({ buffer, format });
+    return planImport(rows, stored).rows;
+  };
+
+  it("streams JSON Lines without internal fields by default", async () => {
+    const { res, buffer } = await download("");
+    assert.match(res.headers.get("content-type"), /application\/x-ndjson/);
+    assert.match(res.headers.get("content-disposition"), /catalogue-\d{4}-\d{2}-\d{2}\.jsonl/);
+    const docs = buffer.toString("utf8").trim().split("\n").map(line => JSON.parse(line));
+    assert.deepEqual(docs.map(d => d._id), ["b1", "b2", "b4"]);
+    assert.ok(docs.every(d => d._rev === undefined && d.embedding === undefined));
+  });
+
+  it("keeps the internal fields named in include", async () => {
+    const { buffer } = await download("?include=rev,embedding,removed");
+    const docs = buffer.toString("utf8").trim().split("\n").map(line => JSON.parse(line));
+    assert.deepEqual(docs.map(d => d._id), ["b1", "b2", "b3", "b4"]);
+    assert.deepEqual(docs[3].embedding, [0.1, 0.2]);
+    assert.ok(docs[0]._rev);
+  });
+
+  it("applies the catalogue filters and text queries", async () => {
+    const { buffer } = await download("?format=csv&location=Shelf%20A1");
+    const lines = buffer.toString("utf8").trim().split("\r\n");
+    assert.equal(lines.length, 2);
+    assert.match(lines[1], /^b1,Introduction to Algorithms,/);
+    const searched = await download("?q=python");
+    assert.deepEqual(searched.buffer.toString("utf8").trim().split("\n").map(l => JSON.parse(l)._id), ["b4"]);
+  });
+
+  it("rejects unknown formats and include names", async () => {
+    assert.equal((await download("?format=pdf")).res.status, 400);
+    assert.equal((await download("?include=secrets")).res.status, 400);
+  });
+
+  for (const format of ["jsonl", "csv", "marc", "marcxml"]) {
+    it(`imports a ${format} export back unchanged`, async () => {
+      const { buffer } = await download(`?format=${format}`);
+      const [b1, b2, b4] = await reimport(buffer, format);
+      assert.deepEqual([b1.id, b1.status, b2.id, b2.status], ["b1", "unchanged", "b2", "unchanged"]);
+      // Only JSON Lines carries fields outside the book schema
+      if (format === "jsonl") assert.equal(b4.status, "unchanged");
+      else assert.deepEqual(b4.changes, { series: { from: "O'Reilly Classics", to: null } });
+    });
+  }
+
+  it("detects a JSON Lines upload from its contents", async () => {
+    const { buffer } = await download("");
+    assert.equal(parseImport({ buffer }).format, "jsonl");
+    assert.equal(parseImport({ buffer: Buffer.from('{"books": [{"title": "x"}]}') }).format, "json");
+  });
+});
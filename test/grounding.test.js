@@ -0,0 +1,105 @@
+import { before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createGroundedStream, createGroundingValidator, parseReplyEntries, renderInventoryTemplate } from "../src/grounding.js";
+
+const BOOKS = [
+  { _id: "b1", title: "Introduction to Algorithms", author: "Thomas Cormen", copies: 3, location: "Shelf A1", max_pages: 1300 },
+  { _id: "b2", title: "Clean Code", author: "Robert Martin", copies: 2, location: "Shelf B2" }
+];
+
+describe("renderInventoryTemplate", () => {
+  it("renders entries that parse back to the inventory values", () => {
+    const reply = renderInventoryTemplate(BOOKS);
+    assert.deepEqual(parseReplyEntries(reply), [
+      { title: "Introduction to Algorithms", author: "Thomas Cormen", copies: 3, location: "Shelf A1", maxPages: 1300 },
+      { title: "Clean Code", author: "Robert Martin", copies: 2, location: "Shelf B2", maxPages: null }
+    ]);
+  });
+
+  it("explains an empty result", () => {
+    assert.equal(renderInventoryTemplate([]), "Not available in the library inventory.");
+    assert.match(renderInventoryTemplate([], { pageLimit: 200 }), /over 200 pages/);
+  });
+});
+
+describe("grounding validator", () => {
+  let validator;
+
+  before(() => {
+    // Every violation is logged; keep the test output to the results
+    mock.method(console, "warn", () => {});
+    validator = createGroundingValidator();
+  });
+
+  it("passes a faithful reply through untouched", () => {
+    const reply = `Here you go:\n${renderInventoryTemplate(BOOKS)}`;
+    assert.deepEqual(validator.validate(reply, BOOKS), { reply, violations: [], outcome: "ok" });
+  });
+
+  it("corrects wrong fields and drops books that are not in the inventory", () => {
+    const reply = [
+      "1. Title: Clean Code",
+      "   Author: Bob Martin",
+      "   Copies: 7",
+      "   Location: Shelf B2",
+      "",
+      "2. Title: The Pragmatic Programmer",
+      "   Author: Andrew Hunt",
+      "   Copies: 1",
+      "   Location: Shelf C3"
+    ].join("\n");
+    const result = validator.validate(reply, BOOKS);
+    assert.equal(result.outcome, "corrected");
+    assert.deepEqual(result.violations.map(v => v.type), ["author", "copies", "unknown_book"]);
+    assert.equal(result.reply, renderInventoryTemplate([BOOKS[1]]));
+  });
+
+  it("accepts a shortened title but flags it", () => {
+    const result = validator.validate("1. Title: Intro to Algorithms\n   Author: Thomas Cormen", BOOKS);
+    assert.equal(result.outcome, "corrected");
+    assert.deepEqual(result.violations, [{ type: "title", title: "Intro to Algorithms" }]);
+  });
+
+  it("falls back to the template when nothing can be reconciled", () => {
+    const prose = validator.validate("You might enjoy some books on algorithms.", BOOKS);
+    assert.equal(prose.outcome, "fallback");
+    assert.equal(prose.reply, renderInventoryTemplate(BOOKS));
+    const invented = validator.validate("1. Title: Dune\n   Author: Frank Herbert", []);
+    assert.deepEqual([invented.outcome, invented.reply], ["fallback", "Not available in the library inventory."]);
+  });
+
+  it("counts replies, corrections and violation types", () => {
+    const stats = validator.stats();
+    assert.equal(stats.replies, 5);
+    assert.equal(stats.corrected, 2);
+    assert.equal(stats.fallbacks, 2);
+    assert.equal(stats.violations.unknown_book, 2);
+    assert.equal(stats.violations.unparseable, 1);
+  });
+});
+
+describe("createGroundedStream", () => {
+  const streamed = (reply, final = reply) => {
+    const sent = [];
+    const stream = createGroundedStream(BOOKS, text => sent.push(text));
+    for (const chunk of reply.match(/\S+\s*|\s+/g)) stream.push(chunk);
+    const beforeFinish = sent.join("");
+    stream.finish(final);
+    return { beforeFinish, sent: sent.join("") };
+  };
+
+  it("sends each entry once the next one starts, and the rest on finish", () => {
+    const reply = `Here you go:\n${renderInventoryTemplate(BOOKS)}`;
+    const { beforeFinish, sent } = streamed(reply);
+    assert.equal(beforeFinish, reply.slice(0, reply.indexOf("\n2. Title")));
+    assert.equal(sent, reply);
+  });
+
+  it("stops before an entry that is not grounded", () => {
+    const good = renderInventoryTemplate([BOOKS[1]]);
+    const reply = `${good}\n\n2. Title: Introduction to Algorithms\n   Author: Someone Else\n\n3. Title: Dune`;
+    const corrected = renderInventoryTemplate([BOOKS[1], BOOKS[0]]);
+    const { sent } = streamed(reply, corrected);
+    assert.equal(sent, `${good}\n`);
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { detectFormat, parseImport } from "../src/import/index.js";
+import { parseCsv, parseCsvBooks } from "../src/import/csv.js";
+import { marcToBook, parseMarc21, parseMarcXml } from "../src/import/marc.js";
+import { planImport } from "../src/import/plan.js";
+import { encodeMarc21 } from "../src/export.js";
+
+const MARCXML = `<?xml version="1.0" encoding="UTF-8"?>
+<marc:collection xmlns:marc="http://www.loc.gov/MARC21/slim">
+  <marc:record>
+    <marc:leader>00000nam a2200000   4500</marc:leader>
+    <marc:controlfield tag="001">cc1</marc:controlfield>
+    <marc:datafield tag="020" ind1=" " ind2=" "><marc:subfield code="a">9780132350884 (pbk.)</marc:subfield></marc:datafield>
+    <marc:datafield tag="100" ind1="1" ind2=" "><marc:subfield code="a">Martin, Robert C.,</marc:subfield></marc:datafield>
+    <marc:datafield tag="245" ind1="1" ind2="0">
+      <marc:subfield code="a">Clean code :</marc:subfield>
+      <marc:subfield code="b">a handbook of agile software craftsmanship /</marc:subfield>
+    </marc:datafield>
+    <marc:datafield tag="264" ind1=" " ind2="1">
+      <marc:subfield code="b">Prentice Hall,</marc:subfield>
+      <marc:subfield code="c">c2009.</marc:subfield>
+    </marc:datafield>
+    <marc:datafield tag="300" ind1=" " ind2=" "><marc:subfield code="a">xxix, 431 p. :</marc:subfield></marc:datafield>
+    <marc:datafield tag="520" ind1=" " ind2=" "><marc:subfield code="a">Even bad code can function &amp; run.</marc:subfield></marc:datafield>
+    <marc:datafield tag="650" ind1=" " ind2="0"><marc:subfield code="a">Agile software development.</marc:subfield></marc:datafield>
+    <marc:datafield tag="852" ind1=" " ind2=" "><marc:subfield code="h">QA76.76</marc:subfield></marc:datafield>
+    <marc:datafield tag="852" ind1=" " ind2=" "><marc:subfield code="h">QA76.76</marc:subfield></marc:datafield>
+  </marc:record>
+  <marc:record></marc:record>
+</marc:collection>`;
+
+describe("CSV import", () => {
+  it("handles quotes, doubled quotes, embedded newlines and blank lines", () => {
+    assert.deepEqual(parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\n\n'), [["a", "b"], ["x, y", 'say "hi"\nthere']]);
+    assert.throws(() => parseCsv('a\n"open'), /Unterminated quoted field/);
+  });
+
+  it("maps header aliases and converts values", () => {
+    const rows = parseCsvBooks("Book Title,Writer,Qty,Pages,Topics,ISBN,Year,Available\nSICP,Abelson,2,657,lisp; scheme,0262510871,1996,no\n", {
+      mapping: { author: "Writer" }
+    });
+    assert.deepEqual(rows, [{
+      row: 2,
+      record: { title: "SICP", author: "Abelson", copies: 2, max_pages: 657, subjects: ["lisp", "scheme"], isbn: "0262510871", year: 1996, available: false }
+    }]);
+  });
+
+  it("keeps unparseable numbers for validation to report", () => {
+    const [{ record }] = parseCsvBooks("title,pages\nX,12 pages\n");
+    assert.equal(record.max_pages, "12 pages");
+  });
+
+  it("needs a title column and known mapped columns", () => {
+    assert.throws(() => parseCsvBooks("name2,author\nx,y\n"), /no title column/);
+    assert.throws(() => parseCsvBooks("title\nx\n", { mapping: { author: "Writer" } }), /Mapped column "Writer"/);
+  });
+});
+
+describe("MARC import", () => {
+  it("maps MARCXML fields onto a book", () => {
+    const [ok, empty] = parseMarcXml(MARCXML);
+    assert.deepEqual(marcToBook(ok.record), {
+      _id: "cc1",
+      title: "Clean code: a handbook of agile software craftsmanship",
+      author: "Robert C. Martin",
+      isbn: "9780132350884",
+      publisher: "Prentice Hall",
+      year: 2009,
+      max_pages: 431,
+      description: "Even bad code can function & run.",
+      subjects: ["Agile software development"],
+      location: "QA76.76",
+      copies: 2
+    });
+    assert.deepEqual(empty, { row: 2, error: "Record has no fields" });
+  });
+
+  it("reads binary MARC21 and reports broken records on their own", () => {
+    const record = {
+      leader: "00000nam a2200000   4500",
+      fields: [
+        { tag: "001", value: "b1" },
+        { tag: "245", ind1: "0", ind2: "0", subfields: [{ code: "a", value: "Thermodynamik für Ingenieure" }] }
+      ]
+    };
+    const buffer = Buffer.concat([encodeMarc21(record), Buffer.from("0001x\x1d"), encodeMarc21(record)]);
+    const rows = parseMarc21(buffer);
+    assert.equal(rows.length, 3);
+    assert.equal(marcToBook(rows[0].record).title, "Thermodynamik für Ingenieure");
+    assert.match(rows[1].error, /shorter than a MARC leader/);
+    assert.equal(marcToBook(rows[2].record)._id, "b1");
+  });
+});
+
+describe("parseImport", () => {
+  it("detects the format from the name or the contents", () => {
+    assert.equal(detectFormat({ filename: "x.mrc", buffer: Buffer.from("") }), "marc");
+    assert.equal(detectFormat({ buffer: Buffer.from(' [{"title":"x"}]') }), "json");
+    assert.equal(detectFormat({ buffer: Buffer.from("<collection/>") }), "marcxml");
+    assert.equal(detectFormat({ buffer: Buffer.from("title,author\n") }), "csv");
+  });
+
+  it("numbers JSON rows and flags rows that are not objects", () => {
+    const { format, rows } = parseImport({ buffer: Buffer.from('{"books":[{"title":"x"},3]}') });
+    assert.equal(format, "json");
+    assert.deepEqual(rows, [{ row: 1, record: { title: "x" } }, { row: 2, error: "Row is not a JSON object" }]);
+    assert.throws(() => parseImport({ buffer: Buffer.from("[{"), format: "json" }), /Invalid JSON/);
+  });
+});
+
+describe("planImport", () => {
+  const existing = [
+    { _id: "b1", _rev: "1-a", title: "Clean Code", author: "Robert Martin", copies: 2, available_copies: 1, held_copies: 0, available: true },
+    { _id: "b2", _rev: "1-b", title: "Algorithm Design", author: "Jon Kleinberg", copies: 1, isbn: "0321295358" },
+    { _id: "b3", _rev: "1-c", title: "Old Book", author: "Someone", copies: 1, available_copies: 0, held_copies: 0 },
+    { _id: "b4", _rev: "1-d", title: "Gone Book", author: "Someone", copies: 1 }
+  ];
+  const rows = records => records.map((record, i) => ({ row: i + 1, record }));
+
+  it("classifies rows and keeps circulation counts", () => {
+    const plan = planImport(rows([
+      { title: "Clean Code", author: "Robert Martin", copies: 3 },
+      { _id: "b2", title: "Algorithm Design", author: "Jon Kleinberg", copies: 1, isbn: "0321295358" },
+      { title: "New Book", author: "Writer", description: "About it", series: "Basics" },
+      { title: "Bad", author: "Pages", max_pages: "12 pages" },
+      { _id: "b2", title: "Algorithm Design", author: "Jon Kleinberg" }
+    ]), existing);
+
+    assert.deepEqual(plan.rows.map(r => r.status), ["changed", "unchanged", "added", "invalid", "invalid"]);
+    assert.deepEqual(plan.rows[0].changes, { copies: { from: 2, to: 3 }, on_shelf: { from: 1, to: 2 } });
+    assert.equal(plan.writes[0].doc._rev, "1-a");
+    assert.equal(plan.writes[1].doc.series, "Basics");
+    assert.match(plan.rows[3].error, /max_pages must be an integer/);
+    assert.equal(plan.rows[4].error, "Duplicate of row 2");
+    assert.deepEqual(plan.removals, []);
+  });
+
+  it("diffs fields outside the schema", () => {
+    const plan = planImport(rows([{ _id: "b2", title: "Algorithm Design", author: "Jon Kleinberg", copies: 1, isbn: "0321295358", series: "Pearson" }]), existing);
+    assert.deepEqual(plan.rows[0].changes, { series: { from: null, to: "Pearson" } });
+  });
+
+  it("marks re-embedding when the embedded text changes", () => {
+    const plan = planImport(rows([{ _id: "b1", title: "Clean Code 2", author: "Robert Martin", copies: 2 }]), [
+      { ...existing[0], embedding: [1, 2], embedding_model: "m" }
+    ]);
+    assert.equal(plan.rows[0].reembed, true);
+    assert.equal(plan.writes[0].doc.embedding, undefined);
+  });
+
+  it("removes unlisted books on sync, blocking those with copies out", () => {
+    const plan = planImport(rows([
+      { _id: "b1", title: "Clean Code", author: "Robert Martin", copies: 2 },
+      { _id: "b2", title: "Algorithm Design", author: "Jon Kleinberg", copies: "x" }
+    ]), existing, { sync: "tombstone" });
+    assert.deepEqual(plan.removals.map(r => [r.entry.id, r.entry.status]), [["b3", "blocked"], ["b4", "removed"]]);
+  });
+});
@@ -0,0 +1,273 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createIntentRouter } from "../src/intents/index.js";
+import { createLibraryIntents, pageLimitOf } from "../src/intents/library.js";
+import { createHoldService } from "../src/holds.js";
+import { createLocalStorage } from "../src/storage/local.js";
+import { loadAllDocs } from "../src/storage/index.js";
+
+const fixed = (name, confidence, extra = {}) => ({
+  name,
+  match: () => (confidence === null ? null : { confidence, slots: { from: name } }),
+  handle: (ctx, slots) => ({ intent: name, reply: name, resultsFound: 0, slots }),
+  ...extra
+});
+
+describe("createIntentRouter", () => {
+  it("routes to the most confident match", async () => {
+    const router = createIntentRouter({ fallback: "none", minConfidence: 0.5 })
+      .register(fixed("low", 0.6))
+      .register(fixed("high", 0.9))
+      .register(fixed("none", null));
+    const result = await router.route({ query: "q" });
+    assert.equal(result.intent, "high");
+    assert.deepEqual(result.slots, { from: "high" });
+    assert.equal(result.classification.source, "rule");
+    assert.deepEqual(result.classification.candidates, [
+      { intent: "high", confidence: 0.9 },
+      { intent: "low", confidence: 0.6 }
+    ]);
+  });
+
+  it("gives equal confidence to the intent registered first", async () => {
+    const router = createIntentRouter({ fallback: "none", minConfidence: 0.5 })
+      .register(fixed("first", 0.8))
+      .register(fixed("second", 0.8))
+      .register(fixed("none", null));
+    assert.equal((await router.classify({ query: "q" })).intent.name, "first");
+  });
+
+  it("asks the classifier when no rule matched", async () => {
+    const classifier = { classify: async () => ({ intent: "guessed", confidence: 0.7, slots: { subject: "sql" } }) };
+    const router = createIntentRouter({ fallback: "none", classifier, minConfidence: 0.5 })
+      .register(fixed("guessed", null))
+      .register(fixed("none", null));
+    const c = await router.classify({ query: "q" });
+    assert.equal(c.intent.name, "guessed");
+    assert.equal(c.source, "llm");
+    assert.deepEqual(c.slots, { subject: "sql" });
+  });
+
+  it("falls back below minConfidence, on an unknown intent and when the classifier throws", async () => {
+    const guesses = [
+      async () => ({ intent: "guessed", confidence: 0.4, slots: {} }),
+      async () => ({ intent: "missing", confidence: 0.9, slots: {} }),
+      async () => { throw new Error("model down"); }
+    ];
+    for (const classify of guesses) {
+      const router = createIntentRouter({ fallback: "none", classifier: { classify }, minConfidence: 0.5 })
+        .register(fixed("guessed", null))
+        .register(fixed("none", null));
+      const c = await router.classify({ query: "q" });
+      assert.equal(c.intent.name, "none");
+      assert.equal(c.source, "fallback");
+      assert.equal(c.confidence, 0);
+    }
+  });
+
+  it("does not call the classifier when a rule matched", async () => {
+    const classifier = { classify: async () => assert.fail("classifier called") };
+    const router = createIntentRouter({ fallback: "none", classifier, minConfidence: 0.5 })
+      .register(fixed("rule", 0.2))
+      .register(fixed("none", null));
+    assert.equal((await router.classify({ query: "q" })).intent.name, "rule");
+  });
+
+  it("rejects duplicate names and a missing fallback", async () => {
+    const router = createIntentRouter({ fallback: "none", minConfidence: 0.5 }).register(fixed("a", null));
+    assert.throws(() => router.register(fixed("a", null)), /already registered/);
+    await assert.rejects(router.classify({ query: "q" }), /Fallback intent "none"/);
+  });
+});
+
+// ---------------- Library intents against the memory storage ----------------
+const BOOKS = [
+  { _id: "b1", title: "Clean Code", author: "Robert Martin", copies: 2, available_copies: 0, held_copies: 0, location: "Shelf A1", max_pages: 464 },
+  { _id: "b2", title: "Python Crash Course", author: "Eric Matthes", copies: 3, available_copies: 2, held_copies: 0, location: "Shelf D1", max_pages: 544 },
+  { _id: "b3", title: "Fluent Python", author: "Luciano Ramalho", copies: 1, location: "Shelf D1", max_pages: 790 },
+  { _id: "b4", title: "Compiler Design", author: "Alfred Aho", copies: 1, removed: true, max_pages: 1000 }
+];
+
+function ctxFor(query, extra = {}) {
+  return { query, lowerQ: query.toLowerCase(), user: null, member: () => "m1", followUp: null, ...extra };
+}
+
+describe("library intents", () => {
+  let storage, intents, byName, searches, router;
+
+  beforeEach(async () => {
+    storage = createLocalStorage();
+    await storage.bulkDocs("books", structuredClone(BOOKS));
+    searches = [];
+    // Title substring search over the stored books, like a tiny full-text index
+    const search = async (text, options = {}) => {
+      searches.push({ text, options });
+      const words = text.toLowerCase().split(/\s+/);
+      const docs = await loadAllDocs(storage, "books");
+      return docs.filter(d => !d.removed && words.some(w => d.title.toLowerCase().includes(w)));
+    };
+    const generateReply = async ({ books, pageLimit }) => `${books.length} books${pageLimit ? ` under ${pageLimit}` : ""}`;
+    intents = createLibraryIntents({
+      storage,
+      booksDb: "books",
+      search,
+      expandTokens: t => [String(t).toLowerCase()],
+      holds: createHoldService({ storage, booksDb: "books", holdsDb: "holds" }),
+      generateReply
+    });
+    byName = Object.fromEntries(intents.map(i => [i.name, i]));
+    router = createIntentRouter({ fallback: "small_talk", minConfidence: 0.5 });
+    intents.forEach(i => router.register(i));
+  });
+
+  const matchOf = (name, query, extra) => byName[name].match(ctxFor(query, extra));
+  const intentOf = async (query, extra) => (await router.classify(ctxFor(query, extra))).intent.name;
+
+  describe("hold", () => {
+    it("matches reserve, hold a copy of and put a hold on", () => {
+      assert.deepEqual(matchOf("hold", "reserve clean code"), { confidence: 0.95, slots: { subject: "clean code" } });
+      assert.deepEqual(matchOf("hold", "please hold a copy of clean code for me").slots, { subject: "clean code" });
+      assert.deepEqual(matchOf("hold", "can you put a hold on clean code?").slots, { subject: "clean code" });
+      assert.deepEqual(matchOf("hold", "place hold for the book clean code").slots, { subject: "clean code" });
+    });
+
+    it("ignores hold on / hold up", async () => {
+      assert.equal(matchOf("hold", "hold on, what python books do you have?"), null);
+      assert.equal(matchOf("hold", "hold up, which books are about python"), null);
+      assert.equal(await intentOf("hold on, what python books do you have?"), "search");
+    });
+
+    it("places a hold for a logged-in member when every copy is out", async () => {
+      const result = await byName.hold.handle(ctxFor("reserve clean code", { user: { username: "m1" } }), { subject: "clean code" });
+      assert.equal(result.intent, "hold");
+      assert.match(result.reply, /Hold placed on "Clean Code"\. You are number 1/);
+      assert.equal(result.remember, false);
+      const holds = await loadAllDocs(storage, "holds");
+      assert.deepEqual(holds.map(h => [h.book_id, h.member, h.status]), [["b1", "m1", "waiting"]]);
+    });
+
+    it("sends anonymous users to log in and reports books on the shelf", async () => {
+      const anon = await byName.hold.handle(ctxFor("reserve clean code"), { subject: "clean code" });
+      assert.match(anon.reply, /Log in to join the hold queue/);
+      const onShelf = await byName.hold.handle(ctxFor("reserve python crash course", { user: { username: "m1" } }), { subject: "crash" });
+      assert.match(onShelf.reply, /2 copies on the shelf at Shelf D1, so no hold is needed/);
+      assert.equal((await loadAllDocs(storage, "holds")).length, 0);
+    });
+
+    it("replies with the hold service's refusal", async () => {
+      const ctx = ctxFor("reserve clean code", { user: { username: "m1" } });
+      await byName.hold.handle(ctx, { subject: "clean code" });
+      const again = await byName.hold.handle(ctx, { subject: "clean code" });
+      assert.match(again.reply, /already has a hold on "Clean Code"/);
+    });
+
+    it("uses the single referenced book of a follow-up", async () => {
+      const book = await storage.getDoc("books", "b1");
+      const result = await byName.hold.handle(ctxFor("reserve it", { followUp: { books: [book] } }), { subject: "it" });
+      assert.deepEqual(result.books.map(b => b._id), ["b1"]);
+      assert.equal(searches.length, 0);
+    });
+
+    it("reports when nothing matches", async () => {
+      const result = await byName.hold.handle(ctxFor("reserve quantum optics"), { subject: "quantum optics" });
+      assert.deepEqual(result, { intent: "hold", resultsFound: 0, reply: 'No matching books found for "quantum optics".' });
+    });
+  });
+
+  describe("follow_up", () => {
+    it("matches resolved follow-ups only", () => {
+      assert.equal(matchOf("follow_up", "who wrote it"), null);
+      assert.equal(matchOf("follow_up", "who wrote it", { followUp: { type: "none" } }), null);
+      assert.deepEqual(matchOf("follow_up", "who wrote it", { followUp: { type: "answer" } }), { confidence: 0.9 });
+    });
+
+    it("answers from the previous results", async () => {
+      const followUp = { type: "answer", books: [BOOKS[0]], reply: "Robert Martin wrote Clean Code." };
+      const result = await byName.follow_up.handle(ctxFor("who wrote the first one", { followUp }));
+      assert.deepEqual(result, { intent: "follow_up_answer", resultsFound: 1, reply: followUp.reply, books: [BOOKS[0]], remember: false });
+    });
+
+    it("lists referenced books and keeps the list for a single ordinal", async () => {
+      const followUp = { type: "books", books: [BOOKS[1]], ordinal: 1 };
+      const result = await byName.follow_up.handle(ctxFor("tell me about the first one", { followUp }));
+      assert.equal(result.intent, "follow_up_books");
+      assert.equal(result.reply, "1 books");
+      assert.equal(result.remember, false);
+    });
+
+    it("prefers unseen titles for more like that", async () => {
+      const followUp = { type: "search", query: "python", exclude: new Set(["b2"]) };
+      const result = await byName.follow_up.handle(ctxFor("more like that", { followUp }));
+      assert.equal(result.intent, "more_like_this");
+      assert.deepEqual(result.books.map(b => b._id), ["b3"]);
+      assert.equal(result.remember, true);
+    });
+  });
+
+  describe("copies and availability", () => {
+    it("match their phrasing", () => {
+      assert.deepEqual(matchOf("copies", "how many copies of python do you have?"), { confidence: 0.9, slots: { subject: "python" } });
+      assert.equal(matchOf("copies", "how many copies"), null);
+      assert.deepEqual(matchOf("availability", "is clean code available?"), { confidence: 0.85, slots: { subject: "clean code" } });
+      assert.deepEqual(matchOf("availability", "availability of fluent python").slots, { subject: "fluent python" });
+    });
+
+    it("count copies on the shelf and on loan", async () => {
+      const copies = await byName.copies.handle(ctxFor("how many copies of python"), { subject: "python" });
+      assert.match(copies.reply, /2 matching book\(s\) for "python" with a total of 4 copies \(3 on the shelf, 1 on loan\)/);
+      const available = await byName.availability.handle(ctxFor("is clean code available"), { subject: "clean" });
+      assert.match(available.reply, /Available copies: 0 \(on loan: 2, total copies: 2\)/);
+    });
+  });
+
+  describe("stats", () => {
+    it("reads the kind of count from the question", () => {
+      assert.deepEqual(matchOf("stats", "how many available books are there"), { confidence: 0.8, slots: { kind: "available" } });
+      assert.deepEqual(matchOf("stats", "total copies?"), { confidence: 0.8, slots: { kind: "copies" } });
+      assert.deepEqual(matchOf("stats", "how many books do you have"), { confidence: 0.8, slots: { kind: "total" } });
+      assert.deepEqual(matchOf("stats", "how many python books"), { confidence: 0.75, slots: { kind: "topic", topic: "python" } });
+      assert.equal(matchOf("stats", "how many all books"), null);
+    });
+
+    it("counts the stored books, leaving removed ones out", async () => {
+      const reply = async slots => (await byName.stats.handle(ctxFor("q"), slots)).reply;
+      assert.equal(await reply({ kind: "total" }), "There are 3 books in the library inventory.");
+      assert.equal(await reply({ kind: "available" }), "There are 2 available books in the inventory.");
+      assert.equal(await reply({ kind: "copies" }), "There are 6 total copies in the inventory (3 on the shelf, 3 on loan).");
+      assert.equal(await reply({ kind: "topic", topic: "python" }), "There are 2 python books in the inventory.");
+    });
+  });
+
+  describe("page_limit and search", () => {
+    it("read the page limit", () => {
+      assert.equal(pageLimitOf("python under 600 pages"), 600);
+      assert.deepEqual(matchOf("page_limit", "python less than 600 pages"), { confidence: 0.7, slots: { subject: "python less than 600 pages", pageLimit: 600 } });
+      assert.equal(matchOf("page_limit", "python books"), null);
+    });
+
+    it("searches with the page limit applied", async () => {
+      const result = await byName.page_limit.handle(ctxFor("python under 600 pages"), { subject: "python", pageLimit: "600" });
+      assert.deepEqual(result.books.map(b => b._id), ["b2"]);
+      assert.equal(result.reply, "1 books under 600");
+      assert.equal(searches[0].options.maxPages, 600);
+    });
+
+    it("adds query hints and streams the results", async () => {
+      const streamed = [];
+      const ctx = ctxFor("simple python books", { onResults: (intent, books) => streamed.push([intent, books.length]) });
+      assert.equal(matchOf("search", "simple python books").confidence, 0.6);
+      const result = await byName.search.handle(ctx, { subject: "simple python books" });
+      assert.equal(searches[0].text, "simple python books introduction basic fundamentals");
+      assert.equal(result.intent, "search");
+      assert.deepEqual(streamed, [["search", 2]]);
+    });
+  });
+
+  describe("small_talk", () => {
+    it("is the fallback for anything else", async () => {
+      assert.equal(await intentOf("hello there"), "small_talk");
+      const result = await byName.small_talk.handle();
+      assert.equal(result.intent, "small_talk");
+    });
+  });
+});
@@ -0,0 +1,107 @@
+import { before, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createLocalStorage } from "../src/storage/local.js";
+import { loadAllDocs } from "../src/storage/index.js";
+
+// Read when the module loads; failed batches are retried straight away here
+process.env.JOB_RETRY_DELAY_MS = "1";
+const { createEmbeddingJobService, publicJob } = await import("../src/jobs.js");
+
+describe("embedding jobs", () => {
+  let storage, jobs, finished, failing;
+
+  before(() => {
+    // Jobs report every step; keep the test output to the results
+    for (const level of ["log", "warn", "error"]) mock.method(console, level, () => {});
+  });
+
+  beforeEach(async () => {
+    storage = createLocalStorage();
+    await storage.bulkDocs("books", ["b1", "b2", "b3", "b4", "b5"].map(_id => ({ _id, title: `Book ${_id}`, author: "A" })));
+    failing = new Set();
+    finished = [];
+    jobs = createEmbeddingJobService({
+      storage,
+      jobsDb: "jobs",
+      booksDb: "books",
+      embedModel: "m",
+      embed: async inputs => {
+        const bad = inputs.find(text => failing.has(text));
+        if (bad) throw new Error(`cannot embed ${bad}`);
+        return inputs.map(text => [text.length]);
+      },
+      inputFor: d => d.title,
+      needsEmbedding: (d, { force }) => force || !d.embedding,
+      batchSize: 2,
+      onFinished: async job => finished.push(job)
+    });
+  });
+
+  const settle = async () => {
+    while (finished.length === 0) await new Promise(resolve => setTimeout(resolve, 5));
+    const job = finished.shift();
+    return publicJob(job);
+  };
+
+  it("embeds every book in batches and saves its progress", async () => {
+    const started = await jobs.start({ requestedBy: "root" });
+    assert.equal(started.requested_by, "root");
+    const job = await settle();
+    assert.equal(job.status, "completed");
+    assert.deepEqual([job.total, job.processed, job.batches, job.docs_updated], [5, 5, 3, 5]);
+    const books = await loadAllDocs(storage, "books");
+    assert.ok(books.every(b => b.embedding && b.embedding_model === "m"));
+    assert.equal((await jobs.get(started._id)).status, "completed");
+  });
+
+  it("lets only one of two concurrent starts queue a job", async () => {
+    const results = await Promise.allSettled([jobs.start(), jobs.start()]);
+    assert.deepEqual(results.map(r => r.status).sort(), ["fulfilled", "rejected"]);
+    assert.equal(results.find(r => r.status === "rejected").reason.status, 409);
+    await settle();
+    assert.equal((await jobs.list()).length, 1);
+    // A finished job's lock is stale and taken over by the next one
+    await jobs.start({ force: true });
+    assert.equal((await settle()).docs_updated, 5);
+  });
+
+  it("retries a failed batch on its own at the end", async () => {
+    failing.add("Book b3");
+    const started = await jobs.start();
+    // The provider recovers before the retry round, which waits for a timer
+    setTimeout(() => failing.clear(), 0);
+    const job = await settle();
+    assert.equal(job.status, "completed");
+    assert.equal(job.docs_updated, 5);
+    assert.equal(job.batches_failed, 0);
+    assert.equal((await jobs.get(started._id)).failures[0].resolved, true);
+  });
+
+  it("reports unresolved batches and continues them on retry", async () => {
+    failing.add("Book b5");
+    const started = await jobs.start();
+    let job = await settle();
+    assert.equal(job.status, "completed_with_errors");
+    assert.deepEqual(job.failures.map(f => f.ids), [["b5"]]);
+
+    failing.clear();
+    await jobs.retry(started._id);
+    job = await settle();
+    assert.equal(job.status, "completed");
+    await assert.rejects(jobs.retry(started._id), /only failed, completed_with_errors, cancelled jobs/);
+  });
+
+  it("resumes a job that was running when the server stopped", async () => {
+    await storage.putDoc("jobs", {
+      _id: "j1", type: "job", kind: "embeddings", status: "running", phase: "scan", force: false, model: "m",
+      created_at: "2025-01-01T00:00:00.000Z", batch_size: 2, total: 5, processed: 2, cursor: "b2",
+      batches: 1, docs_updated: 2, failures: [], error: null
+    });
+    assert.equal(await jobs.resumeJobs(), 1);
+    const job = await settle();
+    assert.equal(job.status, "completed");
+    assert.deepEqual([job.processed, job.docs_updated], [5, 5]);
+    const books = await loadAllDocs(storage, "books");
+    assert.deepEqual(books.filter(b => b.embedding).map(b => b._id), ["b3", "b4", "b5"]);
+  });
+});
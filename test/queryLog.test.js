@@ -0,0 +1,48 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { createQueryLogService, normaliseQuery, redactQuery } from "../src/queryLog.js";
+import { createLocalStorage } from "../src/storage/local.js";
+import { loadAllDocs } from "../src/storage/index.js";
+
+const explain = () => ({ corrections: [], expanded: [], raw: [] });
+
+describe("query log", () => {
+  const previousSecret = process.env.AUTH_SECRET;
+  before(() => {
+    process.env.AUTH_SECRET = "test-secret";
+  });
+  after(() => {
+    if (previousSecret === undefined) delete process.env.AUTH_SECRET;
+    else process.env.AUTH_SECRET = previousSecret;
+  });
+
+  const loggedUser = async (options = {}) => {
+    const storage = createLocalStorage();
+    const queryLog = createQueryLogService({ storage, queriesDb: "queries", explain, ...options });
+    queryLog.record({ route: "ask-ai", query: "sql books", user: { username: "ann", role: "student" }, latencyMs: 5 });
+    await new Promise(resolve => setImmediate(resolve));
+    const [entry] = await loadAllDocs(storage, "queries");
+    return entry.user;
+  };
+
+  it("hashes usernames with a key derived from AUTH_SECRET", async () => {
+    const hashed = await loggedUser();
+    assert.match(hashed, /^[0-9a-f]{16}$/);
+    assert.equal(await loggedUser(), hashed);
+    const withAuthSecret = crypto.createHmac("sha256", "test-secret").update("ann").digest("hex").slice(0, 16);
+    assert.notEqual(hashed, withAuthSecret);
+  });
+
+  it("uses QUERY_LOG_SALT when given and can keep or drop usernames", async () => {
+    assert.notEqual(await loggedUser({ salt: "other" }), await loggedUser());
+    assert.equal(await loggedUser({ users: "keep" }), "ann");
+    assert.equal(await loggedUser({ users: "drop" }), null);
+  });
+
+  it("redacts e-mail addresses and long numbers", () => {
+    assert.equal(redactQuery("loans for ann@example.com member 1234567"), "loans for [email] member [number]");
+    assert.equal(redactQuery("books from 2019"), "books from 2019");
+    assert.equal(normaliseQuery("  SQL, Books?? "), "sql books");
+  });
+});
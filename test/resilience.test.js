@@ -0,0 +1,74 @@
+import { before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { circuitOpenError, createCircuitBreaker, isTransient, withRetry } from "../src/resilience.js";
+
+const httpFailure = status => Object.assign(new Error(`HTTP ${status}`), { response: { status } });
+const networkFailure = code => Object.assign(new Error(code), { code });
+
+describe("isTransient", () => {
+  it("retries network failures and overload responses", () => {
+    assert.equal(isTransient(networkFailure("ECONNRESET")), true);
+    assert.equal(isTransient(networkFailure("ETIMEDOUT")), true);
+    assert.equal(isTransient(Object.assign(new TypeError("fetch failed"), { cause: { code: "ENOTFOUND" } })), true);
+    assert.equal(isTransient(httpFailure(429)), true);
+    assert.equal(isTransient(httpFailure(503)), true);
+  });
+
+  it("does not retry errors that would fail again", () => {
+    assert.equal(isTransient(httpFailure(400)), false);
+    assert.equal(isTransient(httpFailure(401)), false);
+    assert.equal(isTransient(new Error("Missing WATSONX_API_KEY")), false);
+    assert.equal(isTransient(new SyntaxError("Unexpected token")), false);
+    assert.equal(isTransient(circuitOpenError("generation")), false);
+  });
+});
+
+describe("withRetry", () => {
+  before(() => mock.method(console, "warn", () => {}));
+
+  it("retries transient failures until one succeeds", async () => {
+    let calls = 0;
+    const result = await withRetry(async () => {
+      calls += 1;
+      if (calls < 3) throw networkFailure("ECONNRESET");
+      return "ok";
+    }, { retries: 2, baseDelayMs: 1 });
+    assert.deepEqual([result, calls], ["ok", 3]);
+  });
+
+  it("gives up at once on other errors", async () => {
+    let calls = 0;
+    await assert.rejects(withRetry(async () => {
+      calls += 1;
+      throw httpFailure(400);
+    }, { retries: 2, baseDelayMs: 1 }), /HTTP 400/);
+    assert.equal(calls, 1);
+  });
+});
+
+describe("circuit breaker", () => {
+  before(() => {
+    mock.method(console, "warn", () => {});
+    mock.method(console, "log", () => {});
+  });
+
+  it("opens after repeated transient failures and closes after a good trial call", async () => {
+    const breaker = createCircuitBreaker({ name: "test", failureThreshold: 2, cooldownMs: 20 });
+    const fail = () => Promise.reject(httpFailure(502));
+    await assert.rejects(breaker.exec(fail));
+    await assert.rejects(breaker.exec(fail));
+    assert.equal(breaker.status().state, "open");
+    await assert.rejects(breaker.exec(async () => "ok"), /circuit open/);
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(breaker.status().state, "half-open");
+    assert.equal(await breaker.exec(async () => "ok"), "ok");
+    assert.deepEqual(breaker.status(), { name: "test", state: "closed", failures: 0 });
+  });
+
+  it("ignores errors that are not the service's fault", async () => {
+    const breaker = createCircuitBreaker({ name: "test", failureThreshold: 1 });
+    await assert.rejects(breaker.exec(() => Promise.reject(httpFailure(400))));
+    assert.equal(breaker.status().state, "closed");
+  });
+});
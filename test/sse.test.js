@@ -0,0 +1,43 @@
+import { after, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { openEventStream } from "../src/sse.js";
+
+describe("openEventStream", () => {
+  const servers = [];
+  after(() => servers.forEach(server => server.close()));
+
+  const serve = async handler => {
+    const app = express();
+    app.get("/stream", handler);
+    const server = app.listen(0);
+    servers.push(server);
+    await new Promise(resolve => server.once("listening", resolve));
+    return { url: `http://127.0.0.1:${server.address().port}/stream` };
+  };
+
+  it("writes named JSON events", async () => {
+    const { url } = await serve((req, res) => {
+      const sse = openEventStream(res);
+      sse.send("token", { text: "hi" });
+      sse.end();
+    });
+    const res = await fetch(url);
+    assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+    assert.equal(await res.text(), 'event: token\ndata: {"text":"hi"}\n\n');
+  });
+
+  it("aborts its signal when the client goes away", async () => {
+    let sse;
+    const { url } = await serve((req, res) => {
+      sse = openEventStream(res);
+      sse.send("results", {});
+    });
+    const client = new AbortController();
+    const res = await fetch(url, { signal: client.signal });
+    await res.body.getReader().read();
+    client.abort();
+    if (!sse.signal.aborted) await new Promise(resolve => sse.signal.addEventListener("abort", resolve));
+    assert.equal(sse.closed, true);
+  });
+});
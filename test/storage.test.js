@@ -0,0 +1,53 @@
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createLocalStorage } from "../src/storage/local.js";
+import { loadAllDocs } from "../src/storage/index.js";
+
+describe("local storage files", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "library-storage-"));
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const lines = db => fs.readFileSync(path.join(dir, `${db}.log.jsonl`), "utf8").trim().split("\n");
+
+  it("appends changes to a journal and replays it on the next start", async () => {
+    const storage = createLocalStorage({ dir });
+    const { rev } = await storage.putDoc("queries", { _id: "q1", query: "sql" });
+    await storage.putDoc("queries", { _id: "q2", query: "python" });
+    storage.flush();
+    await storage.deleteDoc("queries", "q1", rev);
+    storage.flush();
+
+    assert.equal(fs.existsSync(path.join(dir, "queries.json")), false);
+    assert.deepEqual(lines("queries").map(l => JSON.parse(l)._id), ["q1", "q2", "q1"]);
+    const reopened = createLocalStorage({ dir });
+    assert.deepEqual((await loadAllDocs(reopened, "queries")).map(d => d.query), ["python"]);
+  });
+
+  it("rewrites the snapshot once the journal outgrows the database", async () => {
+    const storage = createLocalStorage({ dir });
+    let { rev } = await storage.putDoc("books", { _id: "b1", copies: 0 });
+    for (let copies = 1; copies <= 1001; copies++) {
+      ({ rev } = await storage.putDoc("books", { _id: "b1", _rev: rev, copies }));
+      storage.flush();
+    }
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, "books.json"), "utf8")).map(d => d.copies), [1001]);
+    assert.equal(fs.existsSync(path.join(dir, "books.log.jsonl")), false);
+    assert.equal((await createLocalStorage({ dir }).getDoc("books", "b1"))._rev, rev);
+  });
+
+  it("skips a journal line torn by a crash", async () => {
+    const storage = createLocalStorage({ dir });
+    await storage.putDoc("holds", { _id: "h1", status: "waiting" });
+    storage.flush();
+    fs.appendFileSync(path.join(dir, "holds.log.jsonl"), '{"_id":"h2","sta');
+    assert.deepEqual((await loadAllDocs(createLocalStorage({ dir }), "holds")).map(d => d._id), ["h1"]);
+  });
+});
@@ -0,0 +1,85 @@
+import { before, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { compileSynonyms, createSynonymService, parseSynonymImport, validateEntry } from "../src/search/dictionary.js";
+import { SYNONYM_MAP } from "../src/search/synonyms.js";
+import { createLocalStorage } from "../src/storage/local.js";
+
+describe("synonym entries", () => {
+  it("normalises and validates an entry", () => {
+    assert.deepEqual(validateEntry({ term: " Data  Structures ", synonyms: ["DS", "ds", "data structures"] }), {
+      term: "data structures", synonyms: ["ds"], mode: "one_way"
+    });
+    assert.throws(() => validateEntry({ term: "x", synonyms: ["x"], mode: "both" }), /at least one entry other than the term; mode must be one of/);
+  });
+
+  it("compiles one-way entries and two-way groups", () => {
+    assert.deepEqual(compileSynonyms([
+      { term: "ds", synonyms: ["data structures", "algorithms"], mode: "two_way" },
+      { term: "bio", synonyms: ["biology"], mode: "one_way" }
+    ]), {
+      ds: ["data structures", "algorithms"],
+      "data structures": ["ds", "algorithms"],
+      algorithms: ["ds", "data structures"],
+      bio: ["biology"]
+    });
+  });
+
+  it("parses Solr-style lines with per-row errors", () => {
+    const { entries, errors } = parseSynonymImport({ text: "# comment\nds, data structures\nbio, life => biology\na => b => c\nds, dsa\n" });
+    assert.deepEqual(entries, [
+      { term: "ds", synonyms: ["data structures"], mode: "two_way" },
+      { term: "bio", synonyms: ["biology"], mode: "one_way" },
+      { term: "life", synonyms: ["biology"], mode: "one_way" }
+    ]);
+    assert.deepEqual(errors, [
+      { row: 4, error: "A line can have only one =>" },
+      { row: 5, term: "ds", error: "\"ds\" is already in row 2" }
+    ]);
+  });
+
+  it("accepts entry lists and SYNONYM_MAP-shaped objects", () => {
+    assert.equal(parseSynonymImport({ entries: [{ term: "sql", synonyms: ["databases"] }] }).entries.length, 1);
+    assert.deepEqual(parseSynonymImport({ synonyms: { sql: ["databases"] } }).entries, [{ term: "sql", synonyms: ["databases"], mode: "one_way" }]);
+    assert.throws(() => parseSynonymImport({}), /Send \{ entries/);
+  });
+});
+
+describe("synonym service", () => {
+  let storage, synonyms, compiled;
+
+  before(() => mock.method(console, "log", () => {}));
+
+  beforeEach(async () => {
+    storage = createLocalStorage();
+    synonyms = createSynonymService({ storage, synonymsDb: "synonyms", onChange: map => (compiled = map), reloadSeconds: 0 });
+    await synonyms.load();
+  });
+
+  it("seeds an empty dictionary with the defaults", () => {
+    assert.equal(synonyms.list().length, Object.keys(SYNONYM_MAP).length);
+    assert.ok(Object.keys(compiled).length > 0);
+  });
+
+  it("imports entries, replacing the ones left out, and keeps their history", async () => {
+    const { entries } = parseSynonymImport({ text: "ds, data structures\nchem => chemistry" });
+    const summary = await synonyms.importEntries(entries, "lib", { replace: true });
+    assert.deepEqual({ ...summary, removed: summary.removed > 0 }, { created: 2, updated: 0, unchanged: 0, removed: true, failed: [] });
+    assert.deepEqual(synonyms.list().map(d => d.term), ["chem", "ds"]);
+    assert.deepEqual(compiled, { ds: ["data structures"], "data structures": ["ds"], chem: ["chemistry"] });
+
+    const again = await synonyms.importEntries(entries, "lib");
+    assert.equal(again.unchanged, 2);
+    const ds = await synonyms.get("ds");
+    assert.deepEqual(ds.history.map(h => [h.action, h.via]), [["created", "import"]]);
+  });
+
+  it("refuses a change made against a stale _rev", async () => {
+    const { entry } = await synonyms.save({ term: "sql", synonyms: ["databases"], mode: "one_way" }, "lib");
+    await synonyms.save({ term: "sql", synonyms: ["queries"], mode: "one_way" }, "lib", { rev: entry._rev });
+    await assert.rejects(
+      synonyms.save({ term: "sql", synonyms: ["tables"], mode: "one_way" }, "lib", { rev: entry._rev }),
+      err => err.status === 409
+    );
+    await assert.rejects(synonyms.remove("sql", "lib", { rev: entry._rev }), err => err.status === 409);
+  });
+});
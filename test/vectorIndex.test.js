@@ -0,0 +1,77 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createVectorIndex } from "../src/vectorIndex.js";
+
+// Deterministic pseudo-random vectors, so IVF cells train the same way every run
+function vectors(count, dim, seed = 1) {
+  let state = seed;
+  const next = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648 - 0.5;
+  };
+  return Array.from({ length: count }, () => Array.from({ length: dim }, next));
+}
+
+const books = embeddings => embeddings.map((embedding, i) => ({ _id: `b${i}`, title: `Book ${i}`, copies: 1, embedding }));
+
+describe("vector index", () => {
+  it("ranks by cosine similarity and applies filters", () => {
+    const index = createVectorIndex();
+    index.rebuild([
+      { _id: "a", copies: 1, max_pages: 100, embedding: [1, 0] },
+      { _id: "b", copies: 1, max_pages: 900, embedding: [2, 1] },
+      { _id: "c", copies: 1, available: false, embedding: [0, 1] }
+    ]);
+    assert.deepEqual(index.query([1, 0.1]).map(h => h.id), ["a", "b", "c"]);
+    assert.deepEqual(index.query([1, 0.1], { maxPages: 500 }).map(h => h.id), ["a"]);
+    assert.deepEqual(index.query([0, 1], { availableOnly: true, k: 1 }).map(h => h.id), ["b"]);
+    assert.equal(index.query([0, 1])[0].doc.embedding, undefined);
+    assert.deepEqual(index.query([1, 0, 0]), []);
+  });
+
+  it("keeps out vectors of another dimension or rejected as stale", () => {
+    const index = createVectorIndex({ accepts: b => b.embedding_model === "m" });
+    const result = index.rebuild([
+      { _id: "a", embedding: [1, 0], embedding_model: "m" },
+      { _id: "b", embedding: [1, 0, 0], embedding_model: "m" },
+      { _id: "c", embedding: [1, 0], embedding_model: "old" },
+      { _id: "d", title: "no embedding" }
+    ]);
+    assert.deepEqual(result, { size: 1, skipped: 1, stale: 1 });
+  });
+
+  it("updates and removes single books", () => {
+    const index = createVectorIndex();
+    index.rebuild([{ _id: "a", embedding: [1, 0] }, { _id: "b", embedding: [1, 1] }]);
+    index.upsert({ _id: "a", embedding: [0, 1], title: "moved" });
+    assert.equal(index.query([0, 1], { k: 1 })[0].doc.title, "moved");
+    index.upsert({ _id: "b", title: "embedding removed" });
+    index.remove("a");
+    assert.equal(index.stats().size, 0);
+  });
+
+  it("switches to IVF cells on a large catalogue and finds what the exact scan finds", () => {
+    const catalogue = books(vectors(400, 8));
+    const exact = createVectorIndex();
+    const ivf = createVectorIndex({ exactBelow: 100, nprobe: 20 });
+    exact.rebuild(catalogue);
+    ivf.rebuild(catalogue);
+    assert.equal(exact.stats().mode, "exact");
+    assert.deepEqual([ivf.stats().mode, ivf.stats().cells], ["ivf", 20]);
+
+    // A book's own vector is its nearest neighbour, in whichever cell it sits
+    for (const book of catalogue.slice(0, 25)) {
+      assert.equal(ivf.query(book.embedding, { k: 1 })[0].id, book._id);
+    }
+    // Probing every cell is an exact scan
+    const query = vectors(1, 8, 7)[0];
+    assert.deepEqual(ivf.query(query, { k: 10 }).map(h => h.id), exact.query(query, { k: 10 }).map(h => h.id));
+  });
+
+  it("keeps probing cells while filters leave fewer than k hits", () => {
+    const catalogue = books(vectors(400, 8, 3)).map((b, i) => ({ ...b, copies: i % 50 === 0 ? 1 : 0 }));
+    const ivf = createVectorIndex({ exactBelow: 100, nprobe: 1 });
+    ivf.rebuild(catalogue);
+    assert.equal(ivf.query(vectors(1, 8, 5)[0], { k: 8, availableOnly: true }).length, 8);
+  });
+});